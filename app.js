@@ -40,6 +40,20 @@
 
 console.log('[APP] typeof XLSX =', typeof XLSX);
 
+// Colonne ajoutée lorsque plusieurs feuilles d'un classeur sont combinées.
+const SHEET_SOURCE_COLUMN = 'Feuille';
+// Colonne ajoutée lorsque plusieurs fichiers sont analysés ensemble.
+const FILE_SOURCE_COLUMN = 'Fichier source';
+
+// Règles par défaut appliquées aux valeurs du fichier de référence avant
+// d'en faire des mots-clés.
+const DEFAULT_EXTRACTION_RULES = {
+  minLength: 2,
+  ignoreNumeric: true,
+  splitTokens: false,
+  stopWords: ['le', 'la', 'les', 'de', 'des', 'du', 'et', 'en', 'un', 'une', 'pour', 'avec', 'sans', 'sur', 'au', 'aux'],
+};
+
 const state = {
   mode: 'analyse',
   analyse: null,
@@ -47,11 +61,41 @@ const state = {
     ref: null,
     cmp: null,
     keywords: [],
+    keywordAnalysis: null,
+    keywordColumns: [],
+    extractionRules: { ...DEFAULT_EXTRACTION_RULES },
+    view: 'keywords',
+    keyColumns: [],
+    diffStatuses: new Set(['added', 'removed', 'modified']),
+    hitSort: { key: 'rows', direction: 'desc' },
+    hitFilter: 'all',
+    // Rapprochement approché : colonnes comparées de chaque côté, seuil de
+    // confiance (0 à 1) et décisions manuelles par paire "réf:comparé".
+    matchColumns: { ref: [], cmp: [] },
+    matchThreshold: 0.6,
+    matchDecisions: {},
+    matchStatuses: new Set(['confirmed', 'proposed', 'low', 'none']),
+    // Correspondance des colonnes { référence: comparée | null } ; null tant
+    // que les propositions n'ont pas été calculées pour ces fichiers.
+    columnMapping: null,
   },
   selectedColumns: new Set(),
+  table: createTableLayout(),
+  // Dédoublonnage du fichier analysé : colonnes d'identité, mode de
+  // comparaison, stratégie par défaut et stratégies choisies par groupe.
+  dedup: createDedupSettings(),
+  // Tableau croisé des résultats : dimensions en ligne et en colonne,
+  // agrégats [{ aggregate, header }].
+  pivot: createPivotSettings(),
   caseSensitive: false,
+  ignoreAccents: false,
+  wholeWord: false,
+  matchMode: 'contains',
+  fuzzyDistance: 1,
   filters: {
     keywords: [],
+    query: null,
+    queryError: null,
   },
 };
 
@@ -60,12 +104,12 @@ if (typeof document !== 'undefined') {
   document.addEventListener('DOMContentLoaded', init);
 }
 
-function init() {
-  console.log('[DEBUG] DOMContentLoaded - initialisation de l\'application');
-document.addEventListener('DOMContentLoaded', init);
+const KEYWORD_INPUT_DEBOUNCE_MS = 150;
 
 function init() {
+  console.log('[DEBUG] DOMContentLoaded - initialisation de l\'application');
   setupEventListeners();
+  initWorkspace();
 }
 
 function setupEventListeners() {
@@ -99,157 +143,173 @@ function setupEventListeners() {
     return;
   }
 
+  // Formats proposés par le sélecteur : ceux du registre des imports
+  [analyseInput, refInput, cmpInput].forEach((input) => {
+    input.accept = importerAcceptList();
+  });
   analyseInput.addEventListener('change', handleAnalyseFileChange);
   refInput.addEventListener('change', handleRefFileChange);
   cmpInput.addEventListener('change', handleCmpFileChange);
-  analyseInput.addEventListener('change', async (event) => {
-    const file = getFirstFileFromEvent(event);
-    console.log('[APP] handleAnalyseFileChange file =', file && file.name);
-    if (!file) {
-      console.warn('[APP] Aucun fichier sélectionné pour', event.target.id);
-      return;
-    }
-    console.log('[DEBUG] change event', event.target.id, file && file.name);
-    if (!file) {
-      console.warn('[DEBUG] Aucun fichier sélectionné pour', event.target.id);
-      return;
-    }
-  document.getElementById('file-analyse').addEventListener('change', async (event) => {
-    const [file] = event.target.files || [];
-    if (!file) return;
-    try {
-      showStatus('Import du fichier en cours...');
-      state.analyse = await importFile(file);
-      state.selectedColumns = new Set(state.analyse.headers);
-      console.log(
-        '[APP] Données importées (analyse) =',
-        state.analyse.headers.length,
-        'colonnes /',
-        state.analyse.rows.length,
-        'lignes'
-      );
-      renderAnalyseTable();
-      showStatus(`Fichier "${file.name}" importé avec succès.`);
-    } catch (error) {
-      console.error('[IMPORT ANALYSE] Erreur:', error);
-      showError(`Erreur lors de l'import : ${error.message}`);
-    }
-  });
 
-  refInput.addEventListener('change', async (event) => {
-    const file = getFirstFileFromEvent(event);
-    console.log('[APP] handleReferenceFileChange file =', file && file.name);
-    if (!file) {
-      console.warn('[APP] Aucun fichier sélectionné pour', event.target.id);
-      return;
-    }
-    try {
-      showStatus('Import du fichier de référence...');
-      state.comparaison.ref = await importFile(file);
-      console.log(
-        '[APP] Données importées (référence) =',
-        state.comparaison.ref.headers.length,
-        'colonnes /',
-        state.comparaison.ref.rows.length,
-        'lignes'
-      );
-      state.comparaison.keywords = extractKeywordsFromReference(state.comparaison.ref);
-      updateKeywordSummary();
-      showStatus(`Fichier de référence "${file.name}" importé (${state.comparaison.keywords.length} mots-clés).`);
-    console.log('[DEBUG] change event', event.target.id, file && file.name);
-    if (!file) {
-      console.warn('[DEBUG] Aucun fichier sélectionné pour', event.target.id);
-      return;
-    }
-      showStatus(`Fichier \"${file.name}\" importé avec succès.`);
-    } catch (error) {
-      console.error(error);
-      showStatus(`Erreur lors de l'import : ${error.message}`, true);
-    }
+  const importZone = document.getElementById('import-zone');
+  importZone.addEventListener('dragover', (event) => {
+    event.preventDefault();
+    importZone.classList.add('drag-over');
   });
-
-  document.getElementById('file-ref').addEventListener('change', async (event) => {
-    const [file] = event.target.files || [];
-    if (!file) return;
-    try {
-      showStatus('Import du fichier de référence...');
-      state.comparaison.ref = await importFile(file);
-      state.comparaison.keywords = extractKeywordsFromReference(state.comparaison.ref);
-      updateKeywordSummary();
-      showStatus(`Fichier de référence "${file.name}" importé (${state.comparaison.keywords.length} mots-clés).`);
-      showStatus(`Fichier de référence \"${file.name}\" importé (${state.comparaison.keywords.length} mots-clés).`);
-      if (state.comparaison.cmp) {
-        renderComparisonTable();
-      }
-    } catch (error) {
-      console.error('[IMPORT REFERENCE] Erreur:', error);
-      showError(`Erreur lors de l'import du fichier de référence : ${error.message}`);
+  importZone.addEventListener('dragleave', (event) => {
+    if (!importZone.contains(event.relatedTarget)) {
+      importZone.classList.remove('drag-over');
     }
   });
+  importZone.addEventListener('drop', handleImportDrop);
 
-  cmpInput.addEventListener('change', async (event) => {
-    const file = getFirstFileFromEvent(event);
-    console.log('[APP] handleComparisonFileChange file =', file && file.name);
-    if (!file) {
-      console.warn('[APP] Aucun fichier sélectionné pour', event.target.id);
-      return;
+  const keywordInput = document.getElementById('keywords');
+  let keywordRefreshTimer = null;
+  keywordInput.addEventListener('input', (event) => {
+    const resolvedValue = handleKeywordInputChange(event.target.value);
+    if (event.target.value !== resolvedValue) {
+      event.target.value = resolvedValue;
     }
-    try {
-      showStatus('Import du fichier à comparer...');
-      state.comparaison.cmp = await importFile(file);
-      console.log(
-        '[APP] Données importées (comparaison) =',
-        state.comparaison.cmp.headers.length,
-        'colonnes /',
-        state.comparaison.cmp.rows.length,
-        'lignes'
-      );
-    console.log('[DEBUG] change event', event.target.id, file && file.name);
-    if (!file) {
-      console.warn('[DEBUG] Aucun fichier sélectionné pour', event.target.id);
+    clearTimeout(keywordRefreshTimer);
+    if (state.filters.queryError) {
+      showError(state.filters.queryError);
       return;
     }
-      console.error(error);
-      showStatus(`Erreur lors de l'import du fichier de référence : ${error.message}`, true);
-    }
+    showStatus('');
+    // Le filtrage est relancé quand la frappe marque une pause
+    keywordRefreshTimer = setTimeout(refreshTable, KEYWORD_INPUT_DEBOUNCE_MS);
   });
 
-  document.getElementById('file-cmp').addEventListener('change', async (event) => {
-    const [file] = event.target.files || [];
-    if (!file) return;
-    try {
-      showStatus('Import du fichier à comparer...');
-      state.comparaison.cmp = await importFile(file);
-      state.selectedColumns = new Set(state.comparaison.cmp.headers);
-      renderComparisonTable();
-      showStatus(`Fichier à comparer "${file.name}" importé.`);
-    } catch (error) {
-      console.error('[IMPORT COMPARAISON] Erreur:', error);
-      showError(`Erreur lors de l'import du fichier à comparer : ${error.message}`);
-      showStatus(`Fichier à comparer \"${file.name}\" importé.`);
-    } catch (error) {
-      console.error(error);
-      showStatus(`Erreur lors de l'import du fichier à comparer : ${error.message}`, true);
-    }
+  document
+    .querySelector('.tables-zone .table-wrapper')
+    .addEventListener('scroll', scheduleVisibleRowsRender, { passive: true });
+
+  document.getElementById('task-cancel').addEventListener('click', cancelTrackedTask);
+
+  document.getElementById('export-toggle').addEventListener('click', () => {
+    document.getElementById('export-panel').classList.toggle('hidden');
+    renderExportOptions();
+  });
+  document.querySelectorAll('input[name="export-format"]').forEach((radio) => {
+    radio.addEventListener('change', renderExportOptions);
+  });
+  document.getElementById('export-confirm').addEventListener('click', exportDisplayedResults);
+  document.getElementById('profile-toggle').addEventListener('click', toggleProfilePanel);
+  document.getElementById('dedup-toggle').addEventListener('click', toggleDedupPanel);
+  document.querySelectorAll('input[name="dedup-mode"]').forEach((radio) => {
+    radio.addEventListener('change', (event) => updateDedupSettings({ mode: event.target.value }));
+  });
+  document.getElementById('dedup-strategy').addEventListener('change', (event) => {
+    updateDedupSettings({ strategy: event.target.value });
+  });
+  document.getElementById('dedup-apply').addEventListener('click', applyDeduplication);
+  document.getElementById('dedup-export').addEventListener('click', exportDeduplicatedDataset);
+  document.getElementById('dedup-close').addEventListener('click', () => {
+    document.getElementById('dedup-panel').classList.add('hidden');
+  });
+  document.getElementById('pivot-toggle').addEventListener('click', togglePivotPanel);
+  document.getElementById('computed-toggle').addEventListener('click', toggleComputedPanel);
+  document.getElementById('computed-name').addEventListener('input', renderComputedPreview);
+  document.getElementById('computed-expression').addEventListener('input', renderComputedPreview);
+  document.getElementById('computed-add').addEventListener('click', addComputedColumn);
+  document.getElementById('computed-close').addEventListener('click', () => {
+    document.getElementById('computed-panel').classList.add('hidden');
   });
+  renderExpressionFunctions();
+  document.getElementById('pivot-add-value').addEventListener('click', addPivotMeasure);
+  document.getElementById('pivot-export').addEventListener('click', exportPivotTable);
+  document.getElementById('pivot-close').addEventListener('click', () => {
+    document.getElementById('pivot-panel').classList.add('hidden');
+  });
+  document.getElementById('keyword-dashboard-filter').addEventListener('change', (event) => {
+    state.comparaison.hitFilter = event.target.value;
+    renderKeywordDashboard();
+  });
+  document.getElementById('keyword-dashboard-export').addEventListener('click', exportKeywordDashboard);
 
-  const keywordInput = document.getElementById('keywords');
-  keywordInput.addEventListener('input', (event) => {
-    const resolvedValue = handleKeywordInputChange(event.target.value);
-    if (event.target.value !== resolvedValue) {
-      event.target.value = resolvedValue;
-    }
-  document.getElementById('keywords').addEventListener('input', (event) => {
-    state.filters.keywords = parseKeywords(event.target.value);
-    refreshTable();
+  document.getElementById('column-filter-apply').addEventListener('click', applyColumnFilterFromPanel);
+  document.getElementById('column-filter-clear').addEventListener('click', clearEditedColumnFilter);
+  document.getElementById('column-filter-close').addEventListener('click', closeColumnFilter);
+  document.getElementById('column-filter-check-all').addEventListener('click', () => setColumnValuesChecked(true));
+  document.getElementById('column-filter-uncheck-all').addEventListener('click', () => setColumnValuesChecked(false));
+  document.getElementById('column-filter-search').addEventListener('input', (event) => {
+    filterColumnValueList(event.target.value);
+  });
+  document.getElementById('export-close').addEventListener('click', () => {
+    document.getElementById('export-panel').classList.add('hidden');
   });
 
   document.getElementById('case-sensitive').addEventListener('change', (event) => {
     state.caseSensitive = event.target.checked;
-    refreshTable();
+    applyMatchOptionsChange();
+  });
+
+  document.getElementById('ignore-accents').addEventListener('change', (event) => {
+    state.ignoreAccents = event.target.checked;
+    applyMatchOptionsChange();
+  });
+
+  document.getElementById('whole-word').addEventListener('change', (event) => {
+    state.wholeWord = event.target.checked;
+    applyMatchOptionsChange();
+  });
+
+  document.getElementById('match-mode').addEventListener('change', (event) => {
+    state.matchMode = event.target.value;
+    document.querySelector('.fuzzy-distance').classList.toggle('hidden', state.matchMode !== 'fuzzy');
+    applyMatchOptionsChange();
+  });
+
+  document.getElementById('fuzzy-distance').addEventListener('change', (event) => {
+    const distance = parseInt(event.target.value, 10);
+    state.fuzzyDistance = Number.isNaN(distance) ? 1 : Math.min(Math.max(distance, 1), 3);
+    event.target.value = state.fuzzyDistance;
+    applyMatchOptionsChange();
+  });
+
+  ['rule-min-length', 'rule-ignore-numeric', 'rule-split-tokens', 'rule-stop-words'].forEach((id) => {
+    document.getElementById(id).addEventListener('change', readExtractionRulesFromForm);
+  });
+
+  const thresholdInput = document.getElementById('match-threshold');
+  let thresholdTimer = null;
+  thresholdInput.addEventListener('input', (event) => {
+    state.comparaison.matchThreshold = Number(event.target.value) / 100;
+    document.getElementById('match-threshold-value').textContent = `${event.target.value} %`;
+    clearTimeout(thresholdTimer);
+    thresholdTimer = setTimeout(renderRowMatchTable, KEYWORD_INPUT_DEBOUNCE_MS);
+  });
+  document.getElementById('column-mapping-suggest').addEventListener('click', resetColumnMapping);
+  document.getElementById('match-reset').addEventListener('click', () => {
+    state.comparaison.matchDecisions = {};
+    renderRowMatchTable();
+  });
+
+  document.querySelectorAll('input[name="comparison-view"]').forEach((radio) => {
+    radio.addEventListener('change', (event) => {
+      state.comparaison.view = event.target.value;
+      resetTableAndStatus();
+      renderComparisonOptions();
+      refreshTable();
+    });
   });
 }
 
+/**
+ * Réapplique la recherche saisie après un changement d'options (le mode
+ * regex peut rendre la requête invalide, ou au contraire la rendre valide).
+ */
+function applyMatchOptionsChange() {
+  const input = document.getElementById('keywords');
+  handleKeywordInputChange(input.value);
+  if (state.filters.queryError) {
+    showError(state.filters.queryError);
+    return;
+  }
+  showStatus('');
+  refreshTable();
+}
+
 function toggleMode(mode) {
   const analyseImport = document.querySelector('.analyse-import');
   const comparaisonImport = document.querySelector('.comparaison-import');
@@ -262,11 +322,19 @@ function toggleMode(mode) {
     comparaisonImport.classList.remove('hidden');
     updateKeywordSummary();
   }
+  renderComparisonOptions();
+  renderProfilePanel();
+  renderComputedPanel();
+  renderDedupPanel();
+  renderImportReports();
 }
 
 function resetTableAndStatus() {
+  clearVirtualRows();
   document.querySelector('#data-table thead').innerHTML = '';
   document.querySelector('#data-table tbody').innerHTML = '';
+  document.getElementById('diff-summary').innerHTML = '';
+  clearTableView();
   showStatus('');
 }
 
@@ -284,23 +352,24 @@ function getFileExtension(name) {
   const extension = m ? m[1] : '';
   console.log('[APP] getFileExtension', name, '->', extension);
   return extension;
-  console.log('[DEBUG] getFileExtension', name, '->', extension);
-  return extension;
-  return m ? m[1] : '';
 }
 
-function readFileAsText(file) {
-  return new Promise((resolve, reject) => {
-    const reader = new FileReader();
-    reader.onload = () => resolve(reader.result);
-    reader.onerror = () => reject(reader.error);
-    reader.readAsText(file);
-  });
+async function readFileAsText(file, encoding) {
+  const buffer = await readFileAsArrayBuffer(file);
+  return decodeTextBuffer(buffer, encoding || detectTextEncoding(new Uint8Array(buffer)).encoding);
 }
 
 function readFileAsArrayBuffer(file) {
-  return new Promise((resolve, reject) => {
-    const reader = new FileReader();
+  return readFileJob(file).promise;
+}
+
+/**
+ * Lecture annulable d'un fichier : retourne { promise, cancel }, comme les
+ * tâches du worker, et signale les octets lus via onProgress.
+ */
+function readFileJob(file, { onProgress } = {}) {
+  const reader = new FileReader();
+  const promise = new Promise((resolve, reject) => {
     reader.onload = () => {
       const { result } = reader;
       console.log('[DEBUG] readFileAsArrayBuffer - type de résultat', typeof result, result && result.byteLength);
@@ -323,455 +392,7712 @@ function readFileAsArrayBuffer(file) {
       reject(new Error('Format de fichier non pris en charge pour la lecture en ArrayBuffer.'));
     };
     reader.onerror = () => reject(reader.error);
+    reader.onabort = () => reject(createCancelledError('Import annulé.'));
+    reader.onprogress = (event) => {
+      if (onProgress) {
+        onProgress({ bytesRead: event.loaded, totalBytes: event.total || file.size });
+      }
+    };
 
     if (reader.readAsArrayBuffer) {
       console.log('[DEBUG] readFileAsArrayBuffer - utilisation de readAsArrayBuffer');
       reader.readAsArrayBuffer(file);
     } else if (reader.readAsBinaryString) {
       console.log('[DEBUG] readFileAsArrayBuffer - fallback readAsBinaryString');
-      reader.readAsArrayBuffer(file);
-    } else if (reader.readAsBinaryString) {
       reader.readAsBinaryString(file);
     } else {
       reject(new Error('Cette plateforme ne permet pas la lecture des fichiers XLSX.'));
     }
-    reader.onload = () => resolve(reader.result);
-    reader.onerror = () => reject(reader.error);
-    reader.readAsArrayBuffer(file);
   });
+  return { promise, cancel: () => reader.abort() };
 }
 
-async function importXlsxFile(file) {
-  console.log('[APP XLSX] importXlsxFile:', file && file.name);
-  const buffer = await readFileAsArrayBuffer(file);
-  console.log('[APP XLSX] buffer length =', buffer.byteLength);
+// --- Détection d'encodage des fichiers texte ---
+const TEXT_ENCODINGS = [
+  { value: 'utf-8', label: 'UTF-8' },
+  { value: 'windows-1252', label: 'Windows-1252' },
+  { value: 'iso-8859-1', label: 'ISO-8859-1' },
+  { value: 'utf-16le', label: 'UTF-16 LE' },
+  { value: 'utf-16be', label: 'UTF-16 BE' },
+];
 
-  console.log('[APP XLSX] typeof XLSX =', typeof XLSX);
-  if (typeof XLSX === 'undefined') {
-    throw new Error('Bibliothèque SheetJS non disponible.');
-  }
+// Taille analysée pour la détection et l'aperçu (les exports ERP dépassent
+// rarement l'ASCII dans leurs premières lignes, d'où un échantillon large).
+const ENCODING_SAMPLE_BYTES = 1024 * 1024;
+const ENCODING_PREVIEW_BYTES = 64 * 1024;
 
-  const workbook = XLSX.read(buffer, { type: 'array' });
-  console.log('[APP XLSX] Sheets =', workbook.SheetNames);
+/**
+ * Devine l'encodage d'un fichier texte à partir de ses octets :
+ * BOM éventuel, sinon validité UTF-8, sinon Windows-1252 si des octets
+ * 0x80-0x9F apparaissent (€, œ, guillemets typographiques…), ISO-8859-1 sinon.
+ * Retourne { encoding, bom, reason }.
+ */
+function detectTextEncoding(bytes) {
+  if (bytes.length >= 3 && bytes[0] === 0xef && bytes[1] === 0xbb && bytes[2] === 0xbf) {
+    return { encoding: 'utf-8', bom: true, reason: 'BOM UTF-8' };
+  }
+  if (bytes.length >= 2 && bytes[0] === 0xff && bytes[1] === 0xfe) {
+    return { encoding: 'utf-16le', bom: true, reason: 'BOM UTF-16 LE' };
+  }
+  if (bytes.length >= 2 && bytes[0] === 0xfe && bytes[1] === 0xff) {
+    return { encoding: 'utf-16be', bom: true, reason: 'BOM UTF-16 BE' };
+  }
 
-  const sheetName = workbook.SheetNames[0];
-  const sheet = workbook.Sheets[sheetName];
-  const data = XLSX.utils.sheet_to_json(sheet, { header: 1 });
-  console.log('[APP XLSX] rows =', data.length);
+  const sample = bytes.subarray(0, ENCODING_SAMPLE_BYTES);
+  const truncated = bytes.length > sample.length;
+  if (isValidUTF8(sample, truncated)) {
+    return { encoding: 'utf-8', bom: false, reason: 'séquences UTF-8 valides' };
+  }
 
-  if (!data || data.length === 0) {
-    return { headers: [], rows: [] };
+  const hasWindowsBytes = sample.some((byte) => byte >= 0x80 && byte <= 0x9f);
+  if (hasWindowsBytes) {
+    return { encoding: 'windows-1252', bom: false, reason: 'octets 0x80-0x9F présents' };
   }
+  return { encoding: 'iso-8859-1', bom: false, reason: 'octets non UTF-8' };
+}
 
-  const rawHeaders = data[0];
-  const headers = rawHeaders.map((h, i) =>
-    h != null && String(h).trim() !== '' ? String(h).trim() : `Colonne ${i + 1}`
-  );
+/**
+ * Vérifie qu'une suite d'octets est de l'UTF-8 valide. Si l'échantillon est
+ * tronqué, une séquence incomplète en toute fin est tolérée.
+ */
+function isValidUTF8(bytes, truncated = false) {
+  let i = 0;
+  while (i < bytes.length) {
+    const byte = bytes[i];
+    let length = 0;
+    if (byte < 0x80) {
+      i++;
+      continue;
+    } else if (byte >= 0xc2 && byte <= 0xdf) {
+      length = 2;
+    } else if (byte >= 0xe0 && byte <= 0xef) {
+      length = 3;
+    } else if (byte >= 0xf0 && byte <= 0xf4) {
+      length = 4;
+    } else {
+      return false;
+    }
 
-  const rows = [];
-  for (let i = 1; i < data.length; i++) {
-    const rowArray = data[i] || [];
-    const rowObj = {};
-    headers.forEach((h, idx) => {
-      rowObj[h] = rowArray[idx] != null ? rowArray[idx] : '';
-    });
-    rows.push(rowObj);
+    if (i + length > bytes.length) {
+      return truncated;
+    }
+    for (let k = 1; k < length; k++) {
+      if ((bytes[i + k] & 0xc0) !== 0x80) {
+        return false;
+      }
+    }
+    i += length;
   }
+  return true;
+}
 
-  console.log('[APP XLSX] headers:', headers.length, 'rows:', rows.length);
-  return { headers, rows };
+/**
+ * Décode un ArrayBuffer (ou Uint8Array) dans l'encodage donné et retire
+ * le BOM éventuel. Les navigateurs décodent ISO-8859-1 comme Windows-1252,
+ * dont il est un sous-ensemble pour les caractères imprimables.
+ */
+function decodeTextBuffer(buffer, encoding = 'utf-8') {
+  const text = encoding === 'windows-1252' ? decodeWindows1252(buffer) : new TextDecoder(encoding).decode(buffer);
+  return text.charCodeAt(0) === 0xfeff ? text.slice(1) : text;
 }
 
-function detectCSVSeparator(text) {
-  const separators = [';', ',', '\t', '|'];
-  const lines = text.split(/\r?\n/).filter(Boolean).slice(0, 5);
-  let bestSeparator = ',';
-  let bestScore = -Infinity;
+// Caractères Windows-1252 de la plage 0x80-0x9F (les autres octets
+// correspondent directement aux points de code Latin-1).
+const WINDOWS_1252_C1 = {
+  0x80: '€', 0x82: '‚', 0x83: 'ƒ', 0x84: '„', 0x85: '…', 0x86: '†', 0x87: '‡', 0x88: 'ˆ',
+  0x89: '‰', 0x8a: 'Š', 0x8b: '‹', 0x8c: 'Œ', 0x8e: 'Ž', 0x91: '‘', 0x92: '’', 0x93: '“',
+  0x94: '”', 0x95: '•', 0x96: '–', 0x97: '—', 0x98: '˜', 0x99: '™', 0x9a: 'š', 0x9b: '›',
+  0x9c: 'œ', 0x9e: 'ž', 0x9f: 'Ÿ',
+};
 
-  separators.forEach((sep) => {
-    let score = 0;
-    lines.forEach((line) => {
-      const parts = line.split(sep);
-      score += parts.length;
-    });
-    if (score > bestScore) {
-      bestScore = score;
-      bestSeparator = sep;
+/**
+ * Décodage Windows-1252 explicite : certains moteurs (Node notamment)
+ * traitent ce label comme du Latin-1 et perdent €, œ, ’…
+ */
+function decodeWindows1252(buffer) {
+  const bytes = buffer instanceof Uint8Array ? buffer : new Uint8Array(buffer);
+  const chunks = [];
+  const CHUNK_SIZE = 8192;
+  for (let start = 0; start < bytes.length; start += CHUNK_SIZE) {
+    let chunk = '';
+    const end = Math.min(start + CHUNK_SIZE, bytes.length);
+    for (let i = start; i < end; i++) {
+      const byte = bytes[i];
+      chunk += WINDOWS_1252_C1[byte] || String.fromCharCode(byte);
     }
-  });
-
-  return bestSeparator;
+    chunks.push(chunk);
+  }
+  return chunks.join('');
 }
 
-function parseCSV(text) {
-  console.log('[DEBUG] parseCSV - longueur du texte', text.length);
-  const separator = detectCSVSeparator(text);
-  const rows = [];
-  const lines = text
-    .split(/\r?\n/)
-    .map((line) => line.trim())
-    .filter((line) => line.length > 0);
+// --- Formats d'import ---
+// Chaque format déclare ses extensions, les contenus qu'il sait lire (voir
+// sniffImportContent), parse(buffer, options) synchrone, utilisé par la CLI
+// et les tâches de fond, et load(file, buffer, options) pour l'import dans
+// le navigateur (fenêtres de choix, worker). Tous retournent un jeu de
+// données { headers, rows, … }.
+const IMPORTERS = [];
+// Extensions sans format propre : le contenu décide (CSV ou largeur fixe).
+const TEXT_FILE_EXTENSIONS = ['txt', 'dat'];
+const ZIP_SIGNATURE = [0x50, 0x4b, 0x03, 0x04];
+const OLE_SIGNATURE = [0xd0, 0xcf, 0x11, 0xe0, 0xa1, 0xb1, 0x1a, 0xe1];
+const SNIFF_SAMPLE_BYTES = 4096;
+// Début lu pour vérifier qu'un contenu commençant par [ ou { est du JSON
+const JSON_SNIFF_BYTES = 64 * 1024;
 
-  if (lines.length === 0) {
-    return { headers: [], rows: [] };
-  }
+function registerImporter(importer) {
+  IMPORTERS.push(importer);
+}
 
-  const headers = splitCSVLine(lines[0], separator).map((h, index) =>
-    h ? h.trim() : `Colonne ${index + 1}`
-  );
+function getImporter(id) {
+  return IMPORTERS.find((importer) => importer.id === id) || null;
+}
 
-  for (let i = 1; i < lines.length; i++) {
-    const parts = splitCSVLine(lines[i], separator);
-    const row = {};
-    headers.forEach((header, index) => {
-      row[header] = parts[index] != null ? parts[index] : '';
-    });
-    rows.push(row);
-  }
+/**
+ * Valeur de l'attribut accept des champs fichier (".csv,.tsv,…").
+ */
+function importerAcceptList() {
+  const extensions = IMPORTERS.flatMap((importer) => importer.extensions).concat(TEXT_FILE_EXTENSIONS);
+  return [...new Set(extensions)].map((extension) => `.${extension}`).join(',');
+}
 
-  return { headers, rows };
+function hasSignature(bytes, signature) {
+  return bytes.length >= signature.length && signature.every((byte, index) => bytes[index] === byte);
 }
 
-function splitCSVLine(line, separator) {
-  const result = [];
-  let current = '';
-  let inQuotes = false;
+function decodeSample(bytes, size = SNIFF_SAMPLE_BYTES) {
+  const sample = bytes.subarray(0, size);
+  return decodeTextBuffer(sample, detectTextEncoding(sample).encoding);
+}
 
-  for (let i = 0; i < line.length; i++) {
-    const char = line[i];
-    const nextChar = line[i + 1];
+/**
+ * Nature du contenu d'après ses premiers octets : 'workbook' (classeur
+ * zip ou OLE : xlsx, ods, xls), 'markup' (XML / HTML, anciens exports
+ * "xls"), 'json', 'text' ou 'binary' (illisible).
+ */
+function sniffImportContent(bytes) {
+  if (hasSignature(bytes, ZIP_SIGNATURE) || hasSignature(bytes, OLE_SIGNATURE)) return 'workbook';
+  const text = decodeSample(bytes).trimStart();
+  if (text.includes('\u0000')) return 'binary';
+  if (text.startsWith('<')) return 'markup';
+  if (text.startsWith('[') || text.startsWith('{')) return 'json';
+  return 'text';
+}
 
-    if (char === '"') {
-      if (inQuotes && nextChar === '"') {
-        current += '"';
-        i++;
-      } else {
-        inQuotes = !inQuotes;
-      }
-    } else if (char === separator && !inQuotes) {
-      result.push(current.trim());
-      current = '';
-    } else {
-      current += char;
+/**
+ * Contenu JSON d'après son début seulement (le fichier entier est lu plus
+ * tard, dans le worker) : petit fichier lisible en entier, première ligne
+ * d'un NDJSON, ou ouverture d'un tableau d'enregistrements / d'un objet.
+ */
+function isJSONContent(bytes) {
+  const complete = bytes.length <= JSON_SNIFF_BYTES;
+  const text = decodeSample(bytes, JSON_SNIFF_BYTES).trim();
+  const parses = (candidate) => {
+    try {
+      JSON.parse(candidate);
+      return true;
+    } catch (error) {
+      return false;
     }
-  }
-
-  result.push(current.trim());
-  return result;
+  };
+  if (complete && parses(text)) return true;
+  const lines = text.split(/\r?\n/, 2);
+  if (lines.length > 1 && lines[0].startsWith('{') && parses(lines[0])) return true;
+  return !complete && /^(\[\s*(\{\s*"|\[)|\{\s*"(?:[^"\\]|\\.)*"\s*:)/.test(text);
 }
 
-async function importXlsxFile(file) {
-  console.log('[APP] importXlsxFile -> lecture', file && file.name);
-  if (file && typeof file.size === 'number') {
-    console.log('[APP] importXlsxFile file size =', file.size, 'bytes');
+/**
+ * Format d'un fichier : celui de son extension si le contenu lui
+ * correspond, sinon le premier format qui reconnaît le contenu (extension
+ * absente ou trompeuse). Seules une signature de classeur ou un JSON
+ * valide l'emportent sur une extension texte : "[Code];Libellé" ou
+ * "<Réf>;Prix" restent des CSV. Retourne { importer, sniffed }, sniffed
+ * indiquant que l'extension n'a pas été suivie.
+ */
+function resolveImporter(fileName, bytes) {
+  const extension = getFileExtension(fileName);
+  const byExtension = IMPORTERS.find((importer) => importer.extensions.includes(extension));
+  let content = sniffImportContent(bytes);
+  // Extension .json / .ndjson : suivie sans relire le contenu
+  const jsonExtension = Boolean(byExtension) && byExtension.contents.includes('json');
+  if (content === 'json' && !jsonExtension && !isJSONContent(bytes)) {
+    content = 'text';
   }
-  const buffer = await readFileAsArrayBuffer(file);
-  console.log('[APP] importXlsxFile buffer length =', buffer.byteLength);
-  console.log('[APP] typeof XLSX =', typeof XLSX);
-function parseXLSX(arrayBuffer) {
-  console.log('[DEBUG] parseXLSX: buffer length', arrayBuffer && arrayBuffer.byteLength);
-  console.log('[DEBUG] XLSX global :', typeof XLSX);
-  if (typeof XLSX === 'undefined') {
-    throw new Error('Bibliothèque SheetJS non disponible. Vérifiez le chargement du CDN.');
+  if (content === 'markup' && byExtension && byExtension.contents.includes('text')) {
+    content = 'text';
+  }
+  if (byExtension && byExtension.contents.includes(content)) {
+    return { importer: byExtension, sniffed: false };
   }
 
-  const workbook = XLSX.read(buffer, { type: 'array' });
-  console.log('[APP] importXlsxFile sheets =', workbook.SheetNames);
-
-  const data = arrayBuffer instanceof ArrayBuffer ? new Uint8Array(arrayBuffer) : arrayBuffer;
-  const workbook = XLSX.read(data, { type: 'array' });
-  const sheetName = workbook.SheetNames[0];
-  const sheet = workbook.Sheets[sheetName];
-  if (!sheet) {
-    throw new Error('Aucune feuille lisible trouvée dans le fichier XLSX.');
+  const importer = IMPORTERS.find(
+    (candidate) => candidate.contents.includes(content) && (!candidate.detect || candidate.detect(bytes))
+  );
+  if (!importer) {
+    throw new Error(`Type de fichier non supporté : ${extension || fileName}.`);
   }
+  return { importer, sniffed: Boolean(extension) && !TEXT_FILE_EXTENSIONS.includes(extension) };
+}
 
-  const matrix = XLSX.utils.sheet_to_json(sheet, { header: 1 });
-  console.log('[APP] importXlsxFile data rows =', matrix.length);
+/**
+ * Import d'un fichier dans le navigateur, quel que soit son format. Avec
+ * { interactive: false } (import par lot), aucune fenêtre de choix :
+ * encodage et découpage détectés, première feuille du classeur.
+ */
+async function importDataFile(file, { interactive = true } = {}) {
+  const buffer = await trackBackgroundTask('Lecture du fichier', (onProgress) => readFileJob(file, { onProgress })).promise;
+  const { importer, sniffed } = resolveImporter(file.name, new Uint8Array(buffer));
+  console.log('[APP] Format retenu pour', file.name, '=', importer.id, sniffed ? "(d'après le contenu)" : '');
 
-  return convertMatrixToDataset(matrix);
+  const data = await importer.load(file, buffer, { interactive });
+  data.validation = data.validation || createValidation();
+  data.validation.format = { id: importer.id, label: importer.label, sniffed, extension: getFileExtension(file.name) };
+  return data;
 }
 
-function convertMatrixToDataset(matrix) {
-  if (!matrix || matrix.length === 0) {
-    return { headers: [], rows: [] };
-  }
+/**
+ * Fichier texte délimité (CSV, TSV) : choix de l'encodage puis découpage
+ * dans le worker. separator est imposé par le format ou détecté.
+ */
+async function importCsvFile(file, buffer, { interactive = true, separator } = {}) {
+  const detected = detectTextEncoding(new Uint8Array(buffer));
+  console.log('[APP] importCsvFile encodage détecté =', detected.encoding, '-', detected.reason);
 
-  const rawHeaders = matrix[0] || [];
-  const headers = rawHeaders.map((h, i) =>
-    h != null && String(h).trim() !== '' ? String(h).trim() : `Colonne ${i + 1}`
-  );
+  const encoding = interactive
+    ? await promptEncodingSelection(file.name, new Uint8Array(buffer), detected, (text) => parseCSV(text, { separator }))
+    : detected.encoding;
+  return trackBackgroundTask('Analyse du CSV', (onProgress) =>
+    getTaskRunner().run('parseCSV', { buffer, encoding, separator }, { onProgress })
+  ).promise;
+}
 
-  const rows = [];
+async function importXlsxFile(file, buffer, { interactive = true } = {}) {
+  console.log('[APP XLSX] importXlsxFile:', file && file.name, '-', buffer.byteLength, 'bytes');
+  const workbookSheets = await trackBackgroundTask('Lecture du classeur', (onProgress) =>
+    getTaskRunner().run('readWorkbook', { buffer }, { onProgress })
+  ).promise;
+  const sheets = describeWorkbookSheets(workbookSheets);
+  if (sheets.length === 0) {
+    throw new Error('Aucune feuille lisible trouvée dans le classeur.');
+  }
 
-  for (let i = 1; i < matrix.length; i++) {
-    const rowArray = matrix[i] || [];
-    const rowObj = {};
-    headers.forEach((header, index) => {
-      rowObj[header] = rowArray[index] != null ? rowArray[index] : '';
-  const workbook = XLSX.read(arrayBuffer, { type: 'array' });
-  const sheetName = workbook.SheetNames[0];
-  const sheet = workbook.Sheets[sheetName];
-  const json = XLSX.utils.sheet_to_json(sheet, { header: 1 });
+  let selectedSheets = sheets.slice(0, 1);
+  if (sheets.length > 1 && interactive) {
+    const selectedNames = await promptSheetSelection(file.name, sheets);
+    selectedSheets = sheets.filter((sheet) => selectedNames.includes(sheet.name));
+  }
 
-  const headers = (json[0] || []).map((h, i) => (h && String(h).trim()) || `Colonne ${i + 1}`);
-  const rows = [];
+  const data = combineSheetMatrices(selectedSheets);
+  console.log('[APP XLSX] headers:', data.headers.length, 'rows:', data.rows.length);
+  return data;
+}
 
-  for (let i = 1; i < json.length; i++) {
-    const rowArray = json[i];
-    if (!rowArray) continue;
-    const rowObj = {};
-    headers.forEach((h, colIndex) => {
-      rowObj[h] = rowArray[colIndex] != null ? rowArray[colIndex] : '';
-    });
-    rows.push(rowObj);
+/**
+ * Fichier à largeur fixe : encodage, puis positions de coupure proposées
+ * et modifiables dans l'éditeur de colonnes.
+ */
+async function importFixedWidthFile(file, buffer, { interactive = true } = {}) {
+  const bytes = new Uint8Array(buffer);
+  const detected = detectTextEncoding(bytes);
+  let encoding = detected.encoding;
+  let boundaries = guessFixedWidthBoundaries(decodeSample(bytes, ENCODING_PREVIEW_BYTES));
+  if (interactive) {
+    encoding = await promptEncodingSelection(file.name, bytes, detected, (text) =>
+      parseFixedWidth(text, guessFixedWidthBoundaries(text))
+    );
+    const sample = decodeTextBuffer(bytes.subarray(0, ENCODING_PREVIEW_BYTES), encoding);
+    boundaries = await promptFixedWidthBoundaries(file.name, sample, guessFixedWidthBoundaries(sample));
   }
+  return runImportTask('Analyse du fichier', 'fixed', buffer, { encoding, boundaries });
+}
 
-  return { headers, rows };
+function runImportTask(label, format, buffer, options) {
+  return trackBackgroundTask(label, (onProgress) =>
+    getTaskRunner().run('parseImport', { format, buffer, options }, { onProgress })
+  ).promise;
 }
 
-async function importFile(file) {
-  console.log('[APP] importFile - fichier reçu', file && file.name);
-  const ext = getFileExtension(file.name);
-  console.log('[APP] Extension détectée :', ext);
-  console.log('[DEBUG] importFile - fichier reçu', file && file.name);
-  const ext = getFileExtension(file.name);
-  console.log('[DEBUG] Extension détectée :', ext);
-  const ext = getFileExtension(file.name);
-  if (ext === 'csv') {
-    const text = await readFileAsText(file);
-    return parseCSV(text);
-  } else if (ext === 'xlsx') {
-    return importXlsxFile(file);
-    const buffer = await readFileAsArrayBuffer(file);
-    return parseXLSX(buffer);
-  }
-  throw new Error('Type de fichier non supporté : ' + ext);
+function decodeImportText(buffer, encoding) {
+  const resolved = encoding || detectTextEncoding(new Uint8Array(buffer)).encoding;
+  return { text: decodeTextBuffer(buffer, resolved), encoding: resolved };
 }
 
-// --- Gestion des mots-clés et filtrage ---
-function parseKeywords(raw) {
-  return raw
-    .split(',')
-    .map((keyword) => keyword.trim())
-    .filter((keyword) => keyword.length > 0);
+function parseDelimitedBuffer(buffer, { encoding, separator } = {}) {
+  const decoded = decodeImportText(buffer, encoding);
+  const data = parseCSV(decoded.text, { separator });
+  data.encoding = decoded.encoding;
+  return data;
 }
 
-function extractKeywordsFromReference(refData) {
-  if (!refData) return [];
-  const unique = new Set();
-  refData.rows.forEach((row) => {
-    Object.values(row).forEach((value) => {
-      if (value != null && String(value).trim() !== '') {
-        unique.add(String(value).trim());
+registerImporter({
+  id: 'workbook',
+  label: 'Classeur (xlsx, xls, ods)',
+  extensions: ['xlsx', 'xlsm', 'xls', 'ods'],
+  contents: ['workbook', 'markup'],
+  load: importXlsxFile,
+  parse(buffer, { sheets, fileName = 'le classeur' } = {}) {
+    const workbookSheets = readWorkbookSheets(buffer);
+    const names = workbookSheets.map((sheet) => sheet.name);
+    const missing = (sheets || []).filter((name) => !names.includes(name));
+    if (missing.length) {
+      throw new Error(`Feuille(s) absente(s) de "${fileName}" : ${missing.join(', ')}. Feuilles : ${names.join(', ')}.`);
+    }
+    const selected = sheets ? workbookSheets.filter((sheet) => sheets.includes(sheet.name)) : workbookSheets.slice(0, 1);
+    if (selected.length === 0) {
+      throw new Error(`Aucune feuille lisible dans "${fileName}".`);
+    }
+    return combineSheetMatrices(selected);
+  },
+});
+
+registerImporter({
+  id: 'json',
+  label: 'JSON',
+  extensions: ['json', 'ndjson', 'jsonl'],
+  contents: ['json'],
+  // JSON est de l'UTF-8 (RFC 8259) : pas de choix d'encodage
+  load: (file, buffer) => runImportTask('Analyse du JSON', 'json', buffer, {}),
+  parse(buffer, { encoding } = {}) {
+    const decoded = decodeImportText(buffer, encoding);
+    const data = parseJSONRecords(decoded.text);
+    data.encoding = decoded.encoding;
+    return data;
+  },
+});
+
+registerImporter({
+  id: 'fixed',
+  label: 'Texte à largeur fixe',
+  extensions: ['prn', 'fwf'],
+  contents: ['text'],
+  detect: (bytes) => looksFixedWidth(decodeSample(bytes, ENCODING_PREVIEW_BYTES)),
+  load: importFixedWidthFile,
+  parse(buffer, { encoding, boundaries } = {}) {
+    const decoded = decodeImportText(buffer, encoding);
+    const data = parseFixedWidth(decoded.text, boundaries || guessFixedWidthBoundaries(decoded.text));
+    data.encoding = decoded.encoding;
+    return data;
+  },
+});
+
+registerImporter({
+  id: 'csv',
+  label: 'CSV',
+  extensions: ['csv'],
+  contents: ['text'],
+  load: importCsvFile,
+  parse: parseDelimitedBuffer,
+});
+
+registerImporter({
+  id: 'tsv',
+  label: 'TSV (tabulations)',
+  extensions: ['tsv', 'tab'],
+  contents: ['text'],
+  load: (file, buffer, options) => importCsvFile(file, buffer, { ...options, separator: '\t' }),
+  parse: (buffer, options = {}) => parseDelimitedBuffer(buffer, { ...options, separator: '\t' }),
+});
+
+// --- JSON et NDJSON ---
+/**
+ * Lit un tableau JSON d'objets (ou un objet qui en contient un, comme
+ * { "data": [...] }), ou du NDJSON (un objet par ligne, lignes invalides
+ * signalées dans errors). Retourne { headers, rows, errors, validation }.
+ */
+function parseJSONRecords(text) {
+  const trimmed = text.trim();
+  let records;
+  const errors = [];
+  try {
+    records = extractJSONRecords(JSON.parse(trimmed));
+  } catch (error) {
+    const lines = trimmed.split(/\r?\n/);
+    if (!trimmed.startsWith('{') || lines.length < 2) {
+      throw new Error(`JSON invalide : ${error.message}`);
+    }
+    records = [];
+    lines.forEach((line, index) => {
+      if (line.trim() === '') return;
+      try {
+        records.push(JSON.parse(line));
+      } catch (lineError) {
+        errors.push({ line: index + 1, type: 'json', message: 'JSON invalide' });
       }
     });
-  });
-  return Array.from(unique);
+  }
+  return buildJSONDataset(records, errors);
 }
 
-function updateKeywordSummary() {
-  const summary = document.getElementById('keyword-summary');
-  if (state.mode !== 'comparaison' || !state.comparaison.keywords.length) {
-    summary.style.display = 'none';
-    summary.textContent = '';
-    return;
+/**
+ * Enregistrements d'un document JSON : le tableau lui-même, le tableau
+ * d'objets d'une enveloppe ({ "articles": [...] }), sinon l'objet comme
+ * un seul enregistrement ({ "id": 1, "tags": ["a", "b"] }).
+ */
+function extractJSONRecords(value) {
+  if (Array.isArray(value)) return value;
+  if (value && typeof value === 'object') {
+    const arrays = Object.values(value).filter((item) => Array.isArray(item));
+    const wrapped =
+      arrays.find((items) => items.length > 0 && items.every((item) => item !== null && typeof item === 'object')) ||
+      (arrays.length === 1 && Object.keys(value).length === 1 ? arrays[0] : null);
+    return wrapped || [value];
   }
-  summary.style.display = 'block';
-  summary.textContent = `${state.comparaison.keywords.length} mots-clés extraits du fichier de référence.`;
+  return [value];
 }
 
-function updateSelectedColumns(header, checked) {
-  if (checked) {
-    state.selectedColumns.add(header);
+/**
+ * Aplatit un objet JSON en cellules : objets imbriqués en "a.b", listes de
+ * valeurs jointes par ", " (listes d'objets gardées en JSON).
+ */
+function flattenJSONRecord(value, prefix = '', cells = {}) {
+  if (value && typeof value === 'object' && !Array.isArray(value)) {
+    Object.entries(value).forEach(([key, item]) => {
+      flattenJSONRecord(item, prefix ? `${prefix}.${key}` : key, cells);
+    });
+    return cells;
+  }
+  const name = prefix || 'Valeur';
+  if (Array.isArray(value)) {
+    cells[name] = value.every((item) => item === null || typeof item !== 'object')
+      ? value.map((item) => (item == null ? '' : String(item))).join(', ')
+      : JSON.stringify(value);
+  } else if (typeof value === 'boolean') {
+    cells[name] = value ? 'vrai' : 'faux';
   } else {
-    state.selectedColumns.delete(header);
+    cells[name] = value == null ? '' : value;
   }
+  return cells;
+}
 
-  if (state.selectedColumns.size === 0) {
-    showStatus('Aucune colonne sélectionnée, réinitialisation sur toutes les colonnes.');
-    const headers = currentHeaders();
-    state.selectedColumns = new Set(headers);
-    renderColumnCheckboxes(headers);
+function buildJSONDataset(records, errors = []) {
+  // Tableau de tableaux : la première ligne donne les en-têtes
+  if (records.length > 0 && records.every((record) => Array.isArray(record))) {
+    const data = convertMatrixToDataset(records);
+    data.errors = errors;
+    return data;
   }
 
-  refreshTable();
+  const flattened = records.map((record) => flattenJSONRecord(record));
+  const keys = [];
+  const seen = new Set();
+  flattened.forEach((cells) => {
+    Object.keys(cells).forEach((key) => {
+      if (!seen.has(key)) {
+        seen.add(key);
+        keys.push(key);
+      }
+    });
+  });
+  const { headers, issues } = normalizeHeaders(keys);
+  const rows = flattened.map((cells) => {
+    const row = {};
+    keys.forEach((key, index) => {
+      row[headers[index]] = cells[key] != null ? cells[key] : '';
+    });
+    return row;
+  });
+  return attachColumnTypes({ headers, rows, errors, validation: createValidation(issues) });
 }
 
-function currentHeaders() {
-  if (state.mode === 'analyse' && state.analyse) {
-    return state.analyse.headers;
-  }
-  if (state.mode === 'comparaison' && state.comparaison.cmp) {
-    return state.comparaison.cmp.headers;
-  }
-  return [];
-}
+// --- Texte à largeur fixe ---
+// boundaries : positions (index de caractère, 0 exclu) où commence chaque
+// colonne après la première.
 
-function filterRowsByKeywords(rows, headers) {
-  const keywords = state.filters.keywords;
-  if (!keywords.length && state.mode === 'analyse') {
-    // En mode analyse, si aucun mot-clé, on affiche toutes les lignes
-    return rows.map((row) => ({ row, matches: [] }));
+/**
+ * Propose des coupures là où une colonne de caractères est vide sur toutes
+ * les lignes de l'échantillon et la suivante ne l'est pas.
+ */
+function guessFixedWidthBoundaries(text) {
+  const lines = text
+    .slice(0, SEPARATOR_SAMPLE_CHARS)
+    .split(/\r?\n/)
+    .filter((line) => line.trim() !== '')
+    .slice(0, 50);
+  if (lines.length < 2) return [];
+  const width = lines.reduce((max, line) => Math.max(max, line.length), 0);
+  const blank = [];
+  for (let position = 0; position < width; position++) {
+    blank.push(lines.every((line) => position >= line.length || line[position] === ' '));
+  }
+  const boundaries = [];
+  for (let position = blank.indexOf(false) + 1; position < width; position++) {
+    if (blank[position - 1] && !blank[position]) boundaries.push(position);
+  }
+  return boundaries;
+}
+
+/**
+ * Texte aligné en colonnes sans séparateur régulier, ou dont le séparateur
+ * apparent ne découpe pas la ligne d'en-tête (virgules décimales).
+ */
+function looksFixedWidth(text) {
+  if (guessFixedWidthBoundaries(text).length === 0) return false;
+  const { separator, confidence } = analyseCSVSeparator(text);
+  const header = text.split(/\r?\n/).find((line) => line.trim() !== '') || '';
+  return confidence < 0.5 || !header.includes(separator);
+}
+
+function splitFixedWidthLine(line, boundaries) {
+  const starts = [0, ...boundaries];
+  return starts.map((start, index) => line.slice(start, starts[index + 1]).trim());
+}
+
+function parseFixedWidth(text, boundaries) {
+  const records = [];
+  text.split(/\r?\n/).forEach((line, index) => {
+    if (line.trim() === '') return;
+    records.push({ fields: splitFixedWidthLine(line, boundaries), line: index + 1 });
+  });
+  return buildCSVDataset(records, []);
+}
+
+/**
+ * SheetJS : global XLSX chargé par le CDN dans le navigateur et le worker,
+ * paquet npm "xlsx" sous Node (CLI, tests). null si indisponible.
+ */
+function getSheetJS() {
+  if (typeof XLSX !== 'undefined') return XLSX;
+  if (typeof require === 'function') {
+    try {
+      return require('xlsx');
+    } catch (error) {
+      return null;
+    }
+  }
+  return null;
+}
+
+/**
+ * Lit toutes les feuilles d'un classeur SheetJS sous forme de matrices.
+ * Retourne [{ name, matrix }] dans l'ordre du classeur.
+ */
+function readWorkbookSheets(arrayBuffer) {
+  console.log('[DEBUG] readWorkbookSheets: buffer length', arrayBuffer && arrayBuffer.byteLength);
+  const sheetJS = getSheetJS();
+  console.log('[DEBUG] SheetJS disponible :', Boolean(sheetJS));
+  if (!sheetJS) {
+    throw new Error('Bibliothèque SheetJS non disponible. Vérifiez le chargement du CDN.');
+  }
+
+  const data = arrayBuffer instanceof ArrayBuffer ? new Uint8Array(arrayBuffer) : arrayBuffer;
+  const workbook = sheetJS.read(data, { type: 'array', cellDates: true });
+  console.log('[APP XLSX] Sheets =', workbook.SheetNames);
+
+  return workbook.SheetNames.filter((name) => workbook.Sheets[name]).map((name) => ({
+    name,
+    matrix: sheetJS.utils.sheet_to_json(workbook.Sheets[name], { header: 1 }),
+  }));
+}
+
+/**
+ * Parse un classeur et retourne { headers, rows } pour les feuilles demandées
+ * (première feuille par défaut).
+ */
+function parseXLSX(arrayBuffer, sheetNames) {
+  const sheets = readWorkbookSheets(arrayBuffer);
+  const selected = sheetNames && sheetNames.length
+    ? sheets.filter((sheet) => sheetNames.includes(sheet.name))
+    : sheets.slice(0, 1);
+  if (selected.length === 0) {
+    throw new Error('Aucune feuille lisible trouvée dans le fichier XLSX.');
+  }
+  return combineSheetMatrices(selected);
+}
+
+/**
+ * Ajoute à chaque feuille son nombre de lignes de données (hors en-tête et
+ * lignes vides) et son nombre de colonnes, pour le sélecteur de feuilles.
+ */
+function describeWorkbookSheets(sheets) {
+  return sheets.map((sheet) => {
+    const matrix = sheet.matrix || [];
+    const rowCount = matrix
+      .slice(1)
+      .filter((row) => row && row.some((cell) => cell != null && String(cell).trim() !== '')).length;
+    const columnCount = matrix.reduce((max, row) => Math.max(max, row ? row.length : 0), 0);
+    return { name: sheet.name, matrix, rowCount, columnCount };
+  });
+}
+
+/**
+ * Construit un jeu de données à partir d'une ou plusieurs feuilles.
+ * Avec plusieurs feuilles, les colonnes sont réunies et une colonne
+ * "Feuille" (ou "Feuille (2)" si une feuille a déjà une colonne "Feuille")
+ * indique l'origine de chaque ligne (voir mergeDatasets).
+ */
+function combineSheetMatrices(sheets) {
+  if (sheets.length === 1) {
+    return convertMatrixToDataset(sheets[0].matrix);
+  }
+  return mergeDatasets(
+    SHEET_SOURCE_COLUMN,
+    sheets.map((sheet) => ({ source: sheet.name, data: convertMatrixToDataset(sheet.matrix) }))
+  );
+}
+
+/**
+ * Réunit plusieurs jeux de données [{ source, data }] : colonnes dans
+ * l'ordre de première apparition, précédées de sourceColumn qui indique
+ * l'origine de chaque ligne (feuille ou fichier). Les cellules absentes
+ * restent vides ; sources garde le nombre de lignes de chaque origine.
+ * Deux origines de même nom (fichiers homonymes de dossiers différents)
+ * sont distinguées comme les en-têtes en double : "tarif.csv (2)" ; de
+ * même pour sourceColumn si une des sources a déjà une colonne de ce nom
+ * (le nom retenu est dans sourceColumn du résultat).
+ */
+function mergeDatasets(requestedSourceColumn, parts) {
+  const sourceColumn = uniqueName(requestedSourceColumn, new Set(parts.flatMap(({ data }) => data.headers)));
+  const headers = [sourceColumn];
+  const rows = [];
+  const errors = [];
+  const validation = createValidation();
+  const usedSources = new Set();
+  const labelled = parts.map(({ source, data }) => {
+    const label = uniqueName(source, usedSources);
+    usedSources.add(label);
+    return { source: label, data };
+  });
+  labelled.forEach(({ source, data }) => {
+    const partValidation = data.validation || createValidation();
+    partValidation.headerIssues.forEach((issue) => {
+      validation.headerIssues.push({ ...issue, source });
+    });
+    partValidation.malformedRows.forEach((row) => {
+      validation.malformedRows.push({ ...row, rowIndex: row.rowIndex + rows.length, source });
+    });
+    data.headers.forEach((header) => {
+      if (!headers.includes(header)) {
+        headers.push(header);
+      }
+    });
+    data.rows.forEach((row) => {
+      rows.push({ [sourceColumn]: source, ...row });
+    });
+    (data.errors || []).forEach((error) => {
+      errors.push({ ...error, message: `${source} : ${error.message}` });
+    });
+  });
+
+  rows.forEach((row) => {
+    headers.forEach((header) => {
+      if (row[header] == null) {
+        row[header] = '';
+      }
+    });
+  });
+
+  const merged = attachColumnTypes({ headers, rows, errors, validation });
+  merged.sourceColumn = sourceColumn;
+  merged.sources = labelled.map(({ source, data }) => ({ name: source, rows: data.rows.length }));
+  return merged;
+}
+
+const CSV_SEPARATORS = [';', ',', '\t', '|'];
+const SEPARATOR_SAMPLE_CHARS = 64 * 1024;
+
+/**
+ * Détecte le séparateur sur le début du fichier (jusqu'à 64 Ko, guillemets
+ * et retours à la ligne dans les champs compris). Pour chaque candidat, on
+ * retient le nombre de colonnes le plus fréquent et la part des lignes qui
+ * l'ont ; confidence (0 à 1) baisse si les lignes sont irrégulières ou si
+ * un autre séparateur découpe aussi régulièrement.
+ * Retourne { separator, confidence, columns, lines }.
+ */
+function analyseCSVSeparator(text) {
+  const sample = text.slice(0, SEPARATOR_SAMPLE_CHARS);
+  const results = CSV_SEPARATORS.map((separator) => {
+    const counts = [];
+    const parser = createCSVParser({ separator, onRecord: (fields) => counts.push(fields.length) });
+    parser.push(sample);
+    parser.end();
+    // Dernière ligne probablement coupée par l'échantillon
+    if (sample.length < text.length && counts.length > 1) counts.pop();
+
+    const frequency = new Map();
+    counts.forEach((count) => frequency.set(count, (frequency.get(count) || 0) + 1));
+    let columns = 1;
+    let lines = 0;
+    frequency.forEach((total, count) => {
+      if (total > lines || (total === lines && count > columns)) {
+        columns = count;
+        lines = total;
+      }
+    });
+    const share = columns > 1 && counts.length ? lines / counts.length : 0;
+    return { separator, columns, share, lines: counts.length };
+  });
+
+  results.sort((a, b) => b.share - a.share || b.columns - a.columns);
+  const [best, runnerUp] = results;
+  if (best.share === 0) {
+    return { separator: ',', confidence: 0, columns: 1, lines: best.lines };
+  }
+  return {
+    separator: best.separator,
+    confidence: best.share * (1 - runnerUp.share / 2),
+    columns: best.columns,
+    lines: best.lines,
+  };
+}
+
+function detectCSVSeparator(text) {
+  return analyseCSVSeparator(text).separator;
+}
+
+/**
+ * Parse un texte CSV (RFC 4180) et retourne { headers, rows, errors }.
+ * - Les champs entre guillemets conservent retours à la ligne, guillemets
+ *   doublés ("") et espaces ; les champs sans guillemets sont nettoyés (trim).
+ * - Les lignes mal formées (guillemet non fermé, nombre de colonnes
+ *   incorrect) sont signalées dans errors avec leur numéro de ligne.
+ */
+function parseCSV(text, options = {}) {
+  console.log('[DEBUG] parseCSV - longueur du texte', text.length);
+  const detection = options.separator ? { separator: options.separator } : analyseCSVSeparator(text);
+  const { separator } = detection;
+  const records = [];
+  const errors = [];
+
+  const parser = createCSVParser({
+    separator,
+    onRecord: (fields, line) => records.push({ fields, line }),
+    onError: (error) => errors.push(error),
+  });
+  parser.push(text);
+  parser.end();
+
+  const data = buildCSVDataset(records, errors);
+  data.validation.separator = detection;
+  return data;
+}
+
+/**
+ * Construit { headers, rows, errors, validation } à partir des
+ * enregistrements du parseur ; le premier enregistrement fournit les
+ * en-têtes. validation garde les en-têtes renommés et les lignes mal
+ * formées (voir buildValidationReport).
+ */
+function buildCSVDataset(records, errors) {
+  if (records.length === 0) {
+    return attachColumnTypes({ headers: [], rows: [], errors, validation: createValidation() });
+  }
+
+  const { headers, issues } = normalizeHeaders(records[0].fields);
+  const rows = [];
+
+  for (let i = 1; i < records.length; i++) {
+    const { fields, line } = records[i];
+    if (fields.length !== headers.length) {
+      errors.push({
+        line,
+        type: 'columns',
+        message: `${fields.length} colonne(s) au lieu de ${headers.length}`,
+      });
+    }
+    const row = {};
+    headers.forEach((header, index) => {
+      row[header] = fields[index] != null ? fields[index] : '';
+    });
+    rows.push(row);
+  }
+
+  errors.sort((a, b) => a.line - b.line);
+  const validation = createValidation(issues);
+  validation.malformedRows = locateMalformedRows(records, errors);
+  return attachColumnTypes({ headers, rows, errors, validation });
+}
+
+/**
+ * Parseur CSV à états, alimenté par morceaux : push(chunk) autant de fois
+ * que nécessaire puis end(). Chaque enregistrement complet est transmis à
+ * onRecord(fields, line), line étant la ligne physique où il commence.
+ * Les lignes vides sont ignorées.
+ */
+function createCSVParser({ separator, onRecord, onError = () => {} }) {
+  let fields = [];
+  let field = '';
+  let mode = 'start'; // start | unquoted | quoted | quoteInQuoted | afterQuoted
+  let line = 1;
+  let recordLine = 1;
+  let previousWasCR = false;
+
+  const isBlank = (char) => char === ' ' || (char === '\t' && separator !== '\t');
+
+  const pushField = (value) => {
+    fields.push(value);
+    field = '';
+  };
+
+  const endRecord = () => {
+    if (mode === 'unquoted' || mode === 'start') {
+      pushField(field.trim());
+    } else {
+      pushField(field);
+    }
+    const isEmptyLine = fields.length === 1 && fields[0] === '' && mode === 'start';
+    if (!isEmptyLine) {
+      onRecord(fields, recordLine);
+    }
+    fields = [];
+    mode = 'start';
+  };
+
+  function push(chunk) {
+    for (let i = 0; i < chunk.length; i++) {
+      const char = chunk[i];
+
+      // CRLF : le \n qui suit un \r a déjà été compté comme fin de ligne.
+      if (char === '\n' && previousWasCR) {
+        previousWasCR = false;
+        if (mode === 'quoted') {
+          field += char;
+        }
+        continue;
+      }
+      previousWasCR = char === '\r';
+      const isNewline = char === '\n' || char === '\r';
+
+      switch (mode) {
+        case 'start':
+          if (char === '"') {
+            field = '';
+            mode = 'quoted';
+          } else if (char === separator) {
+            pushField('');
+          } else if (isNewline) {
+            endRecord();
+          } else if (isBlank(char)) {
+            field += char;
+          } else {
+            field += char;
+            mode = 'unquoted';
+          }
+          break;
+        case 'unquoted':
+          if (char === separator) {
+            pushField(field.trim());
+            mode = 'start';
+          } else if (isNewline) {
+            endRecord();
+          } else {
+            field += char;
+          }
+          break;
+        case 'quoted':
+          if (char === '"') {
+            mode = 'quoteInQuoted';
+          } else {
+            field += char;
+          }
+          break;
+        case 'quoteInQuoted':
+          if (char === '"') {
+            field += '"';
+            mode = 'quoted';
+          } else if (char === separator) {
+            pushField(field);
+            mode = 'start';
+          } else if (isNewline) {
+            endRecord();
+          } else if (isBlank(char)) {
+            mode = 'afterQuoted';
+          } else {
+            onError({
+              line,
+              type: 'quote',
+              message: 'caractères après un guillemet fermant',
+            });
+            field += char;
+            mode = 'afterQuoted';
+          }
+          break;
+        case 'afterQuoted':
+          if (char === separator) {
+            pushField(field);
+            mode = 'start';
+          } else if (isNewline) {
+            endRecord();
+          } else if (!isBlank(char)) {
+            field += char;
+          }
+          break;
+        default:
+          break;
+      }
+
+      if (isNewline) {
+        line++;
+        if (mode === 'start' && fields.length === 0) {
+          recordLine = line;
+        }
+      }
+    }
+  }
+
+  function end() {
+    if (mode === 'quoted') {
+      onError({
+        line: recordLine,
+        type: 'quote',
+        message: 'guillemet non fermé avant la fin du fichier',
+      });
+      mode = 'quoteInQuoted';
+    }
+    if (mode !== 'start' || field !== '' || fields.length > 0) {
+      endRecord();
+    }
+  }
+
+  return { push, end };
+}
+
+/**
+ * Découpe une seule ligne CSV en champs (conservé pour compatibilité).
+ */
+function splitCSVLine(line, separator) {
+  let result = [''];
+  const parser = createCSVParser({
+    separator,
+    onRecord: (fields) => {
+      result = fields;
+    },
+  });
+  parser.push(line);
+  parser.end();
+  return result;
+}
+
+/**
+ * Résume les erreurs de parsing pour la barre d'état.
+ */
+function formatParseErrors(errors, limit = 5) {
+  if (!errors || errors.length === 0) return '';
+  const details = errors
+    .slice(0, limit)
+    .map((error) => `ligne ${error.line} (${error.message})`)
+    .join(', ');
+  const more = errors.length > limit ? `, … et ${errors.length - limit} autre(s)` : '';
+  return `${errors.length} ligne(s) mal formée(s) : ${details}${more}.`;
+}
+
+function convertMatrixToDataset(matrix) {
+  if (!matrix || matrix.length === 0) {
+    return { headers: [], rows: [], validation: createValidation() };
+  }
+
+  const { headers, issues } = normalizeHeaders(matrix[0] || []);
+
+  const rows = [];
+
+  for (let i = 1; i < matrix.length; i++) {
+    const rowArray = matrix[i] || [];
+    const rowObj = {};
+    headers.forEach((header, index) => {
+      rowObj[header] = rowArray[index] != null ? formatCellValue(rowArray[index]) : '';
+    });
+    rows.push(rowObj);
+  }
+
+  return attachColumnTypes({ headers, rows, validation: createValidation(issues) });
+}
+
+// --- Rapport de validation de l'import ---
+// dataset.validation : { format, separator, headerIssues, malformedRows,
+// applied }, rempli à l'import ; colonnes vides et doublons sont
+// recalculés à la demande.
+
+function createValidation(headerIssues = []) {
+  return { format: null, separator: null, headerIssues, malformedRows: [], applied: [] };
+}
+
+/**
+ * Nom absent de used : le nom lui-même, sinon suffixé " (2)", " (3)"…
+ */
+function uniqueName(name, used) {
+  if (!used.has(name)) return name;
+  let suffix = 2;
+  while (used.has(`${name} (${suffix})`)) suffix++;
+  return `${name} (${suffix})`;
+}
+
+/**
+ * En-têtes uniques : une cellule vide devient "Colonne N", un doublon
+ * "Nom (2)", pour qu'aucune colonne n'en écrase une autre dans les lignes.
+ * Retourne { headers, issues: [{ index, original, header, type }] },
+ * type valant 'blank' ou 'duplicate'.
+ */
+function normalizeHeaders(cells) {
+  const headers = [];
+  const issues = [];
+  const used = new Set();
+  cells.forEach((cell, index) => {
+    const original = cell != null ? String(cell).trim() : '';
+    let header = original || `Colonne ${index + 1}`;
+    if (used.has(header)) {
+      header = uniqueName(header, used);
+      issues.push({ index, original, header, type: 'duplicate' });
+    } else if (!original) {
+      issues.push({ index, original, header, type: 'blank' });
+    }
+    used.add(header);
+    headers.push(header);
+  });
+  return { headers, issues };
+}
+
+/**
+ * Rattache les erreurs du parseur (triées par ligne) aux lignes de données :
+ * [{ rowIndex, line, message }], une entrée par ligne concernée. Les
+ * erreurs de la ligne d'en-tête restent seulement dans errors.
+ */
+function locateMalformedRows(records, errors) {
+  const malformed = [];
+  let recordIndex = 0;
+  errors.forEach((error) => {
+    while (recordIndex + 1 < records.length && records[recordIndex + 1].line <= error.line) {
+      recordIndex++;
+    }
+    if (recordIndex === 0) return;
+    const last = malformed[malformed.length - 1];
+    if (last && last.rowIndex === recordIndex - 1) {
+      last.message += `, ${error.message}`;
+      return;
+    }
+    malformed.push({ rowIndex: recordIndex - 1, line: records[recordIndex].line, message: error.message });
+  });
+  return malformed;
+}
+
+/**
+ * Rapport affiché après l'import : séparateur détecté, en-têtes renommés,
+ * lignes mal formées, colonnes vides, lignes vides et lignes en double
+ * (toutes les colonnes identiques, première occurrence dans firstIndex).
+ */
+function buildValidationReport(data) {
+  const validation = data.validation || createValidation();
+  const emptyColumns = data.rows.length
+    ? data.headers.filter((header) => data.rows.every((row) => isEmptyCell(row[header])))
+    : [];
+
+  const emptyRows = [];
+  const duplicateRows = [];
+  const seen = new Map();
+  data.rows.forEach((row, rowIndex) => {
+    const values = data.headers.map((header) => (row[header] == null ? '' : String(row[header])));
+    if (values.every((value) => value.trim() === '')) {
+      emptyRows.push(rowIndex);
+      return;
+    }
+    const key = JSON.stringify(values);
+    if (seen.has(key)) {
+      duplicateRows.push({ rowIndex, firstIndex: seen.get(key) });
+    } else {
+      seen.set(key, rowIndex);
+    }
+  });
+
+  return {
+    format: validation.format || null,
+    separator: validation.separator,
+    headerIssues: validation.headerIssues,
+    malformedRows: validation.malformedRows,
+    emptyColumns,
+    emptyRows,
+    duplicateRows,
+    applied: validation.applied || [],
+  };
+}
+
+function hasValidationIssues(report) {
+  return (
+    report.headerIssues.length > 0 ||
+    report.malformedRows.length > 0 ||
+    report.emptyColumns.length > 0 ||
+    report.emptyRows.length > 0 ||
+    report.duplicateRows.length > 0
+  );
+}
+
+/**
+ * Nouveau jeu de données sans les lignes et colonnes écartées :
+ * fixes = { excludeMalformed, excludeEmptyRows, excludeDuplicates,
+ * dropEmptyColumns }. Les corrections faites s'ajoutent à
+ * validation.applied ; data n'est pas modifié.
+ */
+function applyValidationFixes(data, fixes) {
+  const report = buildValidationReport(data);
+  const excluded = new Set();
+  const applied = [...report.applied];
+  const exclude = (enabled, indexes, label) => {
+    if (!enabled || indexes.length === 0) return;
+    indexes.forEach((index) => excluded.add(index));
+    applied.push(`${indexes.length} ${label}`);
+  };
+  exclude(fixes.excludeMalformed, report.malformedRows.map((row) => row.rowIndex), 'ligne(s) mal formée(s) exclue(s)');
+  exclude(fixes.excludeEmptyRows, report.emptyRows, 'ligne(s) vide(s) exclue(s)');
+  exclude(fixes.excludeDuplicates, report.duplicateRows.map((row) => row.rowIndex), 'doublon(s) exclu(s)');
+
+  const dropped = new Set(fixes.dropEmptyColumns ? report.emptyColumns : []);
+  if (dropped.size) {
+    applied.push(`${dropped.size} colonne(s) vide(s) supprimée(s)`);
+  }
+  const headers = data.headers.filter((header) => !dropped.has(header));
+
+  const newIndex = new Map();
+  const rows = [];
+  data.rows.forEach((row, index) => {
+    if (excluded.has(index)) return;
+    newIndex.set(index, rows.length);
+    if (dropped.size === 0) {
+      rows.push(row);
+      return;
+    }
+    const kept = {};
+    headers.forEach((header) => {
+      kept[header] = row[header];
+    });
+    rows.push(kept);
+  });
+
+  const malformedRows = report.malformedRows
+    .filter((row) => newIndex.has(row.rowIndex))
+    .map((row) => ({ ...row, rowIndex: newIndex.get(row.rowIndex) }));
+  const fixed = {
+    ...data,
+    headers,
+    rows,
+    // Les erreurs de parsing portent sur les lignes mal formées
+    errors: fixes.excludeMalformed ? [] : data.errors,
+    validation: { ...(data.validation || createValidation()), malformedRows, applied },
+  };
+  if (data.sources && data.sourceColumn && !dropped.has(data.sourceColumn)) {
+    fixed.sources = recountSources(data, rows);
+  }
+  keepColumnTypes(fixed, data);
+  return fixed;
+}
+
+/** Lignes restantes par fichier source après suppression de lignes. */
+function recountSources(data, rows) {
+  return data.sources.map((source) => ({
+    name: source.name,
+    rows: rows.filter((row) => row[data.sourceColumn] === source.name).length,
+  }));
+}
+
+/** Types conservés pour les colonnes restantes, y compris ceux choisis à la main. */
+function keepColumnTypes(target, data) {
+  const columnTypes = {};
+  const detectedTypes = {};
+  target.headers.forEach((header) => {
+    columnTypes[header] = (data.columnTypes || {})[header];
+    detectedTypes[header] = (data.detectedTypes || {})[header];
+  });
+  target.columnTypes = columnTypes;
+  target.detectedTypes = detectedTypes;
+}
+
+// --- Doublons (dédoublonnage) ---
+// Les colonnes choisies définissent l'identité d'une ligne. En mode
+// "normalized", la casse, les accents et les espaces multiples sont ignorés.
+const DEDUP_STRATEGY_LABELS = {
+  first: 'Garder la première',
+  last: 'Garder la dernière',
+  merge: 'Fusionner (premières valeurs non vides)',
+  keep: 'Tout garder',
+};
+
+function normalizeDedupValue(value, mode = 'exact') {
+  const text = value == null ? '' : String(value);
+  if (mode !== 'normalized') return text;
+  return stripAccents(text).toLowerCase().replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Groupes de lignes de même identité (au moins deux lignes), dans l'ordre
+ * de leur première occurrence : [{ key, rowIndexes }]. Les lignes dont
+ * toutes les colonnes d'identité sont vides ne forment pas de groupe.
+ */
+function findDuplicateGroups(data, columns, mode = 'exact') {
+  if (!data || columns.length === 0) return [];
+  const groups = new Map();
+  data.rows.forEach((row, rowIndex) => {
+    const values = columns.map((header) => normalizeDedupValue(row[header], mode));
+    if (values.every((value) => value.trim() === '')) return;
+    const key = JSON.stringify(values);
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(rowIndex);
+  });
+  return [...groups]
+    .filter(([, rowIndexes]) => rowIndexes.length > 1)
+    .map(([key, rowIndexes]) => ({ key, rowIndexes }));
+}
+
+/**
+ * Ligne fusionnée : pour chaque colonne, la première valeur non vide.
+ * conflicts liste les colonnes où les lignes ont des valeurs différentes.
+ */
+function mergeDuplicateRows(rows, headers) {
+  const row = {};
+  const conflicts = [];
+  headers.forEach((header) => {
+    const filled = rows.map((item) => item[header]).filter((value) => !isEmptyCell(value));
+    row[header] = filled.length ? filled[0] : rows[0][header];
+    if (new Set(filled.map(String)).size > 1) conflicts.push(header);
+  });
+  return { row, conflicts };
+}
+
+/**
+ * Nouveau jeu de données dédoublonné. strategy s'applique à tous les
+ * groupes sauf ceux présents dans choices ({ clé du groupe: stratégie }) ;
+ * la ligne gardée (ou fusionnée) prend la place de la première du groupe.
+ * data n'est pas modifié.
+ */
+function deduplicateDataset(data, groups, strategy = 'first', choices = {}) {
+  const replaced = new Map();
+  const removed = new Set();
+  groups.forEach((group) => {
+    const groupStrategy = choices[group.key] || strategy;
+    if (groupStrategy === 'keep') return;
+    const [first, ...others] = group.rowIndexes;
+    let kept = data.rows[first];
+    if (groupStrategy === 'last') {
+      kept = data.rows[group.rowIndexes[group.rowIndexes.length - 1]];
+    } else if (groupStrategy === 'merge') {
+      kept = mergeDuplicateRows(group.rowIndexes.map((index) => data.rows[index]), data.headers).row;
+    }
+    replaced.set(first, kept);
+    others.forEach((index) => removed.add(index));
+  });
+
+  const newIndex = new Map();
+  const rows = [];
+  data.rows.forEach((row, index) => {
+    if (removed.has(index)) return;
+    newIndex.set(index, rows.length);
+    rows.push(replaced.has(index) ? replaced.get(index) : row);
+  });
+
+  const validation = data.validation || createValidation();
+  const applied = [...(validation.applied || [])];
+  if (removed.size) {
+    applied.push(`${removed.size} doublon(s) supprimé(s)`);
+  }
+  const malformedRows = validation.malformedRows
+    .filter((row) => newIndex.has(row.rowIndex))
+    .map((row) => ({ ...row, rowIndex: newIndex.get(row.rowIndex) }));
+  const deduplicated = {
+    ...data,
+    rows,
+    validation: { ...validation, malformedRows, applied },
+  };
+  if (data.sources && data.sourceColumn) {
+    deduplicated.sources = recountSources(data, rows);
+  }
+  keepColumnTypes(deduplicated, data);
+  return deduplicated;
+}
+
+// --- Types de colonnes ---
+// Les lignes gardent le texte affiché (la recherche porte dessus) ; le tri,
+// les filtres de colonnes et les différences convertissent chaque cellule
+// selon le type de sa colonne (dataset.columnTypes, modifiable à la main).
+const COLUMN_TYPE_LABELS = {
+  text: 'Texte',
+  number: 'Nombre',
+  decimalFr: 'Décimal (fr)',
+  date: 'Date',
+  boolean: 'Booléen',
+};
+// Valeurs non vides examinées par colonne, et part minimale de valeurs
+// convertibles pour retenir un type (tolère quelques saisies parasites).
+const TYPE_INFERENCE_SAMPLE = 1000;
+const TYPE_INFERENCE_THRESHOLD = 0.95;
+const BOOLEAN_VALUES = {
+  oui: true,
+  non: false,
+  vrai: true,
+  faux: false,
+  true: true,
+  false: false,
+  yes: true,
+  no: false,
+};
+
+function isEmptyCell(value) {
+  return value == null || String(value).trim() === '';
+}
+
+// Les dates reçues du worker ou de SheetJS peuvent venir d'un autre
+// contexte JavaScript : instanceof Date n'y suffit pas.
+function isDateObject(value) {
+  return Object.prototype.toString.call(value) === '[object Date]';
+}
+
+/**
+ * Nombre au format 'number' (12.5, 1e3) ou 'decimalFr' (1 234,50, 15 %).
+ * Les codes à zéro initial (01000) ne sont pas des nombres.
+ */
+function parseNumberText(value, type = 'number') {
+  if (typeof value === 'number') return Number.isFinite(value) ? value : null;
+  if (value == null) return null;
+  const text = String(value).trim();
+  if (/^[-+]?0\d/.test(text)) return null;
+
+  if (type === 'decimalFr') {
+    const match = text.replace(/\s/g, '').match(/^([-+]?\d+(?:,\d+)?)(?:%|€)?$/);
+    return match ? Number(match[1].replace(',', '.')) : null;
+  }
+  return /^[-+]?\d+(?:\.\d+)?(?:e[-+]?\d+)?$/i.test(text) ? Number(text) : null;
+}
+
+/**
+ * Date jj/mm/aaaa ou aaaa-mm-jj (heure facultative) ; retourne un
+ * horodatage ou null.
+ */
+function parseDateValue(value) {
+  if (isDateObject(value)) return Number.isNaN(value.getTime()) ? null : value.getTime();
+  if (value == null) return null;
+  const text = String(value).trim();
+  let parts = text.match(/^(\d{1,2})[/.-](\d{1,2})[/.-](\d{4})(?:[ T](\d{1,2}):(\d{2})(?::(\d{2}))?)?$/);
+  if (parts) {
+    parts = [parts[3], parts[2], parts[1], parts[4], parts[5], parts[6]];
+  } else {
+    const iso = text.match(/^(\d{4})-(\d{2})-(\d{2})(?:[ T](\d{2}):(\d{2})(?::(\d{2}))?)?$/);
+    if (!iso) return null;
+    parts = iso.slice(1);
+  }
+  const [year, month, day, hours, minutes, seconds] = parts.map((part) => Number(part || 0));
+  if (month < 1 || month > 12 || day < 1 || day > 31) return null;
+  if (hours > 23 || minutes > 59 || seconds > 59) return null;
+  const timestamp = Date.UTC(year, month - 1, day, hours, minutes, seconds);
+  // Date impossible (31/02) : Date.UTC la reporterait sur le mois suivant
+  const date = new Date(timestamp);
+  if (date.getUTCDate() !== day || date.getUTCMonth() !== month - 1) return null;
+  return timestamp;
+}
+
+function parseBooleanValue(value) {
+  if (typeof value === 'boolean') return value;
+  if (value == null) return null;
+  const key = String(value).trim().toLowerCase();
+  return Object.prototype.hasOwnProperty.call(BOOLEAN_VALUES, key) ? BOOLEAN_VALUES[key] : null;
+}
+
+/**
+ * Valeur typée d'une cellule : nombre, horodatage (date), booléen ou texte ;
+ * null si la cellule est vide ou ne correspond pas au type.
+ */
+function toTypedValue(value, type) {
+  if (isEmptyCell(value)) return null;
+  if (type === 'number' || type === 'decimalFr') return parseNumberText(value, type);
+  if (type === 'date') return parseDateValue(value);
+  if (type === 'boolean') return parseBooleanValue(value);
+  return String(value);
+}
+
+/**
+ * Type d'une colonne d'après ses premières valeurs non vides. Les types
+ * stricts sont essayés d'abord : booléen, nombre, décimal français, date.
+ */
+function inferColumnType(values) {
+  const sample = [];
+  for (let i = 0; i < values.length && sample.length < TYPE_INFERENCE_SAMPLE; i++) {
+    if (!isEmptyCell(values[i])) sample.push(values[i]);
+  }
+  if (sample.length === 0) return 'text';
+
+  const accepts = (parse) => {
+    const parsed = sample.filter((value) => parse(value) !== null).length;
+    return parsed / sample.length >= TYPE_INFERENCE_THRESHOLD;
+  };
+  if (accepts(parseBooleanValue)) return 'boolean';
+  if (accepts((value) => parseNumberText(value, 'number'))) return 'number';
+  if (accepts((value) => parseNumberText(value, 'decimalFr'))) return 'decimalFr';
+  if (accepts(parseDateValue)) return 'date';
+  return 'text';
+}
+
+/**
+ * Ajoute au jeu de données les types détectés (detectedTypes) et les types
+ * en vigueur (columnTypes, initialement identiques).
+ */
+function attachColumnTypes(data) {
+  data.detectedTypes = {};
+  data.headers.forEach((header) => {
+    data.detectedTypes[header] = inferColumnType(data.rows.map((row) => row[header]));
+  });
+  data.columnTypes = { ...data.detectedTypes };
+  return data;
+}
+
+/**
+ * Texte affiché pour une valeur SheetJS : les dates (lues avec cellDates)
+ * sont écrites jj/mm/aaaa, avec l'heure si elle n'est pas minuit.
+ */
+function formatCellValue(value) {
+  if (!isDateObject(value)) return value;
+  if (Number.isNaN(value.getTime())) return '';
+  const pad = (number) => String(number).padStart(2, '0');
+  const date = `${pad(value.getDate())}/${pad(value.getMonth() + 1)}/${value.getFullYear()}`;
+  if (value.getHours() === 0 && value.getMinutes() === 0 && value.getSeconds() === 0) {
+    return date;
+  }
+  return `${date} ${pad(value.getHours())}:${pad(value.getMinutes())}`;
+}
+
+// --- Colonnes calculées (langage d'expressions) ---
+// Expressions évaluées ligne par ligne, sans eval :
+//   [Prix HT] * [Quantité]              colonnes entre crochets
+//   "texte", 'texte', 12.5, VRAI, FAUX  valeurs (décimales avec un point)
+//   + - * /  (nombres), & (textes mis bout à bout)
+//   = <> < <= > >=  (comparaisons, sans tenir compte de la casse ni des accents)
+//   ET, OU, NON (aussi AND, OR, NOT), parenthèses
+//   SI([Stock] > 0; "disponible"; "rupture")  fonctions, arguments séparés par ; ou ,
+// Une cellule vide donne un résultat vide (SIVIDE pour la remplacer). Les
+// nombres produits sont écrits avec une virgule décimale, les dates jj/mm/aaaa.
+const EXPRESSION_KEYWORDS = {
+  ET: 'and',
+  AND: 'and',
+  OU: 'or',
+  OR: 'or',
+  NON: 'not',
+  NOT: 'not',
+  VRAI: true,
+  TRUE: true,
+  FAUX: false,
+  FALSE: false,
+};
+const EXPRESSION_COMPARISONS = ['=', '<>', '!=', '<', '<=', '>', '>='];
+// Chiffres significatifs gardés à l'écriture d'un nombre (0,1 + 0,2 = 0,3)
+const EXPRESSION_NUMBER_PRECISION = 12;
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+function createExpressionError(message, position) {
+  const error = new Error(
+    position != null ? `Expression invalide : ${message} (position ${position + 1}).` : `Expression invalide : ${message}.`
+  );
+  error.position = position;
+  return error;
+}
+
+function isEmptyExpressionValue(value) {
+  return value === null || value === '';
+}
+
+function expressionToNumber(value) {
+  if (isEmptyExpressionValue(value)) return null;
+  if (typeof value === 'number') return value;
+  if (typeof value === 'boolean') return value ? 1 : 0;
+  if (isDateObject(value)) return value.getTime();
+  const number = parseNumberText(value, 'number') ?? parseNumberText(value, 'decimalFr');
+  if (number === null) {
+    throw new Error(`« ${value} » n'est pas un nombre`);
+  }
+  return number;
+}
+
+function expressionToText(value) {
+  if (value === null) return '';
+  if (typeof value === 'number') {
+    if (!Number.isFinite(value)) throw new Error('résultat non numérique (division par zéro ?)');
+    return String(Number(value.toPrecision(EXPRESSION_NUMBER_PRECISION))).replace('.', ',');
+  }
+  if (typeof value === 'boolean') return value ? 'vrai' : 'faux';
+  if (isDateObject(value)) return formatTimestamp(value.getTime());
+  return String(value);
+}
+
+function expressionToBoolean(value) {
+  if (isEmptyExpressionValue(value)) return false;
+  if (typeof value === 'boolean') return value;
+  if (typeof value === 'number') return value !== 0;
+  if (isDateObject(value)) return true;
+  const parsed = parseBooleanValue(value);
+  return parsed === null ? true : parsed;
+}
+
+function expressionToDate(value) {
+  if (isEmptyExpressionValue(value)) return null;
+  if (isDateObject(value)) return value;
+  const timestamp = parseDateValue(value);
+  if (timestamp === null) {
+    throw new Error(`« ${expressionToText(value)} » n'est pas une date`);
+  }
+  return new Date(timestamp);
+}
+
+function expressionToInteger(value, name) {
+  const number = expressionToNumber(value);
+  if (number === null || !Number.isInteger(number)) {
+    throw new Error(`${name} attend un nombre entier`);
+  }
+  return number;
+}
+
+/**
+ * Comparaison de deux valeurs : numérique si les deux sont des nombres (ou
+ * des dates), sinon texte comparé sans casse ni accents.
+ */
+function compareExpressionValues(left, right) {
+  const numeric = (value) => {
+    if (typeof value === 'number' || typeof value === 'boolean' || isDateObject(value)) return expressionToNumber(value);
+    if (isEmptyExpressionValue(value)) return null;
+    return parseNumberText(value, 'number') ?? parseNumberText(value, 'decimalFr') ?? parseDateValue(value);
+  };
+  const a = numeric(left);
+  const b = numeric(right);
+  if (a !== null && b !== null) return a - b;
+  return SORT_COLLATOR.compare(expressionToText(left), expressionToText(right));
+}
+
+// Les textes des fonctions de recherche sont comparés sans casse ni accents
+function foldExpressionText(value) {
+  return stripAccents(expressionToText(value)).toLowerCase();
+}
+
+function roundExpressionNumber(number, digits) {
+  const factor = 10 ** digits;
+  return (Math.sign(number) * Math.round(Math.abs(number) * factor)) / factor;
+}
+
+function mapNumber(value, fn) {
+  const number = expressionToNumber(value);
+  return number === null ? null : fn(number);
+}
+
+function mapText(value, fn) {
+  return isEmptyExpressionValue(value) ? value : fn(expressionToText(value));
+}
+
+function mapDate(value, fn) {
+  const date = expressionToDate(value);
+  return date === null ? null : fn(date);
+}
+
+/**
+ * Fonctions disponibles : nombre d'arguments [min, max] (max Infinity :
+ * variable), aide affichée dans le panneau et call(...arguments). Avec
+ * lazy, les arguments sont des fonctions qui évaluent l'argument à la
+ * demande (la branche de SI non retenue n'est pas évaluée).
+ */
+const EXPRESSION_FUNCTIONS = {
+  SI: {
+    args: [2, 3],
+    lazy: true,
+    help: 'SI(condition; si vrai; si faux) : valeur selon la condition',
+    call: (condition, ifTrue, ifFalse) => {
+      if (expressionToBoolean(condition())) return ifTrue();
+      return ifFalse ? ifFalse() : '';
+    },
+  },
+  ESTVIDE: {
+    args: [1, 1],
+    help: 'ESTVIDE(valeur) : vrai si la valeur est vide',
+    call: (value) => isEmptyExpressionValue(value) || expressionToText(value).trim() === '',
+  },
+  SIVIDE: {
+    args: [2, 2],
+    lazy: true,
+    help: 'SIVIDE(valeur; remplacement) : remplacement si la valeur est vide',
+    call: (value, replacement) => {
+      const result = value();
+      return isEmptyExpressionValue(result) || expressionToText(result).trim() === '' ? replacement() : result;
+    },
+  },
+  MAJUSCULE: {
+    args: [1, 1],
+    help: 'MAJUSCULE(texte)',
+    call: (value) => mapText(value, (text) => text.toUpperCase()),
+  },
+  MINUSCULE: {
+    args: [1, 1],
+    help: 'MINUSCULE(texte)',
+    call: (value) => mapText(value, (text) => text.toLowerCase()),
+  },
+  SUPPRESPACE: {
+    args: [1, 1],
+    help: 'SUPPRESPACE(texte) : sans espaces au début, à la fin ni en double',
+    call: (value) => mapText(value, (text) => text.replace(/\s+/g, ' ').trim()),
+  },
+  SANSACCENT: {
+    args: [1, 1],
+    help: 'SANSACCENT(texte)',
+    call: (value) => mapText(value, stripAccents),
+  },
+  GAUCHE: {
+    args: [2, 2],
+    help: 'GAUCHE(texte; n) : n premiers caractères',
+    call: (value, count) => mapText(value, (text) => text.slice(0, Math.max(0, expressionToInteger(count, 'GAUCHE')))),
+  },
+  DROITE: {
+    args: [2, 2],
+    help: 'DROITE(texte; n) : n derniers caractères',
+    call: (value, count) => {
+      const n = Math.max(0, expressionToInteger(count, 'DROITE'));
+      return mapText(value, (text) => (n === 0 ? '' : text.slice(-n)));
+    },
+  },
+  STXT: {
+    args: [3, 3],
+    help: 'STXT(texte; début; n) : n caractères à partir du début (1 = premier)',
+    call: (value, start, count) =>
+      mapText(value, (text) => {
+        const from = Math.max(1, expressionToInteger(start, 'STXT')) - 1;
+        return text.slice(from, from + Math.max(0, expressionToInteger(count, 'STXT')));
+      }),
+  },
+  NBCAR: {
+    args: [1, 1],
+    help: 'NBCAR(texte) : nombre de caractères',
+    call: (value) => expressionToText(value).length,
+  },
+  SUBSTITUE: {
+    args: [3, 3],
+    help: 'SUBSTITUE(texte; cherché; remplacement) : remplace toutes les occurrences',
+    call: (value, search, replacement) =>
+      mapText(value, (text) => {
+        const searched = expressionToText(search);
+        return searched === '' ? text : text.split(searched).join(expressionToText(replacement));
+      }),
+  },
+  CONCAT: {
+    args: [1, Infinity],
+    help: 'CONCAT(valeur; valeur; …) : valeurs mises bout à bout',
+    call: (...values) => values.map(expressionToText).join(''),
+  },
+  CONTIENT: {
+    args: [2, Infinity],
+    help: 'CONTIENT(texte; mot; …) : vrai si le texte contient l\'un des mots (sans casse ni accents)',
+    call: (value, ...words) => {
+      const text = foldExpressionText(value);
+      return words.some((word) => text.includes(foldExpressionText(word)));
+    },
+  },
+  CATEGORIE: {
+    args: [3, Infinity],
+    help: 'CATEGORIE(texte; mot; catégorie; mot; catégorie; …; défaut) : catégorie du premier mot trouvé',
+    call: (value, ...pairs) => {
+      const text = foldExpressionText(value);
+      for (let i = 0; i + 1 < pairs.length; i += 2) {
+        if (text.includes(foldExpressionText(pairs[i]))) return pairs[i + 1];
+      }
+      return pairs.length % 2 === 1 ? pairs[pairs.length - 1] : '';
+    },
+  },
+  NOMBRE: {
+    args: [1, 1],
+    help: 'NOMBRE(texte) : nombre lu dans le texte ("12,5" ou "12.5")',
+    call: (value) => expressionToNumber(value),
+  },
+  ARRONDI: {
+    args: [1, 2],
+    help: 'ARRONDI(nombre; décimales) : arrondi (0 décimale par défaut)',
+    call: (value, digits = 0) => mapNumber(value, (number) => roundExpressionNumber(number, expressionToInteger(digits, 'ARRONDI'))),
+  },
+  ABS: {
+    args: [1, 1],
+    help: 'ABS(nombre) : valeur absolue',
+    call: (value) => mapNumber(value, Math.abs),
+  },
+  MIN: {
+    args: [1, Infinity],
+    help: 'MIN(nombre; …) : plus petit nombre (valeurs vides ignorées)',
+    call: (...values) => {
+      const numbers = values.map(expressionToNumber).filter((number) => number !== null);
+      return numbers.length ? Math.min(...numbers) : null;
+    },
+  },
+  MAX: {
+    args: [1, Infinity],
+    help: 'MAX(nombre; …) : plus grand nombre (valeurs vides ignorées)',
+    call: (...values) => {
+      const numbers = values.map(expressionToNumber).filter((number) => number !== null);
+      return numbers.length ? Math.max(...numbers) : null;
+    },
+  },
+  DATE: {
+    args: [1, 3],
+    help: 'DATE(texte) ou DATE(année; mois; jour) : date',
+    call: (...values) => {
+      if (values.length === 1) return expressionToDate(values[0]);
+      if (values.length === 2) throw new Error('DATE attend un texte ou une année, un mois et un jour');
+      const [year, month, day] = values.map((value) => expressionToInteger(value, 'DATE'));
+      return new Date(Date.UTC(year, month - 1, day));
+    },
+  },
+  ANNEE: {
+    args: [1, 1],
+    help: 'ANNEE(date)',
+    call: (value) => mapDate(value, (date) => date.getUTCFullYear()),
+  },
+  MOIS: {
+    args: [1, 1],
+    help: 'MOIS(date) : de 1 à 12',
+    call: (value) => mapDate(value, (date) => date.getUTCMonth() + 1),
+  },
+  JOUR: {
+    args: [1, 1],
+    help: 'JOUR(date) : jour du mois',
+    call: (value) => mapDate(value, (date) => date.getUTCDate()),
+  },
+  AUJOURDHUI: {
+    args: [0, 0],
+    help: "AUJOURDHUI() : date du jour",
+    call: () => {
+      const now = new Date();
+      return new Date(Date.UTC(now.getFullYear(), now.getMonth(), now.getDate()));
+    },
+  },
+  JOURS: {
+    args: [2, 2],
+    help: 'JOURS(fin; début) : nombre de jours entre deux dates',
+    call: (end, start) => {
+      const to = expressionToDate(end);
+      const from = expressionToDate(start);
+      return to === null || from === null ? null : Math.round((to.getTime() - from.getTime()) / MS_PER_DAY);
+    },
+  },
+};
+
+/**
+ * Jetons : number, string, column, name (fonction), keyword ('and', 'or',
+ * 'not', 'boolean'), opérateurs ('+', '-', '*', '/', '&', comparaisons),
+ * '(', ')', 'separator'.
+ */
+function tokenizeExpression(text) {
+  const tokens = [];
+  let i = 0;
+  while (i < text.length) {
+    const char = text[i];
+    const start = i;
+    if (/\s/.test(char)) {
+      i++;
+    } else if (/\d/.test(char) || (char === '.' && /\d/.test(text[i + 1] || ''))) {
+      const match = text.slice(i).match(/^\d*\.?\d+(?:e[-+]?\d+)?/i);
+      tokens.push({ type: 'number', value: Number(match[0]), position: start });
+      i += match[0].length;
+    } else if (char === '"' || char === "'") {
+      // Guillemet doublé pour l'écrire dans le texte : "12"" écran"
+      let value = '';
+      i++;
+      while (i < text.length && (text[i] !== char || text[i + 1] === char)) {
+        if (text[i] === char) i++;
+        value += text[i];
+        i++;
+      }
+      if (i >= text.length) {
+        throw createExpressionError('guillemet non fermé', start);
+      }
+      i++;
+      tokens.push({ type: 'string', value, position: start });
+    } else if (char === '[') {
+      const end = text.indexOf(']', i);
+      if (end === -1) {
+        throw createExpressionError('crochet non fermé', start);
+      }
+      tokens.push({ type: 'column', value: text.slice(i + 1, end).trim(), position: start });
+      i = end + 1;
+    } else if (/[A-Za-z_À-ɏ]/.test(char)) {
+      const match = text.slice(i).match(/^[A-Za-z0-9_À-ɏ]+/);
+      const upper = stripAccents(match[0]).toUpperCase();
+      const keyword = EXPRESSION_KEYWORDS[upper];
+      if (typeof keyword === 'boolean') {
+        tokens.push({ type: 'boolean', value: keyword, position: start });
+      } else if (keyword) {
+        tokens.push({ type: keyword, position: start });
+      } else {
+        tokens.push({ type: 'name', value: upper, position: start });
+      }
+      i += match[0].length;
+    } else if (char === ';' || char === ',') {
+      tokens.push({ type: 'separator', position: start });
+      i++;
+    } else {
+      const operator = ['<=', '>=', '<>', '!='].find((candidate) => text.startsWith(candidate, i)) || char;
+      if (!'()+-*/&=<>'.includes(operator) && !EXPRESSION_COMPARISONS.includes(operator)) {
+        throw createExpressionError(`caractère inattendu « ${char} »`, start);
+      }
+      tokens.push({ type: operator, position: start });
+      i += operator.length;
+    }
+  }
+  return tokens;
+}
+
+/**
+ * Analyse une expression et retourne son arbre : { type: 'value', value },
+ * { type: 'column', header }, { type: 'call', name, args },
+ * { type: 'unary', operator, operand }, { type: 'binary', operator, left,
+ * right }. headers (facultatif) vérifie les colonnes, sans tenir compte de
+ * la casse. Lève une erreur explicite (avec position) si l'expression est
+ * invalide.
+ */
+function parseExpression(text, headers) {
+  const tokens = tokenizeExpression(text || '');
+  if (tokens.length === 0) {
+    throw createExpressionError('expression vide');
+  }
+  let index = 0;
+  const peek = () => tokens[index];
+  const next = () => tokens[index++];
+  const endPosition = (text || '').length;
+  const isType = (...types) => Boolean(peek()) && types.includes(peek().type);
+
+  const binary = (parseOperand, operators) => () => {
+    let node = parseOperand();
+    while (isType(...operators)) {
+      const operator = next().type;
+      node = { type: 'binary', operator: operator === '!=' ? '<>' : operator, left: node, right: parseOperand() };
+    }
+    return node;
+  };
+
+  function parseNot() {
+    if (isType('not')) {
+      next();
+      return { type: 'unary', operator: 'not', operand: parseNot() };
+    }
+    return parseComparison();
+  }
+
+  function parseComparison() {
+    const left = parseConcat();
+    if (!isType(...EXPRESSION_COMPARISONS)) return left;
+    const operator = next().type;
+    return { type: 'binary', operator: operator === '!=' ? '<>' : operator, left, right: parseConcat() };
+  }
+
+  function parseUnary() {
+    if (isType('-', '+')) {
+      const operator = next().type;
+      const operand = parseUnary();
+      return operator === '-' ? { type: 'unary', operator: '-', operand } : operand;
+    }
+    return parsePrimary();
+  }
+
+  const parseMultiplicative = binary(parseUnary, ['*', '/']);
+  const parseAdditive = binary(parseMultiplicative, ['+', '-']);
+  const parseConcat = binary(parseAdditive, ['&']);
+  const parseAnd = binary(parseNot, ['and']);
+  const parseOr = binary(parseAnd, ['or']);
+
+  function parseCall(token) {
+    const definition = EXPRESSION_FUNCTIONS[token.value];
+    if (!definition) {
+      throw createExpressionError(`fonction inconnue « ${token.value} »`, token.position);
+    }
+    if (!isType('(')) {
+      throw createExpressionError(`parenthèse attendue après ${token.value}`, token.position);
+    }
+    next();
+    const args = [];
+    if (!isType(')')) {
+      args.push(parseOr());
+      while (isType('separator')) {
+        next();
+        args.push(parseOr());
+      }
+    }
+    if (!isType(')')) {
+      throw createExpressionError(`parenthèse fermante manquante pour ${token.value}`, token.position);
+    }
+    next();
+    const [min, max] = definition.args;
+    if (args.length < min || args.length > max) {
+      const expected = min === max ? `${min}` : max === Infinity ? `au moins ${min}` : `${min} à ${max}`;
+      throw createExpressionError(`${token.value} attend ${expected} argument(s), ${args.length} donné(s)`, token.position);
+    }
+    return { type: 'call', name: token.value, args };
+  }
+
+  function parsePrimary() {
+    const token = next();
+    if (!token) {
+      throw createExpressionError('valeur attendue en fin d\'expression', endPosition);
+    }
+    if (token.type === 'number' || token.type === 'string' || token.type === 'boolean') {
+      return { type: 'value', value: token.value };
+    }
+    if (token.type === 'column') {
+      if (!headers) return { type: 'column', header: token.value };
+      const found = headers.find((header) => header.toLowerCase() === token.value.toLowerCase());
+      if (!found) {
+        throw createExpressionError(`colonne inconnue « ${token.value} »`, token.position);
+      }
+      return { type: 'column', header: found };
+    }
+    if (token.type === 'name') {
+      return parseCall(token);
+    }
+    if (token.type === '(') {
+      const inner = parseOr();
+      if (!isType(')')) {
+        throw createExpressionError('parenthèse fermante manquante', token.position);
+      }
+      next();
+      return inner;
+    }
+    throw createExpressionError('valeur attendue', token.position);
+  }
+
+  const tree = parseOr();
+  if (peek()) {
+    throw createExpressionError('opérateur attendu', peek().position);
+  }
+  return tree;
+}
+
+/** Colonnes utilisées par une expression analysée. */
+function collectExpressionColumns(node, columns = []) {
+  if (node.type === 'column' && !columns.includes(node.header)) columns.push(node.header);
+  if (node.type === 'call') node.args.forEach((arg) => collectExpressionColumns(arg, columns));
+  if (node.type === 'unary') collectExpressionColumns(node.operand, columns);
+  if (node.type === 'binary') {
+    collectExpressionColumns(node.left, columns);
+    collectExpressionColumns(node.right, columns);
+  }
+  return columns;
+}
+
+/**
+ * Valeur d'une expression analysée pour une ligne : texte, nombre, booléen,
+ * Date ou null. Lève une erreur si une valeur ne convient pas (texte dans
+ * un calcul, date invalide…).
+ */
+function evaluateExpression(node, row) {
+  switch (node.type) {
+    case 'value':
+      return node.value;
+    case 'column':
+      return row[node.header] == null ? '' : row[node.header];
+    case 'call': {
+      const definition = EXPRESSION_FUNCTIONS[node.name];
+      const args = definition.lazy
+        ? node.args.map((arg) => () => evaluateExpression(arg, row))
+        : node.args.map((arg) => evaluateExpression(arg, row));
+      return definition.call(...args);
+    }
+    case 'unary': {
+      const operand = evaluateExpression(node.operand, row);
+      if (node.operator === 'not') return !expressionToBoolean(operand);
+      const number = expressionToNumber(operand);
+      return number === null ? null : -number;
+    }
+    default:
+      return evaluateBinaryExpression(node, row);
+  }
+}
+
+function evaluateBinaryExpression(node, row) {
+  const { operator } = node;
+  if (operator === 'and') {
+    return expressionToBoolean(evaluateExpression(node.left, row)) && expressionToBoolean(evaluateExpression(node.right, row));
+  }
+  if (operator === 'or') {
+    return expressionToBoolean(evaluateExpression(node.left, row)) || expressionToBoolean(evaluateExpression(node.right, row));
+  }
+  const left = evaluateExpression(node.left, row);
+  const right = evaluateExpression(node.right, row);
+  if (operator === '&') return expressionToText(left) + expressionToText(right);
+  if (EXPRESSION_COMPARISONS.includes(operator)) {
+    const order = compareExpressionValues(left, right);
+    return { '=': order === 0, '<>': order !== 0, '<': order < 0, '<=': order <= 0, '>': order > 0, '>=': order >= 0 }[operator];
+  }
+
+  const a = expressionToNumber(left);
+  const b = expressionToNumber(right);
+  if (a === null || b === null) return null;
+  if (operator === '+') return a + b;
+  if (operator === '-') return a - b;
+  if (operator === '*') return a * b;
+  if (b === 0) throw new Error('division par zéro');
+  return a / b;
+}
+
+/**
+ * Recalcule les colonnes calculées d'un jeu de données : celles de
+ * data.computedColumns sont retirées, puis definitions ([{ name,
+ * expression }]) ajoutées dans l'ordre (une expression peut utiliser les
+ * colonnes calculées qui la précèdent). Retourne { data, errors } ; errors
+ * donne, par colonne, le nombre de lignes en erreur et la première erreur
+ * (la cellule reste vide). data n'est pas modifié.
+ */
+function applyComputedColumns(data, definitions) {
+  const previous = new Set((data.computedColumns || []).map((definition) => definition.name));
+  const baseHeaders = data.headers.filter((header) => !previous.has(header));
+  const headers = [...baseHeaders];
+  const compiled = definitions.map(({ name, expression }) => {
+    const columnName = String(name || '').trim();
+    if (!columnName) {
+      throw new Error('Donnez un nom à la colonne calculée.');
+    }
+    if (headers.includes(columnName)) {
+      throw new Error(`La colonne « ${columnName} » existe déjà.`);
+    }
+    let tree;
+    try {
+      tree = parseExpression(expression, headers);
+    } catch (error) {
+      error.message = `${columnName} : ${error.message}`;
+      throw error;
+    }
+    headers.push(columnName);
+    return { name: columnName, expression, tree };
+  });
+
+  const errors = compiled.map(({ name }) => ({ name, count: 0, rowIndex: null, message: null }));
+  const rows = data.rows.map((row, rowIndex) => {
+    const computedRow = { ...row };
+    previous.forEach((name) => delete computedRow[name]);
+    compiled.forEach(({ name, tree }, index) => {
+      try {
+        computedRow[name] = expressionToText(evaluateExpression(tree, computedRow));
+      } catch (error) {
+        computedRow[name] = '';
+        const columnErrors = errors[index];
+        if (columnErrors.count++ === 0) {
+          columnErrors.rowIndex = rowIndex;
+          columnErrors.message = error.message;
+        }
+      }
+    });
+    return computedRow;
+  });
+
+  const computed = {
+    ...data,
+    headers,
+    rows,
+    computedColumns: compiled.map(({ name, expression }) => ({ name, expression })),
+  };
+  keepColumnTypes(computed, data);
+  compiled.forEach(({ name }) => {
+    // Un type choisi à la main pour une colonne recalculée est gardé
+    const detected = inferColumnType(rows.map((row) => row[name]));
+    const chosen = (data.columnTypes || {})[name];
+    computed.detectedTypes[name] = detected;
+    computed.columnTypes[name] = chosen && chosen !== (data.detectedTypes || {})[name] ? chosen : detected;
+  });
+  return { data: computed, errors: errors.filter((columnErrors) => columnErrors.count > 0) };
+}
+
+// --- Comparaison ligne à ligne par colonnes clés ---
+const DIFF_STATUS_LABELS = {
+  added: 'Ajoutée',
+  removed: 'Supprimée',
+  modified: 'Modifiée',
+  unchanged: 'Identique',
+};
+
+function getCommonHeaders(refData, cmpData) {
+  if (!refData || !cmpData) return [];
+  return refData.headers.filter((header) => cmpData.headers.includes(header));
+}
+
+/**
+ * Forme comparable d'une cellule : la valeur typée quand la colonne a un
+ * type (1 234,50 et 1234.5 sont égaux), sinon le texte sans espaces autour.
+ */
+function normalizeDiffValue(value, type = 'text') {
+  const typed = type === 'text' ? null : toTypedValue(value, type);
+  if (typed !== null) return `${type === 'decimalFr' ? 'number' : type}:${typed}`;
+  return value == null ? '' : String(value).trim();
+}
+
+function buildRowKey(row, keyColumns, columnTypes = {}) {
+  return keyColumns.map((column) => normalizeDiffValue(row[column], columnTypes[column])).join('\u0001');
+}
+
+/**
+ * Compare deux jeux de données ligne à ligne en les appariant sur les
+ * colonnes clés. Chaque ligne est classée added (seulement dans cmp),
+ * removed (seulement dans ref), modified ou unchanged ; les lignes modifiées
+ * portent le détail avant/après par colonne commune.
+ * Les clés en double sont appariées dans l'ordre d'apparition et comptées
+ * dans duplicateKeys.
+ */
+function diffDatasets(refData, cmpData, keyColumns) {
+  const comparedHeaders = getCommonHeaders(refData, cmpData).filter((header) => !keyColumns.includes(header));
+  const headers = [...keyColumns, ...comparedHeaders];
+  const counts = { added: 0, removed: 0, modified: 0, unchanged: 0 };
+  const entries = [];
+  let duplicateKeys = 0;
+  const refTypes = refData.columnTypes || {};
+  const cmpTypes = cmpData.columnTypes || {};
+
+  const cmpByKey = new Map();
+  cmpData.rows.forEach((row) => {
+    const key = buildRowKey(row, keyColumns, cmpTypes);
+    if (!cmpByKey.has(key)) {
+      cmpByKey.set(key, []);
+    } else {
+      duplicateKeys++;
+    }
+    cmpByKey.get(key).push(row);
+  });
+
+  const seenRefKeys = new Set();
+  refData.rows.forEach((refRow) => {
+    const key = buildRowKey(refRow, keyColumns, refTypes);
+    if (seenRefKeys.has(key)) {
+      duplicateKeys++;
+    }
+    seenRefKeys.add(key);
+
+    const candidates = cmpByKey.get(key);
+    if (!candidates || candidates.length === 0) {
+      entries.push({ status: 'removed', key, ref: refRow, cmp: null, changes: {} });
+      counts.removed++;
+      return;
+    }
+
+    const cmpRow = candidates.shift();
+    const changes = {};
+    comparedHeaders.forEach((header) => {
+      if (normalizeDiffValue(refRow[header], refTypes[header]) !== normalizeDiffValue(cmpRow[header], cmpTypes[header])) {
+        changes[header] = {
+          before: normalizeDiffValue(refRow[header]),
+          after: normalizeDiffValue(cmpRow[header]),
+        };
+      }
+    });
+
+    const status = Object.keys(changes).length > 0 ? 'modified' : 'unchanged';
+    entries.push({ status, key, ref: refRow, cmp: cmpRow, changes });
+    counts[status]++;
+  });
+
+  cmpByKey.forEach((remaining, key) => {
+    remaining.forEach((cmpRow) => {
+      entries.push({ status: 'added', key, ref: null, cmp: cmpRow, changes: {} });
+      counts.added++;
+    });
+  });
+
+  return { headers, entries, counts, duplicateKeys };
+}
+
+/**
+ * Matrice exportable d'une comparaison : colonne "Statut" puis colonnes
+ * comparées ; une cellule modifiée contient "avant → après".
+ */
+function buildDiffMatrix(diff, statuses = Object.keys(DIFF_STATUS_LABELS)) {
+  const matrix = [['Statut', ...diff.headers]];
+  diff.entries
+    .filter((entry) => statuses.includes(entry.status))
+    .forEach((entry) => {
+      const source = entry.cmp || entry.ref;
+      matrix.push([
+        DIFF_STATUS_LABELS[entry.status],
+        ...diff.headers.map((header) => {
+          const change = entry.changes[header];
+          return change ? `${change.before} → ${change.after}` : source[header] ?? '';
+        }),
+      ]);
+    });
+  return matrix;
+}
+
+// --- Correspondance des colonnes (référence ↔ fichier comparé) ---
+// mapping : { colonne de référence: colonne comparée | null }. null exclut
+// explicitement la colonne de la comparaison, même à nom identique.
+const COLUMN_MAPPING_SAMPLE = 500;
+const COLUMN_MAPPING_MIN_SCORE = 0.5;
+// Des colonnes à peu de valeurs distinctes (oui/non, quantités) se
+// ressemblent par hasard : pas de rapprochement sur les seules valeurs.
+const COLUMN_MAPPING_MIN_DISTINCT = 5;
+
+/**
+ * Similarité de deux noms de colonnes : mots sans accents ni ponctuation,
+ * une abréviation ("Réf." pour "Référence") compte presque comme le mot.
+ */
+function headerSimilarity(a, b) {
+  const tokensA = tokenizeForMatching(a);
+  const tokensB = tokenizeForMatching(b);
+  if (tokensA.join(' ') === tokensB.join(' ')) return 1;
+  return rowSimilarity(tokensA, tokensB, (x, y) => {
+    const [shorter, longer] = x.length <= y.length ? [x, y] : [y, x];
+    if (shorter.length >= 3 && shorter !== longer && longer.startsWith(shorter)) return 0.8;
+    return tokenSimilarity(x, y);
+  });
+}
+
+function columnValueSet(data, header) {
+  const values = new Set();
+  data.rows.slice(0, COLUMN_MAPPING_SAMPLE).forEach((row) => {
+    const value = stripAccents(String(row[header] ?? '').trim().toLowerCase());
+    if (value !== '') values.add(value);
+  });
+  return values;
+}
+
+/**
+ * Part des valeurs de la plus petite colonne présentes dans l'autre.
+ */
+function valueOverlap(a, b) {
+  if (Math.min(a.size, b.size) < COLUMN_MAPPING_MIN_DISTINCT) return 0;
+  const [smaller, larger] = a.size <= b.size ? [a, b] : [b, a];
+  let common = 0;
+  smaller.forEach((value) => {
+    if (larger.has(value)) common++;
+  });
+  return common / smaller.size;
+}
+
+/**
+ * Propose une colonne comparée pour chaque colonne de référence, d'après
+ * la ressemblance des noms et les valeurs en commun. Chaque colonne
+ * comparée sert au plus une fois (meilleurs scores d'abord).
+ * Retourne [{ ref, cmp, score, reason: 'name' | 'values' }] dans l'ordre
+ * des colonnes de référence (cmp null sans proposition).
+ */
+function suggestColumnMapping(refData, cmpData) {
+  const refValues = new Map(refData.headers.map((header) => [header, columnValueSet(refData, header)]));
+  const cmpValues = new Map(cmpData.headers.map((header) => [header, columnValueSet(cmpData, header)]));
+
+  const pairs = [];
+  refData.headers.forEach((refHeader) => {
+    cmpData.headers.forEach((cmpHeader) => {
+      const name = headerSimilarity(refHeader, cmpHeader);
+      const values = valueOverlap(refValues.get(refHeader), cmpValues.get(cmpHeader));
+      const score = Math.max(name, values);
+      if (score >= COLUMN_MAPPING_MIN_SCORE) {
+        pairs.push({ ref: refHeader, cmp: cmpHeader, score, reason: values > name ? 'values' : 'name' });
+      }
+    });
+  });
+  pairs.sort((a, b) => b.score - a.score);
+
+  const chosen = new Map();
+  const usedCmp = new Set();
+  pairs.forEach((pair) => {
+    if (chosen.has(pair.ref) || usedCmp.has(pair.cmp)) return;
+    chosen.set(pair.ref, pair);
+    usedCmp.add(pair.cmp);
+  });
+  return refData.headers.map((header) => chosen.get(header) || { ref: header, cmp: null, score: 0, reason: null });
+}
+
+function suggestionsToMapping(suggestions) {
+  return Object.fromEntries(suggestions.map(({ ref, cmp }) => [ref, cmp]));
+}
+
+/**
+ * Renomme les colonnes du fichier comparé d'après le mapping, pour que les
+ * colonnes associées portent le nom de la référence (diffDatasets compare
+ * les colonnes de même nom). Une colonne comparée non associée dont le nom
+ * est déjà pris par le mapping est suffixée " (comparé)".
+ */
+function mapDatasetColumns(cmpData, mapping) {
+  const renamed = new Map();
+  Object.entries(mapping).forEach(([refHeader, cmpHeader]) => {
+    if (cmpHeader) renamed.set(cmpHeader, refHeader);
+  });
+  const mappedNames = new Set(Object.keys(mapping));
+  const rename = (header) => {
+    if (renamed.has(header)) return renamed.get(header);
+    return mappedNames.has(header) ? `${header} (comparé)` : header;
+  };
+
+  const headers = cmpData.headers.map(rename);
+  const rows = cmpData.rows.map((row) => {
+    const mapped = {};
+    cmpData.headers.forEach((header, index) => {
+      mapped[headers[index]] = row[header];
+    });
+    return mapped;
+  });
+  const columnTypes = {};
+  Object.entries(cmpData.columnTypes || {}).forEach(([header, type]) => {
+    columnTypes[rename(header)] = type;
+  });
+  return { ...cmpData, headers, rows, columnTypes };
+}
+
+/**
+ * Colonnes du fichier comparé associées à des colonnes de référence, dans
+ * l'ordre de ces dernières (les colonnes non associées sont ignorées).
+ */
+function mappedCmpColumns(mapping, refHeaders) {
+  return refHeaders.map((header) => mapping[header]).filter(Boolean);
+}
+
+/**
+ * Applique un profil enregistré au mapping courant : seules les paires
+ * dont les deux colonnes existent sont reprises, les autres sont
+ * retournées dans ignored.
+ */
+function applyMappingProfile(profileMapping, mapping, refHeaders, cmpHeaders) {
+  const next = { ...mapping };
+  const ignored = [];
+  Object.entries(profileMapping).forEach(([refHeader, cmpHeader]) => {
+    if (refHeaders.includes(refHeader) && (cmpHeader === null || cmpHeaders.includes(cmpHeader))) {
+      Object.keys(next).forEach((header) => {
+        if (cmpHeader && next[header] === cmpHeader) next[header] = null;
+      });
+      next[refHeader] = cmpHeader;
+    } else {
+      ignored.push(`${refHeader} → ${cmpHeader}`);
+    }
+  });
+  return { mapping: next, ignored };
+}
+
+// --- Rapprochement approché des lignes (sans colonne clé) ---
+// Chaque ligne de référence est rapprochée de la ligne comparée la plus
+// semblable, mot à mot : "Vitre feuilletée 44.2" ~ "VITRAGE FEUILLETE 44/2".
+const ROW_MATCH_STATUS_LABELS = {
+  confirmed: 'Confirmée',
+  proposed: 'Proposée',
+  low: 'Sous le seuil',
+  none: 'Sans correspondance',
+};
+// Candidats gardés par ligne de référence, pour reproposer après un rejet.
+const ROW_MATCH_CANDIDATES = 5;
+// En dessous, deux mots sont considérés comme différents.
+const ROW_MATCH_TOKEN_SIMILARITY = 0.6;
+// Un préfixe présent dans plus de lignes ne sert pas à choisir les candidats.
+const ROW_MATCH_MAX_BUCKET = 1000;
+// Le rapprochement est plus coûteux que le filtrage : morceaux plus petits.
+const ROW_MATCH_CHUNK_ROWS = 200;
+
+/**
+ * Mots d'un texte pour le rapprochement : minuscules, sans accents,
+ * découpés sur tout ce qui n'est ni lettre ni chiffre ("44.2" -> 44, 2),
+ * sans doublons.
+ */
+function tokenizeForMatching(text) {
+  return Array.from(new Set(stripAccents(String(text ?? '').toLowerCase()).split(/[^a-z0-9]+/).filter(Boolean)));
+}
+
+/**
+ * Similarité de deux mots entre 0 et 1 (distance d'édition rapportée à la
+ * longueur). Les nombres doivent être identiques.
+ */
+function tokenSimilarity(a, b) {
+  if (a === b) return 1;
+  if (/^\d+$/.test(a) || /^\d+$/.test(b)) return 0;
+  const longest = Math.max(a.length, b.length);
+  const maxDistance = Math.floor(longest * (1 - ROW_MATCH_TOKEN_SIMILARITY));
+  const distance = boundedLevenshtein(a, b, maxDistance);
+  return distance > maxDistance ? 0 : 1 - distance / longest;
+}
+
+/**
+ * Similarité de deux listes de mots : chaque mot est associé au mot le plus
+ * proche de l'autre liste (selon similarity), dans les deux sens, et la
+ * moyenne est retournée.
+ */
+function rowSimilarity(tokensA, tokensB, similarity = tokenSimilarity) {
+  if (tokensA.length === 0 || tokensB.length === 0) return 0;
+  const bestSum = (from, to) =>
+    from.reduce((sum, token) => sum + to.reduce((best, other) => Math.max(best, similarity(token, other)), 0), 0);
+  return (bestSum(tokensA, tokensB) + bestSum(tokensB, tokensA)) / (tokensA.length + tokensB.length);
+}
+
+function matchBlockingKey(token) {
+  return /^\d+$/.test(token) ? token : token.slice(0, 3);
+}
+
+/**
+ * Index des lignes comparées par préfixe de mot : seules les lignes qui
+ * partagent un préfixe avec la ligne de référence sont évaluées.
+ */
+function buildMatchIndex(tokenRows) {
+  const index = new Map();
+  tokenRows.forEach((tokens, rowIndex) => {
+    new Set(tokens.map(matchBlockingKey)).forEach((key) => {
+      if (!index.has(key)) index.set(key, []);
+      index.get(key).push(rowIndex);
+    });
+  });
+  return index;
+}
+
+/**
+ * Meilleurs candidats [{ cmpIndex, score }] (score décroissant) d'une ligne
+ * de référence parmi les lignes comparées indexées.
+ */
+function findRowCandidates(tokens, cmpTokenRows, index, limit = ROW_MATCH_CANDIDATES) {
+  const buckets = Array.from(new Set(tokens.map(matchBlockingKey)), (key) => index.get(key) || []).filter(
+    (bucket) => bucket.length > 0
+  );
+  const selective = buckets.filter((bucket) => bucket.length <= ROW_MATCH_MAX_BUCKET);
+  // Que des préfixes très répandus : on n'examine que le plus petit groupe,
+  // limité à ROW_MATCH_MAX_BUCKET lignes, plutôt que toutes les lignes
+  const smallest = buckets.reduce((best, bucket) => (!best || bucket.length < best.length ? bucket : best), null);
+  const candidateIndexes = new Set(
+    selective.length ? selective.flat() : (smallest || []).slice(0, ROW_MATCH_MAX_BUCKET)
+  );
+
+  const candidates = [];
+  candidateIndexes.forEach((cmpIndex) => {
+    const score = rowSimilarity(tokens, cmpTokenRows[cmpIndex]);
+    if (score > 0) {
+      candidates.push({ cmpIndex, score });
+    }
+  });
+  return candidates.sort((a, b) => b.score - a.score || a.cmpIndex - b.cmpIndex).slice(0, limit);
+}
+
+function rowMatchKey(refIndex, cmpIndex) {
+  return `${refIndex}:${cmpIndex}`;
+}
+
+/**
+ * Appariement un pour un à partir des candidats de chaque ligne de
+ * référence. Les paires confirmées (decisions[clé] = 'confirmed') passent
+ * d'abord, puis les autres par score décroissant ; une paire rejetée n'est
+ * jamais reproposée et la ligne passe à son candidat suivant.
+ * Retourne { entries: [{ refIndex, cmpIndex, score, status }], counts,
+ * unmatchedCmp } ; unmatchedCmp compte les lignes comparées sans paire
+ * confirmée ni proposée.
+ */
+function assignRowMatches(candidates, decisions, threshold, cmpRowCount) {
+  const pairs = new Array(candidates.length).fill(null);
+  const usedCmp = new Set();
+
+  Object.entries(decisions).forEach(([key, decision]) => {
+    const [refIndex, cmpIndex] = key.split(':').map(Number);
+    if (decision !== 'confirmed' || refIndex >= candidates.length || pairs[refIndex] || usedCmp.has(cmpIndex)) return;
+    const candidate = candidates[refIndex].find((item) => item.cmpIndex === cmpIndex);
+    pairs[refIndex] = { cmpIndex, score: candidate ? candidate.score : null, confirmed: true };
+    usedCmp.add(cmpIndex);
+  });
+
+  const proposals = [];
+  candidates.forEach((list, refIndex) => {
+    list.forEach(({ cmpIndex, score }) => {
+      if (decisions[rowMatchKey(refIndex, cmpIndex)] !== 'rejected') {
+        proposals.push({ refIndex, cmpIndex, score });
+      }
+    });
+  });
+  proposals.sort((a, b) => b.score - a.score || a.refIndex - b.refIndex);
+  proposals.forEach(({ refIndex, cmpIndex, score }) => {
+    if (pairs[refIndex] || usedCmp.has(cmpIndex)) return;
+    pairs[refIndex] = { cmpIndex, score, confirmed: false };
+    usedCmp.add(cmpIndex);
+  });
+
+  const counts = { confirmed: 0, proposed: 0, low: 0, none: 0 };
+  let pairedCmp = 0;
+  const entries = pairs.map((pair, refIndex) => {
+    let status = 'none';
+    if (pair) {
+      status = pair.confirmed ? 'confirmed' : pair.score >= threshold ? 'proposed' : 'low';
+    }
+    counts[status]++;
+    if (status === 'confirmed' || status === 'proposed') pairedCmp++;
+    return { refIndex, cmpIndex: pair ? pair.cmpIndex : null, score: pair ? pair.score : null, status };
+  });
+
+  return { entries, counts, unmatchedCmp: cmpRowCount - pairedCmp };
+}
+
+/**
+ * Texte comparé d'une ligne : valeurs des colonnes choisies, bout à bout.
+ */
+function rowMatchText(row, columns) {
+  return columns.map((column) => row[column] ?? '').join(' ');
+}
+
+// --- Langage de requête (ET / OU / SAUF, parenthèses, phrases, colonnes) ---
+// Syntaxe :
+//   vitre, alu          -> OU (la virgule reste le séparateur historique)
+//   vitre OR alu        -> OU (aussi OU, |)
+//   vitre AND alu       -> ET (aussi ET, &) ; deux termes juxtaposés
+//                          séparés par un guillemet ou une parenthèse sont
+//                          aussi combinés en ET
+//   NOT alu, -alu       -> SAUF (aussi SAUF)
+//   (vitre OR verre) AND "double vitrage"
+//   Désignation:vitre   -> terme limité à une colonne ("Réf. article":A12)
+//   serr*, vit?e        -> jokers (* : plusieurs caractères, ? : un seul)
+// Des mots consécutifs sans opérateur forment un seul terme ("vitre
+// feuilletée" recherche la suite de mots), comme avant.
+const QUERY_OPERATORS = {
+  AND: 'and',
+  ET: 'and',
+  OR: 'or',
+  OU: 'or',
+  NOT: 'not',
+  SAUF: 'not',
+};
+
+function createQueryError(message, position) {
+  const error = new Error(
+    position != null ? `Requête invalide : ${message} (position ${position + 1}).` : `Requête invalide : ${message}.`
+  );
+  error.position = position;
+  return error;
+}
+
+/**
+ * Découpe la requête en jetons : '(' ')' 'or' 'and' 'not', column, word, phrase.
+ */
+function tokenizeQuery(text) {
+  const tokens = [];
+  let i = 0;
+
+  const isSpecial = (char) => '(),|&"'.includes(char);
+  const isSpace = (char) => /\s/.test(char);
+
+  while (i < text.length) {
+    const char = text[i];
+
+    if (isSpace(char)) {
+      i++;
+    } else if (char === '(' || char === ')') {
+      tokens.push({ type: char, position: i });
+      i++;
+    } else if (char === ',' || char === '|') {
+      tokens.push({ type: 'or', position: i });
+      i++;
+    } else if (char === '&') {
+      tokens.push({ type: 'and', position: i });
+      i++;
+    } else if (char === '-' && i + 1 < text.length && !isSpace(text[i + 1]) && text[i + 1] !== '-') {
+      tokens.push({ type: 'not', position: i });
+      i++;
+    } else if (char === '"') {
+      const start = i;
+      let value = '';
+      i++;
+      while (i < text.length && text[i] !== '"') {
+        value += text[i];
+        i++;
+      }
+      if (i >= text.length) {
+        throw createQueryError('guillemet non fermé', start);
+      }
+      i++;
+      if (text[i] === ':' && i + 1 < text.length && !isSpace(text[i + 1])) {
+        tokens.push({ type: 'column', value, position: start });
+        i++;
+      } else {
+        tokens.push({ type: 'phrase', value, position: start });
+      }
+    } else {
+      const start = i;
+      let value = '';
+      while (i < text.length && !isSpace(text[i]) && !isSpecial(text[i])) {
+        if (text[i] === ':' && value !== '' && i + 1 < text.length && !isSpace(text[i + 1]) && text[i + 1] !== ')') {
+          break;
+        }
+        value += text[i];
+        i++;
+      }
+
+      if (text[i] === ':') {
+        tokens.push({ type: 'column', value, position: start });
+        i++;
+      } else if (QUERY_OPERATORS[value]) {
+        tokens.push({ type: QUERY_OPERATORS[value], position: start });
+      } else {
+        tokens.push({ type: 'word', value, position: start });
+      }
+    }
+  }
+
+  return tokens;
+}
+
+/**
+ * Analyse une requête et retourne son arbre, ou null si elle est vide.
+ * Nœuds : { type: 'or' | 'and', children }, { type: 'not', child },
+ * { type: 'term', text, column, exact }.
+ * options.headers permet de vérifier les noms de colonnes.
+ * Lève une erreur explicite (avec position) en cas de syntaxe invalide.
+ */
+function parseQuery(text, options = {}) {
+  const tokens = tokenizeQuery(text || '');
+  if (tokens.length === 0) return null;
+
+  let index = 0;
+  const peek = () => tokens[index];
+  const next = () => tokens[index++];
+  const endPosition = (text || '').length;
+
+  const resolveColumn = (token) => {
+    if (!options.headers) return token.value;
+    const found = options.headers.find((header) => header.toLowerCase() === token.value.toLowerCase());
+    if (!found) {
+      throw createQueryError(
+        `colonne inconnue « ${token.value} » (colonnes : ${options.headers.join(', ')})`,
+        token.position
+      );
+    }
+    return found;
+  };
+
+  const startsPrimary = (token) =>
+    token && ['(', 'not', 'column', 'word', 'phrase'].includes(token.type);
+
+  function parseOr() {
+    const children = [parseAnd()];
+    while (peek() && peek().type === 'or') {
+      const operator = next();
+      if (!startsPrimary(peek())) {
+        throw createQueryError('terme attendu après OU', peek() ? peek().position : operator.position);
+      }
+      children.push(parseAnd());
+    }
+    return children.length === 1 ? children[0] : { type: 'or', children };
+  }
+
+  function parseAnd() {
+    const children = [parseNot()];
+    while (peek() && (peek().type === 'and' || startsPrimary(peek()))) {
+      if (peek().type === 'and') {
+        const operator = next();
+        if (!startsPrimary(peek())) {
+          throw createQueryError('terme attendu après ET', peek() ? peek().position : operator.position);
+        }
+      }
+      children.push(parseNot());
+    }
+    return children.length === 1 ? children[0] : { type: 'and', children };
+  }
+
+  function parseNot() {
+    if (peek() && peek().type === 'not') {
+      const operator = next();
+      if (!startsPrimary(peek())) {
+        throw createQueryError('terme attendu après SAUF', peek() ? peek().position : operator.position);
+      }
+      return { type: 'not', child: parseNot() };
+    }
+    return parsePrimary(null);
+  }
+
+  function parsePrimary(column) {
+    const token = peek();
+    if (!token) {
+      throw createQueryError('terme attendu en fin de requête', endPosition);
+    }
+
+    if (token.type === 'column') {
+      if (column) {
+        throw createQueryError('colonne déjà précisée', token.position);
+      }
+      next();
+      const resolved = resolveColumn(token);
+      if (!peek() || !['(', 'word', 'phrase'].includes(peek().type)) {
+        throw createQueryError(`terme attendu après « ${token.value}: »`, token.position);
+      }
+      return parsePrimary(resolved);
+    }
+
+    if (token.type === '(') {
+      next();
+      if (peek() && peek().type === ')') {
+        throw createQueryError('parenthèses vides', token.position);
+      }
+      const inner = parseOr();
+      if (!peek() || peek().type !== ')') {
+        throw createQueryError('parenthèse fermante manquante', token.position);
+      }
+      next();
+      return column ? scopeQuery(inner, column) : inner;
+    }
+
+    if (token.type === 'phrase') {
+      next();
+      return { type: 'term', text: token.value, column, exact: true };
+    }
+
+    if (token.type === 'word') {
+      const words = [next().value];
+      while (peek() && peek().type === 'word') {
+        words.push(next().value);
+      }
+      return { type: 'term', text: words.join(' '), column, exact: false };
+    }
+
+    if (token.type === ')') {
+      throw createQueryError('parenthèse fermante inattendue', token.position);
+    }
+    throw createQueryError('terme attendu', token.position);
+  }
+
+  const tree = parseOr();
+  if (index < tokens.length) {
+    const token = peek();
+    throw createQueryError(
+      token.type === ')' ? 'parenthèse fermante inattendue' : 'opérateur inattendu',
+      token.position
+    );
+  }
+  return tree;
+}
+
+function scopeQuery(node, column) {
+  if (node.type === 'term') {
+    return node.column ? node : { ...node, column };
+  }
+  if (node.type === 'not') {
+    return { type: 'not', child: scopeQuery(node.child, column) };
+  }
+  return { type: node.type, children: node.children.map((child) => scopeQuery(child, column)) };
+}
+
+/**
+ * Liste les termes (feuilles) d'une requête, sans doublon.
+ */
+function collectQueryTerms(node, terms = []) {
+  if (!node) return terms;
+  if (node.type === 'term') {
+    if (!terms.includes(node.text)) terms.push(node.text);
+  } else if (node.type === 'not') {
+    collectQueryTerms(node.child, terms);
+  } else {
+    node.children.forEach((child) => collectQueryTerms(child, terms));
+  }
+  return terms;
+}
+
+/**
+ * Requête OU équivalente à une liste de mots-clés (comportement historique).
+ */
+function keywordsToQuery(keywords) {
+  const children = keywords
+    .filter((keyword) => keyword.length > 0)
+    .map((keyword) => ({ type: 'term', text: keyword, column: null, exact: true }));
+  if (children.length === 0) return null;
+  return children.length === 1 ? children[0] : { type: 'or', children };
+}
+
+/**
+ * Écrit une liste de mots-clés sous forme de requête, en mettant entre
+ * guillemets ceux qui contiennent des caractères de la syntaxe.
+ */
+function formatKeywordsAsQuery(keywords) {
+  return keywords
+    .map((keyword) => {
+      const needsQuotes =
+        /[(),|&":*?]/.test(keyword) || /^-/.test(keyword) || keyword.split(/\s+/).some((word) => QUERY_OPERATORS[word]);
+      return needsQuotes && !keyword.includes('"') ? `"${keyword}"` : keyword;
+    })
+    .join(', ');
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Évalue la requête sur une ligne. Retourne { ok, matches } où matches
+ * liste les termes trouvés ({ keyword, header, mode }) qui contribuent au
+ * résultat.
+ */
+function evaluateQuery(node, row, headers, matchers) {
+  if (node.type === 'term') {
+    const matcher = matchers.get(node);
+    const searched = node.column ? [node.column] : headers;
+    const matches = [];
+    searched.forEach((header) => {
+      const cellValue = row[header];
+      if (cellValue == null) return;
+      const mode = matcher(String(cellValue));
+      if (mode) {
+        matches.push({ keyword: node.text, header, mode });
+      }
+    });
+    return { ok: matches.length > 0, matches };
+  }
+
+  if (node.type === 'not') {
+    return { ok: !evaluateQuery(node.child, row, headers, matchers).ok, matches: [] };
+  }
+
+  const results = node.children.map((child) => evaluateQuery(child, row, headers, matchers));
+  const ok = node.type === 'and' ? results.every((result) => result.ok) : results.some((result) => result.ok);
+  if (!ok) return { ok: false, matches: [] };
+  return {
+    ok: true,
+    matches: results.filter((result) => result.ok).flatMap((result) => result.matches),
+  };
+}
+
+function buildQueryMatchers(node, options, matchers = new Map()) {
+  if (!node) return matchers;
+  if (node.type === 'term') {
+    matchers.set(node, createTermMatcher(node, options));
+  } else if (node.type === 'not') {
+    buildQueryMatchers(node.child, options, matchers);
+  } else {
+    node.children.forEach((child) => buildQueryMatchers(child, options, matchers));
+  }
+  return matchers;
+}
+
+// --- Modes de correspondance ---
+const MATCH_MODE_LABELS = {
+  exact: 'exact',
+  wildcard: 'joker',
+  accents: 'sans accents',
+  regex: 'regex',
+  fuzzy: 'approché',
+};
+
+// Lettres (y compris accentuées), chiffres et _ : délimitent les mots entiers.
+const WORD_CHARS = 'A-Za-z0-9_\\u00C0-\\u024F';
+
+function stripAccents(text) {
+  return text.normalize('NFD').replace(/[\u0300-\u036f]/g, '');
+}
+
+function wildcardToPattern(text) {
+  return text
+    .split('')
+    .map((char) => {
+      if (char === '*') return '.*?';
+      if (char === '?') return '.';
+      return escapeRegExp(char);
+    })
+    .join('');
+}
+
+function wrapWholeWord(pattern) {
+  return `(?<![${WORD_CHARS}])(?:${pattern})(?![${WORD_CHARS}])`;
+}
+
+/**
+ * Distance d'édition (Levenshtein) bornée : retourne max + 1 dès que la
+ * distance dépasse max.
+ */
+function boundedLevenshtein(a, b, max) {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+  let previous = Array.from({ length: b.length + 1 }, (_, index) => index);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+      rowMin = Math.min(rowMin, current[j]);
+    }
+    if (rowMin > max) return max + 1;
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+/**
+ * Recherche approchée : compare le terme à chaque suite de mots de même
+ * longueur dans le texte (les deux déjà normalisés). Retourne les plages
+ * { start, end } retenues, au plus limit.
+ */
+function findFuzzyRanges(text, term, maxDistance, limit = Infinity) {
+  const termWords = term.split(/\s+/).filter(Boolean);
+  const words = Array.from(text.matchAll(new RegExp(`[${WORD_CHARS}]+`, 'g')));
+  const target = termWords.join(' ');
+  const ranges = [];
+  for (let i = 0; i + termWords.length <= words.length && ranges.length < limit; i++) {
+    const span = words.slice(i, i + termWords.length);
+    const candidate = span.map((word) => word[0]).join(' ');
+    if (boundedLevenshtein(candidate, target, maxDistance) <= maxDistance) {
+      const last = span[span.length - 1];
+      ranges.push({ start: span[0].index, end: last.index + last[0].length });
+    }
+  }
+  return ranges;
+}
+
+function fuzzyContains(text, term, maxDistance) {
+  return findFuzzyRanges(text, term, maxDistance, 1).length > 0;
+}
+
+/**
+ * Compile un terme selon les options de recherche : caseSensitive,
+ * ignoreAccents, wholeWord, matchMode ('contains' | 'regex' | 'fuzzy') et
+ * fuzzyDistance. Partagé par le filtrage et la mise en évidence.
+ * Lève une erreur si le terme est une expression régulière invalide.
+ */
+function compileTerm(term, options = {}) {
+  const {
+    caseSensitive = false,
+    ignoreAccents = false,
+    wholeWord = false,
+    matchMode = 'contains',
+    fuzzyDistance = 1,
+  } = options;
+  const flags = caseSensitive ? '' : 'i';
+  const build = (pattern) => new RegExp(wholeWord ? wrapWholeWord(pattern) : pattern, flags);
+
+  // En mode regex, les guillemets servent à protéger ( ) | , de la syntaxe
+  // de requête : le contenu reste une expression régulière.
+  if (matchMode === 'regex') {
+    try {
+      return { regex: build(ignoreAccents ? stripAccents(term.text) : term.text), ignoreAccents };
+    } catch (error) {
+      throw createQueryError(`expression régulière invalide « ${term.text} » (${error.message})`);
+    }
+  }
+
+  const hasWildcards = !term.exact && /[*?]/.test(term.text);
+  const toPattern = (text) => (hasWildcards ? wildcardToPattern(text) : escapeRegExp(text));
+
+  // Un terme trop court par rapport à la distance tolérée correspondrait à tout
+  const fuzzyTerm = stripAccents(term.text).toLowerCase();
+  const useFuzzy = matchMode === 'fuzzy' && !hasWildcards && fuzzyTerm.length > fuzzyDistance * 2;
+  let fuzzyTarget = ignoreAccents ? fuzzyTerm : term.text;
+  if (!caseSensitive) {
+    fuzzyTarget = fuzzyTarget.toLowerCase();
+  }
+
+  return {
+    strict: build(toPattern(term.text)),
+    strictMode: hasWildcards ? 'wildcard' : 'exact',
+    folded: ignoreAccents ? build(toPattern(stripAccents(term.text))) : null,
+    fuzzy: useFuzzy ? { target: fuzzyTarget, distance: fuzzyDistance, ignoreAccents, caseSensitive } : null,
+  };
+}
+
+function prepareFuzzyText(value, fuzzy) {
+  const comparable = fuzzy.ignoreAccents ? stripAccents(value) : value;
+  return fuzzy.caseSensitive ? comparable : comparable.toLowerCase();
+}
+
+/**
+ * Prépare la correspondance d'un terme (options : voir compileTerm).
+ * Retourne une fonction (valeur) -> mode ayant produit la correspondance
+ * (voir MATCH_MODE_LABELS) ou null. Les modes stricts sont essayés d'abord.
+ */
+function createTermMatcher(term, options = {}) {
+  const compiled = compileTerm(term, options);
+  if (compiled.regex) {
+    const { regex } = compiled;
+    return (value) => (regex.test(compiled.ignoreAccents ? stripAccents(value) : value) ? 'regex' : null);
+  }
+
+  const { strict, strictMode, folded, fuzzy } = compiled;
+  return (value) => {
+    if (strict.test(value)) return strictMode;
+    if (folded && folded.test(stripAccents(value))) return 'accents';
+    if (fuzzy && fuzzyContains(prepareFuzzyText(value, fuzzy), fuzzy.target, fuzzy.distance)) return 'fuzzy';
+    return null;
+  };
+}
+
+/**
+ * Texte sans accents et, pour chaque position du texte obtenu, la position
+ * correspondante dans le texte d'origine (map a une entrée de plus : la fin).
+ */
+function foldAccentsWithMap(text) {
+  let folded = '';
+  const map = [];
+  let index = 0;
+  for (const char of text) {
+    const stripped = stripAccents(char);
+    for (let i = 0; i < stripped.length; i++) {
+      map.push(index);
+    }
+    folded += stripped;
+    index += char.length;
+  }
+  map.push(index);
+  return { text: folded, map };
+}
+
+function findRegexRanges(regex, text) {
+  const global = new RegExp(regex.source, regex.flags.includes('g') ? regex.flags : `${regex.flags}g`);
+  const ranges = [];
+  let match;
+  while ((match = global.exec(text)) !== null) {
+    if (match[0].length === 0) {
+      global.lastIndex += 1;
+      continue;
+    }
+    ranges.push({ start: match.index, end: match.index + match[0].length });
+  }
+  return ranges;
+}
+
+/**
+ * Pendant de createTermMatcher pour l'affichage : retourne une fonction
+ * (valeur, mode) -> plages { start, end } du texte d'origine, où mode est
+ * celui indiqué par le filtrage pour cette cellule.
+ */
+function createTermHighlighter(term, options = {}) {
+  const compiled = compileTerm(term, options);
+
+  return (value, mode) => {
+    const folding = mode === 'accents' || (compiled.ignoreAccents && mode === 'regex') ||
+      (mode === 'fuzzy' && compiled.fuzzy && compiled.fuzzy.ignoreAccents);
+    const source = folding ? foldAccentsWithMap(value) : { text: value, map: null };
+
+    let ranges;
+    if (mode === 'regex') {
+      ranges = findRegexRanges(compiled.regex, source.text);
+    } else if (mode === 'accents') {
+      ranges = findRegexRanges(compiled.folded, source.text);
+    } else if (mode === 'fuzzy' && compiled.fuzzy) {
+      const comparable = compiled.fuzzy.caseSensitive ? source.text : source.text.toLowerCase();
+      ranges = findFuzzyRanges(comparable, compiled.fuzzy.target, compiled.fuzzy.distance);
+    } else {
+      ranges = compiled.strict ? findRegexRanges(compiled.strict, source.text) : [];
+    }
+
+    if (!source.map) return ranges;
+    return ranges.map(({ start, end }) => ({ start: source.map[start], end: source.map[end] }));
+  };
+}
+
+// --- Gestion des mots-clés et filtrage ---
+function parseKeywords(raw) {
+  return raw
+    .split(',')
+    .map((keyword) => keyword.trim())
+    .filter((keyword) => keyword.length > 0);
+}
+
+const KEYWORD_DROP_REASONS = {
+  short: 'trop courts',
+  numeric: 'numériques',
+  stopWord: 'mots vides',
+};
+
+function isNumericKeyword(value) {
+  return /\d/.test(value) && /^[\d\s.,:/+\-%€]+$/.test(value);
+}
+
+/**
+ * Extrait les mots-clés du fichier de référence en détaillant ce qui est
+ * retenu et ce qui est écarté.
+ * options.columns limite l'extraction à certaines colonnes (toutes par
+ * défaut) ; options.rules complète DEFAULT_EXTRACTION_RULES.
+ * Retourne { kept: string[], dropped: [{ value, reason }] }.
+ */
+function analyseReferenceKeywords(refData, options = {}) {
+  const kept = new Set();
+  const dropped = new Map();
+  if (!refData) return { kept: [], dropped: [] };
+
+  const rules = { ...DEFAULT_EXTRACTION_RULES, ...(options.rules || {}) };
+  const columns = options.columns || refData.headers;
+  const stopWords = new Set(rules.stopWords.map((word) => word.toLowerCase()));
+
+  refData.rows.forEach((row) => {
+    columns.forEach((column) => {
+      const value = row[column];
+      if (value == null || String(value).trim() === '') return;
+
+      const candidates = rules.splitTokens
+        ? String(value).split(/[\s,;:()[\]{}"«»!?]+/)
+        : [String(value)];
+
+      candidates.forEach((candidate) => {
+        const keyword = candidate.trim();
+        if (keyword === '' || kept.has(keyword) || dropped.has(keyword)) return;
+
+        if (keyword.length < rules.minLength) {
+          dropped.set(keyword, 'short');
+        } else if (rules.ignoreNumeric && isNumericKeyword(keyword)) {
+          dropped.set(keyword, 'numeric');
+        } else if (stopWords.has(keyword.toLowerCase())) {
+          dropped.set(keyword, 'stopWord');
+        } else {
+          kept.add(keyword);
+        }
+      });
+    });
+  });
+
+  return {
+    kept: Array.from(kept),
+    dropped: Array.from(dropped, ([value, reason]) => ({ value, reason })),
+  };
+}
+
+function extractKeywordsFromReference(refData, options) {
+  return analyseReferenceKeywords(refData, options).kept;
+}
+
+/**
+ * Recalcule les mots-clés de référence avec les colonnes et règles
+ * courantes, et remplace la recherche par la nouvelle liste.
+ */
+function updateReferenceKeywords() {
+  const { ref } = state.comparaison;
+  state.comparaison.keywordAnalysis = analyseReferenceKeywords(ref, {
+    columns: state.comparaison.keywordColumns,
+    rules: state.comparaison.extractionRules,
+  });
+  state.comparaison.keywords = state.comparaison.keywordAnalysis.kept;
+  setKeywordFilter(state.comparaison.keywords);
+  if (typeof document !== 'undefined') {
+    document.getElementById('keywords').value = formatKeywordsAsQuery(state.comparaison.keywords);
+  }
+}
+
+function updateKeywordSummary() {
+  const summary = document.getElementById('keyword-summary');
+  const analysis = state.comparaison.keywordAnalysis;
+  summary.innerHTML = '';
+  if (state.mode !== 'comparaison' || !state.comparaison.ref || !analysis) {
+    summary.style.display = 'none';
+    return;
+  }
+  summary.style.display = 'block';
+
+  const droppedByReason = {};
+  analysis.dropped.forEach(({ reason }) => {
+    droppedByReason[reason] = (droppedByReason[reason] || 0) + 1;
+  });
+  const droppedDetails = Object.entries(droppedByReason)
+    .map(([reason, count]) => `${count} ${KEYWORD_DROP_REASONS[reason]}`)
+    .join(', ');
+
+  const headline = document.createElement('p');
+  headline.textContent =
+    `${analysis.kept.length} mots-clés extraits du fichier de référence ` +
+    `(${state.comparaison.keywordColumns.length} colonne(s))` +
+    (analysis.dropped.length ? ` · ${analysis.dropped.length} écartés : ${droppedDetails}.` : '.');
+  summary.appendChild(headline);
+
+  summary.appendChild(createKeywordDetails('Mots-clés retenus', analysis.kept));
+  if (analysis.dropped.length) {
+    summary.appendChild(
+      createKeywordDetails(
+        'Valeurs écartées',
+        analysis.dropped.map(({ value, reason }) => `${value} (${KEYWORD_DROP_REASONS[reason]})`)
+      )
+    );
+  }
+}
+
+function createKeywordDetails(title, values) {
+  const details = document.createElement('details');
+  const summary = document.createElement('summary');
+  summary.textContent = `${title} (${values.length})`;
+  const list = document.createElement('p');
+  list.className = 'keyword-list';
+  list.textContent = values.join(' · ');
+  details.appendChild(summary);
+  details.appendChild(list);
+  return details;
+}
+
+function updateSelectedColumns(header, checked) {
+  if (checked) {
+    state.selectedColumns.add(header);
+  } else {
+    state.selectedColumns.delete(header);
+  }
+
+  if (state.selectedColumns.size === 0) {
+    showStatus('Aucune colonne sélectionnée, réinitialisation sur toutes les colonnes.');
+    const headers = currentHeaders();
+    state.selectedColumns = new Set(headers);
+    renderColumnCheckboxes(getDisplayedHeaders(headers, state.table));
+  }
+
+  refreshTable();
+}
+
+function currentDataset() {
+  if (state.mode === 'analyse') {
+    return state.analyse;
+  }
+  return state.comparaison.cmp;
+}
+
+function currentHeaders() {
+  const data = currentDataset();
+  return data ? data.headers : [];
+}
+
+function currentColumnTypes() {
+  const data = currentDataset();
+  return (data && data.columnTypes) || {};
+}
+
+/**
+ * Choix manuel du type d'une colonne du jeu de données affiché.
+ */
+function setColumnType(header, type) {
+  const data = currentDataset();
+  if (!data) return;
+  data.columnTypes[header] = type;
+  console.log('[APP] Type de colonne', header, '->', type);
+  renderTableView();
+  renderProfilePanel();
+}
+
+/** Requête de la recherche : celle saisie, sinon les mots-clés réunis. */
+function resolveFilterQuery(options) {
+  return options.query || keywordsToQuery(options.keywords || []);
+}
+
+/**
+ * Prépare le test d'une ligne pour des options de filtrage explicites :
+ * { query, keywords, mode, selectedColumns, match }. La fonction retournée
+ * donne les correspondances de la ligne, ou null si elle est exclue.
+ */
+function createRowFilter(headers, options) {
+  const query = resolveFilterQuery(options);
+  if (!query) {
+    // Sans mot-clé : toutes les lignes en analyse, aucune en comparaison
+    return options.mode === 'analyse' ? () => [] : () => null;
+  }
+
+  const selected = new Set(options.selectedColumns);
+  const selectedHeaders = headers.filter((header) => selected.has(header));
+  const matchers = buildQueryMatchers(query, options.match || {});
+  return (row) => {
+    const result = evaluateQuery(query, row, selectedHeaders, matchers);
+    return result.ok ? result.matches : null;
+  };
+}
+
+function filterRows(rows, headers, options) {
+  const test = createRowFilter(headers, options);
+  const filtered = [];
+  rows.forEach((row) => {
+    const matches = test(row);
+    if (matches) {
+      filtered.push({ row, matches });
+    }
+  });
+  return filtered;
+}
+
+function currentFilterOptions() {
+  return {
+    query: state.filters.query,
+    keywords: state.filters.keywords,
+    mode: state.mode,
+    selectedColumns: Array.from(state.selectedColumns),
+    match: currentMatchOptions(),
+  };
+}
+
+function filterRowsByKeywords(rows, headers) {
+  return filterRows(rows, headers, currentFilterOptions());
+}
+
+function currentMatchOptions() {
+  return {
+    caseSensitive: state.caseSensitive,
+    ignoreAccents: state.ignoreAccents,
+    wholeWord: state.wholeWord,
+    matchMode: state.matchMode,
+    fuzzyDistance: state.fuzzyDistance,
+  };
+}
+
+/**
+ * Remplace la recherche par une liste de mots-clés (sans requête saisie).
+ */
+function setKeywordFilter(keywords) {
+  state.filters.keywords = [...keywords];
+  state.filters.query = null;
+  state.filters.queryError = null;
+}
+
+function handleKeywordInputChange(rawValue) {
+  let query;
+  try {
+    const headers = currentHeaders();
+    query = parseQuery(rawValue, { headers: headers.length ? headers : undefined });
+    buildQueryMatchers(query, currentMatchOptions());
+  } catch (error) {
+    // Requête incomplète ou invalide : on garde le dernier filtre valide
+    state.filters.queryError = error.message;
+    return rawValue;
+  }
+
+  if (
+    !query &&
+    state.mode === 'comparaison' &&
+    state.comparaison.keywords.length > 0
+  ) {
+    // En comparaison, si l'utilisateur efface la recherche, on revient
+    // automatiquement aux mots-clés extraits du fichier de référence.
+    setKeywordFilter(state.comparaison.keywords);
+    return formatKeywordsAsQuery(state.comparaison.keywords);
+  }
+
+  state.filters.keywords = collectQueryTerms(query);
+  state.filters.query = query;
+  state.filters.queryError = null;
+  return rawValue;
+}
+
+// --- Rendu des tableaux ---
+function renderAnalyseTable() {
+  if (!state.analyse) return;
+  const { headers, rows } = state.analyse;
+  renderFilteredTable('analyse', headers, rows);
+}
+
+function renderComparisonTable() {
+  if (!state.comparaison.cmp) return;
+  if (state.comparaison.view === 'diff') {
+    renderDiffTable();
+    return;
+  }
+  if (state.comparaison.view === 'match') {
+    renderRowMatchTable();
+    return;
+  }
+  const { headers, rows } = state.comparaison.cmp;
+  const keywords = state.comparaison.keywords;
+  if (keywords.length && state.filters.keywords.length === 0) {
+    setKeywordFilter(keywords);
+    document.getElementById('keywords').value = formatKeywordsAsQuery(keywords);
+  }
+  renderFilteredTable('cmp', headers, rows);
+}
+
+// Filtrage en cours : une nouvelle recherche remplace la précédente.
+let pendingFilterJob = null;
+
+/**
+ * Filtre les lignes dans le worker puis affiche le résultat. Le worker
+ * garde une copie du jeu de données par emplacement (slot) et ne renvoie
+ * que les index retenus.
+ */
+async function renderFilteredTable(slot, headers, rows) {
+  if (pendingFilterJob) {
+    pendingFilterJob.cancel({ superseded: true });
+  }
+
+  const options = currentFilterOptions();
+  const job = trackBackgroundTask('Filtrage', (onProgress) =>
+    getTaskRunner().run('filter', { slot, rows, headers, options }, { onProgress })
+  );
+  pendingFilterJob = job;
+
+  let results;
+  try {
+    results = await job.promise;
+  } catch (error) {
+    if (error.superseded) return;
+    if (error.cancelled) {
+      showStatus('Filtrage annulé : le tableau affiche le résultat précédent.');
+      return;
+    }
+    console.error('[APP] Erreur de filtrage', error);
+    showError('Erreur lors du filtrage : ' + error.message);
+    return;
+  } finally {
+    if (pendingFilterJob === job) {
+      pendingFilterJob = null;
+    }
+  }
+
+  renderTable(
+    headers,
+    results.map(({ index, matches }) => ({ row: rows[index], matches })),
+    options
+  );
+}
+
+function renderTable(headers, filteredRows, options = currentFilterOptions()) {
+  keywordResults = { headers, rows: filteredRows, options };
+  renderTableView();
+  renderKeywordDashboard();
+  renderSourceSummary();
+}
+
+function renderColumnCheckboxes(headers) {
+  const thead = document.querySelector('#data-table thead');
+  thead.innerHTML = '';
+
+  const headerRow = document.createElement('tr');
+  headers.forEach((header) => {
+    const th = document.createElement('th');
+    th.draggable = true;
+    th.addEventListener('dragstart', (event) => {
+      event.dataTransfer.setData('text/plain', header);
+      event.dataTransfer.effectAllowed = 'move';
+    });
+    th.addEventListener('dragover', (event) => {
+      event.preventDefault();
+      th.classList.add('drop-target');
+    });
+    th.addEventListener('dragleave', () => th.classList.remove('drop-target'));
+    th.addEventListener('drop', (event) => {
+      event.preventDefault();
+      th.classList.remove('drop-target');
+      const moved = event.dataTransfer.getData('text/plain');
+      if (moved && moved !== header && keywordResults) {
+        updateTableLayout({ columnOrder: moveColumn(keywordResults.headers, state.table, moved, header) });
+      }
+    });
+
+    const wrapper = document.createElement('div');
+    wrapper.className = 'header-content';
+
+    const titleRow = document.createElement('div');
+    titleRow.className = 'header-title';
+
+    const sortIndex = state.table.sort.findIndex((key) => key.header === header);
+    const title = document.createElement('button');
+    title.type = 'button';
+    title.className = 'sort-button';
+    title.title = 'Trier (Maj + clic : ajouter un critère de tri)';
+    title.textContent = header;
+    if (sortIndex !== -1) {
+      const indicator = document.createElement('span');
+      indicator.className = 'sort-indicator';
+      const arrow = state.table.sort[sortIndex].direction === 'asc' ? '▲' : '▼';
+      indicator.textContent = state.table.sort.length > 1 ? ` ${arrow}${sortIndex + 1}` : ` ${arrow}`;
+      title.appendChild(indicator);
+    }
+    title.addEventListener('click', (event) => {
+      updateTableLayout({ sort: toggleSortKey(state.table.sort, header, event.shiftKey) });
+    });
+
+    const filterButton = document.createElement('button');
+    filterButton.type = 'button';
+    filterButton.className = 'column-action';
+    filterButton.classList.toggle('active', isColumnFilterActive(state.table.columnFilters[header]));
+    filterButton.textContent = '⏷';
+    filterButton.title = 'Filtrer les valeurs de la colonne';
+    filterButton.addEventListener('click', () => openColumnFilter(header));
+
+    const hideButton = document.createElement('button');
+    hideButton.type = 'button';
+    hideButton.className = 'column-action';
+    hideButton.textContent = '×';
+    hideButton.title = "Masquer la colonne (elle reste utilisée par la recherche si elle est cochée)";
+    hideButton.addEventListener('click', () => {
+      state.table.hiddenColumns.add(header);
+      renderTableView();
+    });
+
+    titleRow.appendChild(title);
+    titleRow.appendChild(filterButton);
+    titleRow.appendChild(hideButton);
+
+    wrapper.appendChild(titleRow);
+    wrapper.appendChild(createColumnTypeSelect(header));
+
+    const label = document.createElement('label');
+    const checkbox = document.createElement('input');
+    checkbox.type = 'checkbox';
+    checkbox.checked = state.selectedColumns.has(header);
+    checkbox.addEventListener('change', (event) => {
+      updateSelectedColumns(header, event.target.checked);
+    });
+
+    const span = document.createElement('span');
+    span.textContent = 'Inclure dans la recherche';
+
+    label.appendChild(checkbox);
+    label.appendChild(span);
+    wrapper.appendChild(label);
+    th.appendChild(wrapper);
+    headerRow.appendChild(th);
+  });
+
+  const matchTh = document.createElement('th');
+  matchTh.textContent = 'Mots-clés trouvés';
+  headerRow.appendChild(matchTh);
+
+  thead.appendChild(headerRow);
+}
+
+function createColumnTypeSelect(header) {
+  const data = currentDataset();
+  const select = document.createElement('select');
+  select.className = 'column-type';
+  select.title = 'Type de la colonne (tri, filtres, différences)';
+  Object.entries(COLUMN_TYPE_LABELS).forEach(([type, label]) => {
+    const option = document.createElement('option');
+    option.value = type;
+    option.textContent = data && data.detectedTypes && data.detectedTypes[header] === type ? `${label} (détecté)` : label;
+    select.appendChild(option);
+  });
+  select.value = (data && data.columnTypes && data.columnTypes[header]) || 'text';
+  select.addEventListener('change', (event) => setColumnType(header, event.target.value));
+  return select;
+}
+
+function formatMatches(matches) {
+  if (!matches.length) return '';
+  const grouped = matches.reduce((acc, current) => {
+    if (!acc[current.keyword]) {
+      acc[current.keyword] = { headers: new Set(), modes: new Set() };
+    }
+    acc[current.keyword].headers.add(current.header);
+    if (current.mode && current.mode !== 'exact') {
+      acc[current.keyword].modes.add(MATCH_MODE_LABELS[current.mode]);
+    }
+    return acc;
+  }, {});
+
+  return Object.entries(grouped)
+    .map(([keyword, { headers, modes }]) => {
+      const modeLabel = modes.size ? ` [${Array.from(modes).join(', ')}]` : '';
+      return `${keyword}${modeLabel} (${Array.from(headers).join(', ')})`;
+    })
+    .join(' · ');
+}
+
+// --- Tri, filtres par colonne et disposition des colonnes ---
+const SORT_COLLATOR = new Intl.Collator('fr', { numeric: true, sensitivity: 'base' });
+// Valeurs distinctes proposées dans le filtre d'une colonne
+const DISTINCT_VALUES_LIMIT = 200;
+// Types de colonnes filtrables par plage (min / max)
+const RANGE_COLUMN_TYPES = ['number', 'decimalFr', 'date'];
+
+function createTableLayout() {
+  return {
+    sort: [],
+    columnFilters: {},
+    hiddenColumns: new Set(),
+    columnOrder: [],
+    keywordFocus: null,
+  };
+}
+
+/**
+ * Trie les résultats ([{ row, matches }]) selon une liste de clés
+ * [{ header, direction }] et les types de colonnes (déduits des valeurs
+ * s'ils ne sont pas fournis). Les cellules vides ou non convertibles
+ * restent en fin de liste quel que soit le sens. Le tri est stable.
+ */
+function sortResults(results, sortKeys, columnTypes = {}) {
+  if (sortKeys.length === 0) return results;
+
+  const keys = sortKeys.map(({ header, direction }) => ({
+    header,
+    factor: direction === 'desc' ? -1 : 1,
+    type: columnTypes[header] || inferColumnType(results.map(({ row }) => row[header])),
+  }));
+  const decorated = results.map((item) => ({
+    item,
+    values: keys.map((key) => toTypedValue(item.row[key.header], key.type)),
+  }));
+
+  decorated.sort((a, b) => {
+    for (let i = 0; i < keys.length; i++) {
+      const left = a.values[i];
+      const right = b.values[i];
+      if (left === right) continue;
+      if (left === null) return 1;
+      if (right === null) return -1;
+      const order = keys[i].type === 'text' ? SORT_COLLATOR.compare(left, right) : Number(left) - Number(right);
+      if (order !== 0) return order * keys[i].factor;
+    }
+    return 0;
+  });
+  return decorated.map(({ item }) => item);
+}
+
+/**
+ * Clic sur un en-tête : croissant, puis décroissant, puis sans tri. Avec
+ * additive (Maj), la colonne s'ajoute aux clés existantes.
+ */
+function toggleSortKey(sortKeys, header, additive = false) {
+  const existing = sortKeys.find((key) => key.header === header);
+  const others = additive ? sortKeys.filter((key) => key.header !== header) : [];
+  if (!existing) {
+    return [...others, { header, direction: 'asc' }];
+  }
+  if (existing.direction === 'asc') {
+    const next = { header, direction: 'desc' };
+    return additive ? sortKeys.map((key) => (key.header === header ? next : key)) : [next];
+  }
+  return others;
+}
+
+function columnValueKey(value) {
+  return value == null ? '' : String(value).trim();
+}
+
+/**
+ * Filtre de colonne : { presence: 'any' | 'empty' | 'filled',
+ * values: null | [valeurs retenues], excluded: null | [valeurs écartées],
+ * min, max } (min/max : null, nombre ou horodatage, comparés à la valeur
+ * typée de la cellule).
+ */
+function isColumnFilterActive(filter) {
+  return Boolean(
+    filter &&
+      (filter.presence !== 'any' || filter.values || filter.excluded || filter.min != null || filter.max != null)
+  );
+}
+
+function matchesColumnFilter(value, filter, allowedValues, type, excludedValues = null) {
+  const key = columnValueKey(value);
+  if (filter.presence === 'empty' && key !== '') return false;
+  if (filter.presence === 'filled' && key === '') return false;
+  if (allowedValues && !allowedValues.has(key)) return false;
+  if (excludedValues && excludedValues.has(key)) return false;
+  if (filter.min != null || filter.max != null) {
+    const typed = toTypedValue(value, type);
+    if (typeof typed !== 'number') return false;
+    if (filter.min != null && typed < filter.min) return false;
+    if (filter.max != null && typed > filter.max) return false;
+  }
+  return true;
+}
+
+function applyColumnFilters(results, columnFilters, columnTypes = {}) {
+  const active = Object.entries(columnFilters)
+    .filter(([, filter]) => isColumnFilterActive(filter))
+    .map(([header, filter]) => ({
+      header,
+      filter,
+      allowedValues: filter.values ? new Set(filter.values) : null,
+      excludedValues: filter.excluded ? new Set(filter.excluded) : null,
+      type: columnTypes[header] || inferColumnType(results.map(({ row }) => row[header])),
+    }));
+  if (active.length === 0) return results;
+
+  return results.filter(({ row }) =>
+    active.every(({ header, filter, allowedValues, excludedValues, type }) =>
+      matchesColumnFilter(row[header], filter, allowedValues, type, excludedValues)
+    )
+  );
+}
+
+/**
+ * Valeurs cochées dans la liste du filtre → { values, excluded }. Liste
+ * complète : les valeurs cochées (null si toutes le sont). Liste tronquée
+ * aux plus fréquentes : seules les valeurs décochées sont écartées, les
+ * valeurs non listées restent affichées.
+ */
+function columnValueSelection(listedValues, checkedValues, truncated) {
+  const checked = new Set(checkedValues);
+  const unchecked = listedValues.filter((value) => !checked.has(value));
+  if (unchecked.length === 0) return { values: null, excluded: null };
+  return truncated
+    ? { values: null, excluded: unchecked }
+    : { values: listedValues.filter((value) => checked.has(value)), excluded: null };
+}
+
+/**
+ * Valeurs distinctes d'une colonne, des plus fréquentes aux plus rares :
+ * { values: [{ value, count }], total } (total : nombre de valeurs
+ * distinctes, values étant limité à limit).
+ */
+function distinctColumnValues(results, header, limit = DISTINCT_VALUES_LIMIT) {
+  const counts = new Map();
+  results.forEach(({ row }) => {
+    const key = columnValueKey(row[header]);
+    counts.set(key, (counts.get(key) || 0) + 1);
+  });
+  const values = Array.from(counts, ([value, count]) => ({ value, count })).sort(
+    (a, b) => b.count - a.count || SORT_COLLATOR.compare(a.value, b.value)
+  );
+  return { values: values.slice(0, limit), total: values.length };
+}
+
+/**
+ * Colonnes affichées : ordre choisi par glisser-déposer (les colonnes
+ * inconnues de cet ordre gardent leur place d'origine à la suite), sans
+ * les colonnes masquées.
+ */
+function getDisplayedHeaders(headers, layout) {
+  const ordered = layout.columnOrder.filter((header) => headers.includes(header));
+  headers.forEach((header) => {
+    if (!ordered.includes(header)) ordered.push(header);
+  });
+  return ordered.filter((header) => !layout.hiddenColumns.has(header));
+}
+
+/**
+ * Déplace une colonne juste avant une autre ; retourne le nouvel ordre
+ * complet (colonnes masquées comprises).
+ */
+function moveColumn(headers, layout, header, beforeHeader) {
+  const order = getDisplayedHeaders(headers, { ...layout, hiddenColumns: new Set() }).filter((name) => name !== header);
+  const index = order.indexOf(beforeHeader);
+  order.splice(index === -1 ? order.length : index, 0, header);
+  return order;
+}
+
+/**
+ * Applique la disposition aux résultats du filtrage par mots-clés :
+ * { headers, rows } tels qu'affichés et exportés.
+ */
+function applyTableLayout(headers, results, layout, columnTypes = {}) {
+  const focused = layout.keywordFocus
+    ? results.filter(({ matches }) => matches.some(({ keyword }) => keyword === layout.keywordFocus))
+    : results;
+  const filtered = applyColumnFilters(focused, layout.columnFilters, columnTypes);
+  const sortKeys = layout.sort.filter((key) => headers.includes(key.header));
+  return {
+    headers: getDisplayedHeaders(headers, layout),
+    rows: sortResults(filtered, sortKeys, columnTypes),
+  };
+}
+
+// Résultats du filtrage par mots-clés, avant tri et filtres de colonnes :
+// trier ou filtrer une colonne ne relance pas la recherche.
+let keywordResults = null;
+// Colonne dont le filtre est en cours d'édition
+let editedColumnFilter = null;
+
+function renderTableView() {
+  if (!keywordResults) return;
+  const { headers, rows, options } = keywordResults;
+  const view = applyTableLayout(headers, rows, state.table, currentColumnTypes());
+
+  renderColumnCheckboxes(view.headers);
+  renderTableToolbar(headers, view.rows.length, rows.length);
+  displayedResults = view;
+  updateExportAvailability();
+  renderPivotPanel();
+  scheduleSessionSave();
+
+  // Les plages surlignées sont calculées à l'affichage, ligne visible par ligne
+  const highlighters = createKeywordHighlighters(options);
+  renderKeywordLegend(highlighters);
+
+  setVirtualRows(
+    view.rows,
+    ({ row, matches }) => {
+      const tr = document.createElement('tr');
+      view.headers.forEach((header) => {
+        const value = row[header] != null ? String(row[header]) : '';
+        tr.appendChild(createCell(value, computeCellHighlights(value, header, matches, highlighters)));
+      });
+
+      const matchTd = createCell(formatMatches(matches));
+      matchTd.className = 'matched-keywords';
+      tr.appendChild(matchTd);
+      return tr;
+    },
+    view.headers.length + 1
+  );
+}
+
+/**
+ * Oublie les résultats du filtrage par mots-clés (tableau vidé ou vue
+ * différences) et les éléments qui en dépendent.
+ */
+function clearTableView() {
+  document.getElementById('keyword-legend').classList.add('hidden');
+  document.getElementById('table-layout-summary').innerHTML = '';
+  closeColumnFilter();
+  keywordResults = null;
+  displayedResults = null;
+  updateExportAvailability();
+  renderPivotPanel();
+  renderKeywordDashboard();
+  renderSourceSummary();
+}
+
+function updateTableLayout(changes) {
+  Object.assign(state.table, changes);
+  renderTableView();
+}
+
+/**
+ * Colonnes masquées (cliquer pour réafficher) et filtres de colonnes
+ * actifs (cliquer pour retirer), avec le nombre de lignes restantes.
+ */
+function renderTableToolbar(headers, shownCount, totalCount) {
+  const container = document.getElementById('table-layout-summary');
+  container.innerHTML = '';
+
+  const addGroup = (label, items, onClick) => {
+    if (items.length === 0) return;
+    const title = document.createElement('span');
+    title.className = 'legend-title';
+    title.textContent = label;
+    container.appendChild(title);
+    items.forEach((header) => {
+      const chip = document.createElement('button');
+      chip.type = 'button';
+      chip.className = 'layout-chip';
+      chip.textContent = `${header} ×`;
+      chip.addEventListener('click', () => onClick(header));
+      container.appendChild(chip);
+    });
+  };
+
+  addGroup(
+    'Colonnes masquées :',
+    headers.filter((header) => state.table.hiddenColumns.has(header)),
+    (header) => {
+      state.table.hiddenColumns.delete(header);
+      renderTableView();
+    }
+  );
+  addGroup('Mot-clé :', state.table.keywordFocus ? [state.table.keywordFocus] : [], focusKeyword);
+  addGroup(
+    'Filtres de colonnes :',
+    headers.filter((header) => isColumnFilterActive(state.table.columnFilters[header])),
+    (header) => {
+      delete state.table.columnFilters[header];
+      renderTableView();
+    }
+  );
+
+  if (shownCount !== totalCount) {
+    const count = document.createElement('span');
+    count.textContent = `${shownCount} ligne(s) affichée(s) sur ${totalCount}`;
+    container.appendChild(count);
+  }
+}
+
+function openColumnFilter(header) {
+  if (!keywordResults) return;
+  editedColumnFilter = header;
+  const filter = state.table.columnFilters[header] || {
+    presence: 'any',
+    values: null,
+    excluded: null,
+    min: null,
+    max: null,
+  };
+  // Valeurs proposées : lignes retenues par la recherche, tous filtres de
+  // colonnes appliqués sauf celui de cette colonne
+  const otherFilters = { ...state.table.columnFilters };
+  delete otherFilters[header];
+  const columnTypes = currentColumnTypes();
+  const candidates = applyColumnFilters(keywordResults.rows, otherFilters, columnTypes);
+  const { values, total } = distinctColumnValues(candidates, header);
+  const type = columnTypes[header] || 'text';
+
+  document.getElementById('column-filter-name').textContent = `${header} (${COLUMN_TYPE_LABELS[type]})`;
+  document.getElementById('column-filter-presence').value = filter.presence;
+  document.getElementById('column-filter-range').classList.toggle('hidden', !RANGE_COLUMN_TYPES.includes(type));
+  ['min', 'max'].forEach((bound) => {
+    const input = document.getElementById(`column-filter-${bound}`);
+    input.type = type === 'date' ? 'date' : 'number';
+    const value = filter[bound];
+    if (value == null) {
+      input.value = '';
+    } else {
+      input.value = type === 'date' ? new Date(value).toISOString().slice(0, 10) : value;
+    }
+  });
+  document.getElementById('column-filter-search').value = '';
+  document.getElementById('column-filter-values-hint').textContent =
+    total > values.length
+      ? `${values.length} valeurs les plus fréquentes sur ${total} (les autres restent affichées)`
+      : `${total} valeur(s) distincte(s)`;
+
+  const list = document.getElementById('column-filter-values');
+  list.innerHTML = '';
+  list.dataset.truncated = String(total > values.length);
+  const allowed = filter.values ? new Set(filter.values) : null;
+  const excluded = new Set(filter.excluded || []);
+  values.forEach(({ value, count }) => {
+    const item = document.createElement('li');
+    const label = document.createElement('label');
+    const checkbox = document.createElement('input');
+    checkbox.type = 'checkbox';
+    checkbox.value = value;
+    checkbox.checked = (!allowed || allowed.has(value)) && !excluded.has(value);
+    const text = document.createElement('span');
+    text.textContent = value === '' ? '(vide)' : value;
+    const countSpan = document.createElement('span');
+    countSpan.className = 'sheet-details';
+    countSpan.textContent = String(count);
+    label.appendChild(checkbox);
+    label.appendChild(text);
+    label.appendChild(countSpan);
+    item.appendChild(label);
+    list.appendChild(item);
+  });
+
+  document.getElementById('column-filter-panel').classList.remove('hidden');
+}
+
+function readColumnFilterFromPanel() {
+  // Les bornes de date (aaaa-mm-jj) deviennent des horodatages
+  const readNumber = (id) => {
+    const input = document.getElementById(id);
+    if (input.value === '') return null;
+    return input.type === 'date' ? parseDateValue(input.value) : Number(input.value);
+  };
+  const checkboxes = Array.from(document.querySelectorAll('#column-filter-values input[type="checkbox"]'));
+  const checked = checkboxes.filter((checkbox) => checkbox.checked).map((checkbox) => checkbox.value);
+  const truncated = document.getElementById('column-filter-values').dataset.truncated === 'true';
+  const numeric = !document.getElementById('column-filter-range').classList.contains('hidden');
+
+  return {
+    presence: document.getElementById('column-filter-presence').value,
+    ...columnValueSelection(checkboxes.map((checkbox) => checkbox.value), checked, truncated),
+    min: numeric ? readNumber('column-filter-min') : null,
+    max: numeric ? readNumber('column-filter-max') : null,
+  };
+}
+
+function applyColumnFilterFromPanel() {
+  if (!editedColumnFilter) return;
+  const filter = readColumnFilterFromPanel();
+  if (isColumnFilterActive(filter)) {
+    state.table.columnFilters[editedColumnFilter] = filter;
+  } else {
+    delete state.table.columnFilters[editedColumnFilter];
+  }
+  closeColumnFilter();
+  renderTableView();
+}
+
+function clearEditedColumnFilter() {
+  if (!editedColumnFilter) return;
+  delete state.table.columnFilters[editedColumnFilter];
+  closeColumnFilter();
+  renderTableView();
+}
+
+function closeColumnFilter() {
+  editedColumnFilter = null;
+  document.getElementById('column-filter-panel').classList.add('hidden');
+}
+
+function filterColumnValueList(text) {
+  const needle = stripAccents(text).toLowerCase();
+  document.querySelectorAll('#column-filter-values li').forEach((item) => {
+    item.classList.toggle('hidden', !stripAccents(item.textContent).toLowerCase().includes(needle));
+  });
+}
+
+function setColumnValuesChecked(checked) {
+  document.querySelectorAll('#column-filter-values li:not(.hidden) input').forEach((checkbox) => {
+    checkbox.checked = checked;
+  });
+}
+
+// --- Profil des colonnes ---
+const PROFILE_TOP_VALUES = 10;
+
+function formatProfileNumber(value) {
+  return value.toLocaleString('fr-FR', { maximumFractionDigits: 2 });
+}
+
+function formatTimestamp(timestamp) {
+  const date = new Date(timestamp);
+  const pad = (number) => String(number).padStart(2, '0');
+  return `${pad(date.getUTCDate())}/${pad(date.getUTCMonth() + 1)}/${date.getUTCFullYear()}`;
+}
+
+/**
+ * Statistiques d'une colonne : remplissage, valeurs distinctes, valeurs
+ * les plus fréquentes, et selon le type min / max / moyenne (nombres) ou
+ * première / dernière date. Les valeurs non convertibles sont comptées dans
+ * invalid.
+ */
+function profileColumn(results, header, type = 'text') {
+  const { values, total: distinct } = distinctColumnValues(results, header, PROFILE_TOP_VALUES);
+  const profile = {
+    header,
+    type,
+    total: results.length,
+    filled: 0,
+    distinct,
+    top: values,
+    invalid: 0,
+    numeric: null,
+    dates: null,
+  };
+
+  let min = Infinity;
+  let max = -Infinity;
+  let sum = 0;
+  let count = 0;
+  results.forEach(({ row }) => {
+    const value = row[header];
+    if (isEmptyCell(value)) return;
+    profile.filled++;
+    if (!RANGE_COLUMN_TYPES.includes(type)) return;
+
+    const typed = toTypedValue(value, type);
+    if (typed === null) {
+      profile.invalid++;
+      return;
+    }
+    min = Math.min(min, typed);
+    max = Math.max(max, typed);
+    sum += typed;
+    count++;
+  });
+
+  if (count > 0 && type === 'date') {
+    profile.dates = { min, max };
+  } else if (count > 0) {
+    profile.numeric = { min, max, mean: sum / count };
+  }
+  return profile;
+}
+
+function profileDataset(data) {
+  const results = data.rows.map((row) => ({ row }));
+  const columnTypes = data.columnTypes || {};
+  return data.headers.map((header) => profileColumn(results, header, columnTypes[header]));
+}
+
+function toggleProfilePanel() {
+  const panel = document.getElementById('profile-panel');
+  panel.classList.toggle('hidden');
+  renderProfilePanel();
+}
+
+/**
+ * Profil du jeu de données affiché (fichier entier, avant recherche).
+ * Calculé seulement quand le panneau est ouvert.
+ */
+function renderProfilePanel() {
+  const panel = document.getElementById('profile-panel');
+  const data = currentDataset();
+  document.getElementById('profile-toggle').disabled = !data;
+  if (panel.classList.contains('hidden')) return;
+
+  const list = document.getElementById('profile-columns');
+  list.innerHTML = '';
+  if (!data) {
+    panel.classList.add('hidden');
+    return;
+  }
+
+  const startedAt = Date.now();
+  const profiles = profileDataset(data);
+  console.log('[APP] Profil des colonnes calculé en', Date.now() - startedAt, 'ms');
+  document.getElementById('profile-summary').textContent =
+    `${data.rows.length.toLocaleString('fr-FR')} ligne(s), ${data.headers.length} colonne(s). Cliquez sur une valeur pour filtrer le tableau.`;
+  profiles.forEach((profile) => list.appendChild(createProfileCard(profile)));
+}
+
+function createProfileCard(profile) {
+  const card = document.createElement('article');
+  card.className = 'profile-card';
+
+  const title = document.createElement('h3');
+  title.textContent = profile.header;
+  const typeLabel = document.createElement('span');
+  typeLabel.className = 'profile-type';
+  typeLabel.textContent = COLUMN_TYPE_LABELS[profile.type];
+  title.appendChild(typeLabel);
+  card.appendChild(title);
+
+  const fillRate = profile.total ? profile.filled / profile.total : 0;
+  const fill = document.createElement('div');
+  fill.className = 'profile-fill';
+  const bar = document.createElement('span');
+  bar.style.width = `${Math.round(fillRate * 100)}%`;
+  fill.appendChild(bar);
+  card.appendChild(fill);
+
+  const stats = [
+    `Remplissage : ${Math.round(fillRate * 100)} % (${profile.filled.toLocaleString('fr-FR')} / ${profile.total.toLocaleString('fr-FR')})`,
+    `Valeurs distinctes : ${profile.distinct.toLocaleString('fr-FR')}`,
+  ];
+  if (profile.numeric) {
+    const { min, max, mean } = profile.numeric;
+    stats.push(`Min ${formatProfileNumber(min)} · Max ${formatProfileNumber(max)} · Moyenne ${formatProfileNumber(mean)}`);
+  }
+  if (profile.dates) {
+    stats.push(`Du ${formatTimestamp(profile.dates.min)} au ${formatTimestamp(profile.dates.max)}`);
+  }
+  if (profile.invalid) {
+    stats.push(`${profile.invalid.toLocaleString('fr-FR')} valeur(s) non reconnue(s) comme ${COLUMN_TYPE_LABELS[profile.type].toLowerCase()}`);
+  }
+  stats.forEach((text) => {
+    const line = document.createElement('p');
+    line.textContent = text;
+    card.appendChild(line);
+  });
+
+  const top = document.createElement('ol');
+  top.className = 'profile-top';
+  profile.top.forEach(({ value, count }) => {
+    const item = document.createElement('li');
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = 'profile-value';
+    button.title = 'Filtrer le tableau sur cette valeur';
+    button.textContent = value === '' ? '(vide)' : value;
+    button.addEventListener('click', () => filterOnProfileValue(profile.header, value));
+    const share = document.createElement('span');
+    share.className = 'sheet-details';
+    share.textContent = `${count.toLocaleString('fr-FR')} (${Math.round((count / profile.total) * 100)} %)`;
+    item.appendChild(button);
+    item.appendChild(share);
+    top.appendChild(item);
+  });
+  card.appendChild(top);
+  return card;
+}
+
+/**
+ * Clic sur une valeur du profil : filtre de colonne sur cette seule valeur
+ * (ou sur les cellules vides).
+ */
+function filterOnProfileValue(header, value) {
+  state.table.columnFilters[header] = columnFilterForValue(value);
+  state.table.hiddenColumns.delete(header);
+  renderTableView();
+  document.querySelector('.tables-zone .table-wrapper').scrollIntoView({ block: 'start' });
+}
+
+function columnFilterForValue(value) {
+  return value === ''
+    ? { presence: 'empty', values: null, excluded: null, min: null, max: null }
+    : { presence: 'any', values: [value], excluded: null, min: null, max: null };
+}
+
+// --- Tableau croisé (regroupements et agrégats) ---
+// config = { rows: [colonnes], columns: [colonnes], values: [{ aggregate,
+// header }] } ; les lignes sont regroupées sur leurs valeurs telles que
+// filtrées par colonne (columnValueKey), "" pour les cellules vides.
+const PIVOT_AGGREGATE_LABELS = {
+  count: 'Nombre de lignes',
+  sum: 'Somme',
+  avg: 'Moyenne',
+  min: 'Min',
+  max: 'Max',
+  distinct: 'Valeurs distinctes',
+};
+// Agrégats calculés sur la valeur typée (nombre ou date) des cellules ;
+// sur une colonne de dates, la somme n'a pas de sens et reste vide
+const PIVOT_NUMERIC_AGGREGATES = ['sum', 'avg', 'min', 'max'];
+const PIVOT_DATE_AGGREGATES = ['avg', 'min', 'max'];
+
+function pivotMeasureLabel({ aggregate, header }) {
+  return aggregate === 'count' ? PIVOT_AGGREGATE_LABELS.count : `${PIVOT_AGGREGATE_LABELS[aggregate]} de ${header}`;
+}
+
+function createPivotAccumulator() {
+  return { count: 0, sum: 0, numbers: 0, min: null, max: null, distinct: new Set() };
+}
+
+function accumulatePivotValue(accumulator, measure, value) {
+  accumulator.count++;
+  if (measure.aggregate === 'distinct') {
+    const key = columnValueKey(value);
+    if (key !== '') accumulator.distinct.add(key);
+  } else if (measure.aggregate !== 'count') {
+    if (measure.type === 'date' && !PIVOT_DATE_AGGREGATES.includes(measure.aggregate)) return;
+    const typed = toTypedValue(value, measure.type);
+    if (typeof typed !== 'number' || Number.isNaN(typed)) return;
+    accumulator.numbers++;
+    accumulator.sum += typed;
+    if (accumulator.min === null || typed < accumulator.min) accumulator.min = typed;
+    if (accumulator.max === null || typed > accumulator.max) accumulator.max = typed;
+  }
+}
+
+/** Valeur finale d'un agrégat ; null si aucune cellule n'était convertible. */
+function finishPivotValue(accumulator, aggregate) {
+  if (aggregate === 'count') return accumulator.count;
+  if (aggregate === 'distinct') return accumulator.distinct.size;
+  if (accumulator.numbers === 0) return null;
+  if (aggregate === 'sum') return accumulator.sum;
+  if (aggregate === 'avg') return accumulator.sum / accumulator.numbers;
+  return accumulator[aggregate];
+}
+
+function comparePivotKeys(a, b) {
+  for (let i = 0; i < a.length; i++) {
+    const order = SORT_COLLATOR.compare(a[i], b[i]);
+    if (order !== 0) return order;
+  }
+  return 0;
+}
+
+/**
+ * Tableau croisé des résultats ([{ row, matches }]) : rowKeys et columnKeys
+ * (valeurs des dimensions, triées), cells[ligne][colonne] (un tableau de
+ * valeurs par agrégat, null sans ligne correspondante), rowTotals,
+ * columnTotals et total. Les totaux sont recalculés sur les lignes, pas
+ * additionnés : moyennes et valeurs distinctes restent justes.
+ */
+function buildPivotTable(results, config, columnTypes = {}) {
+  const measures = config.values.map((measure) => ({
+    aggregate: measure.aggregate,
+    header: measure.aggregate === 'count' ? null : measure.header,
+    label: pivotMeasureLabel(measure),
+    type: PIVOT_NUMERIC_AGGREGATES.includes(measure.aggregate)
+      ? columnTypes[measure.header] || inferColumnType(results.map(({ row }) => row[measure.header]))
+      : 'text',
+  }));
+  const groups = {
+    rows: new Map(),
+    columns: new Map(),
+    cells: new Map(),
+    total: measures.map(createPivotAccumulator),
+  };
+  const group = (map, key) => {
+    const id = JSON.stringify(key);
+    if (!map.has(id)) map.set(id, { key, accumulators: measures.map(createPivotAccumulator) });
+    return map.get(id).accumulators;
+  };
+
+  results.forEach(({ row }) => {
+    const rowKey = config.rows.map((header) => columnValueKey(row[header]));
+    const columnKey = config.columns.map((header) => columnValueKey(row[header]));
+    [
+      group(groups.rows, rowKey),
+      group(groups.columns, columnKey),
+      group(groups.cells, [rowKey, columnKey]),
+      groups.total,
+    ].forEach((accumulators) => {
+      measures.forEach((measure, index) => {
+        accumulatePivotValue(accumulators[index], measure, measure.header === null ? null : row[measure.header]);
+      });
+    });
+  });
+
+  const finish = (accumulators) =>
+    accumulators.map((accumulator, index) => finishPivotValue(accumulator, measures[index].aggregate));
+  const sortedKeys = (map) => Array.from(map.values(), ({ key }) => key).sort(comparePivotKeys);
+  const rowKeys = sortedKeys(groups.rows);
+  const columnKeys = sortedKeys(groups.columns);
+  return {
+    rowHeaders: [...config.rows],
+    columnHeaders: [...config.columns],
+    measures,
+    rowKeys,
+    columnKeys,
+    cells: rowKeys.map((rowKey) =>
+      columnKeys.map((columnKey) => {
+        const cell = groups.cells.get(JSON.stringify([rowKey, columnKey]));
+        return cell ? finish(cell.accumulators) : null;
+      })
+    ),
+    rowTotals: rowKeys.map((key) => finish(groups.rows.get(JSON.stringify(key)).accumulators)),
+    columnTotals: columnKeys.map((key) => finish(groups.columns.get(JSON.stringify(key)).accumulators)),
+    total: finish(groups.total),
+  };
+}
+
+function formatPivotKey(key) {
+  return key.map((value) => (value === '' ? '(vide)' : value)).join(' / ');
+}
+
+/**
+ * En-têtes des colonnes de valeurs : une par agrégat et par valeur des
+ * dimensions en colonne, puis les totaux (seulement s'il y a des
+ * dimensions en colonne).
+ */
+function pivotValueLabels(pivot) {
+  const labels = [];
+  const withMeasure = (prefix, measure) => (pivot.measures.length > 1 ? `${prefix} · ${measure.label}` : prefix);
+  if (pivot.columnHeaders.length === 0) {
+    return pivot.measures.map((measure) => measure.label);
+  }
+  pivot.columnKeys.forEach((key) => {
+    pivot.measures.forEach((measure) => labels.push(withMeasure(formatPivotKey(key), measure)));
+  });
+  pivot.measures.forEach((measure) => labels.push(withMeasure('Total', measure)));
+  return labels;
+}
+
+/**
+ * Tableau croisé à plat pour l'export : en-têtes, une ligne par groupe et
+ * une ligne de total. formatValue(value, measure) met en forme chaque
+ * valeur (nombres laissés tels quels par défaut).
+ */
+function pivotToMatrix(pivot, formatValue = (value) => value) {
+  const totalsColumn = pivot.columnHeaders.length > 0;
+  const values = (cells, totals) => {
+    const line = [];
+    if (totalsColumn) {
+      cells.forEach((cell) => {
+        pivot.measures.forEach((measure, index) => line.push(cell ? formatValue(cell[index], measure) : ''));
+      });
+    }
+    totals.forEach((value, index) => line.push(formatValue(value, pivot.measures[index])));
+    return line;
+  };
+  const rowLabel = (key) => (pivot.rowHeaders.length ? key.map((value) => (value === '' ? '(vide)' : value)) : ['Total']);
+  const matrix = [[...(pivot.rowHeaders.length ? pivot.rowHeaders : ['']), ...pivotValueLabels(pivot)]];
+  pivot.rowKeys.forEach((key, index) => {
+    matrix.push([...rowLabel(key), ...values(pivot.cells[index], pivot.rowTotals[index])]);
+  });
+  if (pivot.rowHeaders.length) {
+    const totalLine = pivot.rowHeaders.map((header, index) => (index === 0 ? 'Total' : ''));
+    matrix.push([...totalLine, ...values(pivot.columnTotals, pivot.total)]);
+  }
+  return matrix;
+}
+
+// --- Correspondances par fichier (analyse de plusieurs fichiers) ---
+
+/**
+ * Pour un jeu de données réuni (mergeDatasets) : lignes et lignes
+ * retenues par origine, y compris les fichiers sans correspondance.
+ */
+function countMatchesBySource(results, data) {
+  const counts = new Map(data.sources.map(({ name }) => [name, 0]));
+  results.forEach(({ row }) => {
+    const source = row[data.sourceColumn];
+    counts.set(source, (counts.get(source) || 0) + 1);
+  });
+  return data.sources.map(({ name, rows }) => ({ source: name, rows, matches: counts.get(name) }));
+}
+
+function renderSourceSummary() {
+  const panel = document.getElementById('source-summary');
+  const data = state.analyse;
+  const visible = state.mode === 'analyse' && Boolean(keywordResults && data && data.sources);
+  panel.classList.toggle('hidden', !visible);
+  if (!visible) return;
+
+  const counts = countMatchesBySource(keywordResults.rows, data);
+  const withMatches = counts.filter((count) => count.matches > 0).length;
+  document.getElementById('source-summary-text').textContent =
+    `${withMatches} ${data.sourceColumn.startsWith(FILE_SOURCE_COLUMN) ? 'fichier(s)' : 'feuille(s)'} sur ${counts.length} ` +
+    `avec au moins une ligne retenue.`;
+
+  const thead = document.querySelector('#source-summary-table thead');
+  thead.innerHTML = '';
+  const headerRow = document.createElement('tr');
+  [data.sourceColumn, 'Lignes', 'Lignes retenues'].forEach((label) => {
+    const th = document.createElement('th');
+    th.textContent = label;
+    headerRow.appendChild(th);
+  });
+  thead.appendChild(headerRow);
+
+  const tbody = document.querySelector('#source-summary-table tbody');
+  tbody.innerHTML = '';
+  counts.forEach(({ source, rows, matches }) => {
+    const tr = document.createElement('tr');
+    tr.classList.toggle('no-match', matches === 0);
+    const sourceTd = document.createElement('td');
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = 'profile-value';
+    button.title = 'Afficher seulement les lignes de cette origine';
+    button.textContent = source;
+    button.addEventListener('click', () => filterOnProfileValue(data.sourceColumn, source));
+    sourceTd.appendChild(button);
+    tr.appendChild(sourceTd);
+    tr.appendChild(createCell(rows));
+    tr.appendChild(createCell(matches));
+    tbody.appendChild(tr);
+  });
+}
+
+// --- Tableau de bord des mots-clés (Comparaison) ---
+const KEYWORD_HIT_FILTERS = {
+  all: () => true,
+  found: (hit) => hit.rows > 0,
+  missing: (hit) => hit.rows === 0,
+};
+const KEYWORD_HIT_COLUMNS = [
+  { key: 'keyword', label: 'Mot-clé' },
+  { key: 'rows', label: 'Lignes' },
+  { key: 'cells', label: 'Occurrences' },
+  { key: 'columns', label: 'Colonnes' },
+];
+
+/**
+ * Trie et filtre les compteurs de countKeywordHits pour l'affichage.
+ * sort : { key: 'keyword' | 'rows' | 'cells' | 'columns', direction }.
+ */
+function sortKeywordHits(hits, sort, filter = 'all') {
+  const factor = sort.direction === 'asc' ? 1 : -1;
+  const value = (hit) => (sort.key === 'columns' ? hit.columns.length : hit[sort.key]);
+  return hits
+    .filter(KEYWORD_HIT_FILTERS[filter])
+    .slice()
+    .sort((a, b) => {
+      const order = sort.key === 'keyword' ? SORT_COLLATOR.compare(a.keyword, b.keyword) : value(a) - value(b);
+      return order * factor || SORT_COLLATOR.compare(a.keyword, b.keyword);
+    });
+}
+
+function buildKeywordHitsMatrix(hits) {
+  return [
+    KEYWORD_HIT_COLUMNS.map(({ label }) => label),
+    ...hits.map((hit) => [hit.keyword, hit.rows, hit.cells, hit.columns.join(', ')]),
+  ];
+}
+
+/**
+ * Compteurs par mot-clé pour des options de filtrage explicites : chaque
+ * terme positif de la recherche figure, même sans correspondance.
+ */
+function countQueryKeywordHits(results, options) {
+  const keywords = collectHighlightTerms(resolveFilterQuery(options)).map((term) => term.text);
+  return countKeywordHits(results, keywords);
+}
+
+/**
+ * Mots-clés de la recherche en cours (ceux du fichier de référence par
+ * défaut), y compris ceux qui ne trouvent rien.
+ */
+function currentKeywordHits() {
+  if (!keywordResults) return [];
+  return countQueryKeywordHits(keywordResults.rows, keywordResults.options);
+}
+
+function renderKeywordDashboard() {
+  const dashboard = document.getElementById('keyword-dashboard');
+  const visible = state.mode === 'comparaison' && state.comparaison.view === 'keywords' && Boolean(keywordResults);
+  dashboard.classList.toggle('hidden', !visible);
+  if (!visible) return;
+
+  const allHits = currentKeywordHits();
+  const missing = allHits.filter(KEYWORD_HIT_FILTERS.missing).length;
+  document.getElementById('keyword-dashboard-summary').textContent =
+    `${allHits.length - missing} mot(s)-clé(s) trouvé(s) sur ${allHits.length} · ` +
+    `${missing} sans aucune correspondance (absents du fichier comparé).`;
+
+  const { hitSort, hitFilter } = state.comparaison;
+  const thead = document.querySelector('#keyword-dashboard-table thead');
+  thead.innerHTML = '';
+  const headerRow = document.createElement('tr');
+  KEYWORD_HIT_COLUMNS.forEach(({ key, label }) => {
+    const th = document.createElement('th');
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = 'sort-button';
+    button.textContent = label;
+    if (hitSort.key === key) {
+      const indicator = document.createElement('span');
+      indicator.className = 'sort-indicator';
+      indicator.textContent = hitSort.direction === 'asc' ? ' ▲' : ' ▼';
+      button.appendChild(indicator);
+    }
+    button.addEventListener('click', () => {
+      const direction = hitSort.key === key && hitSort.direction === 'desc' ? 'asc' : 'desc';
+      state.comparaison.hitSort = { key, direction: key === 'keyword' && hitSort.key !== key ? 'asc' : direction };
+      renderKeywordDashboard();
+    });
+    th.appendChild(button);
+    headerRow.appendChild(th);
+  });
+  thead.appendChild(headerRow);
+
+  const tbody = document.querySelector('#keyword-dashboard-table tbody');
+  tbody.innerHTML = '';
+  sortKeywordHits(allHits, hitSort, hitFilter).forEach((hit) => {
+    const tr = document.createElement('tr');
+    tr.classList.toggle('missing-keyword', hit.rows === 0);
+    tr.classList.toggle('focused-keyword', state.table.keywordFocus === hit.keyword);
+
+    const keywordTd = document.createElement('td');
+    if (hit.rows > 0) {
+      const button = document.createElement('button');
+      button.type = 'button';
+      button.className = 'profile-value';
+      button.title = 'Afficher seulement les lignes de ce mot-clé';
+      button.textContent = hit.keyword;
+      button.addEventListener('click', () => focusKeyword(hit.keyword));
+      keywordTd.appendChild(button);
+    } else {
+      keywordTd.textContent = hit.keyword;
+    }
+    tr.appendChild(keywordTd);
+    tr.appendChild(createCell(hit.rows));
+    tr.appendChild(createCell(hit.cells));
+    tr.appendChild(createCell(hit.columns.join(', ')));
+    tbody.appendChild(tr);
+  });
+}
+
+/**
+ * Clic sur un mot-clé : le tableau ne garde que ses lignes (un nouveau
+ * clic sur le même mot-clé retire le filtre).
+ */
+function focusKeyword(keyword) {
+  state.table.keywordFocus = state.table.keywordFocus === keyword ? null : keyword;
+  renderTableView();
+  renderKeywordDashboard();
+}
+
+function exportKeywordDashboard() {
+  const { hitSort, hitFilter } = state.comparaison;
+  const matrix = buildKeywordHitsMatrix(sortKeywordHits(currentKeywordHits(), hitSort, hitFilter));
+  const fileName = `mots-cles-${new Date().toISOString().slice(0, 10)}.csv`;
+  downloadFile(encodeText(serializeCSV(matrix, ';'), 'utf-8-bom'), fileName, 'text/csv;charset=utf-8');
+  showStatus(`${matrix.length - 1} mot(s)-clé(s) exporté(s).`);
+}
+
+// --- Mise en évidence des mots-clés ---
+// Nombre de couleurs de surlignage (classes CSS .highlight-0 à -7).
+const HIGHLIGHT_COLOR_COUNT = 8;
+// Au-delà, la légende (mots-clés du fichier de référence) est tronquée.
+const MAX_LEGEND_KEYWORDS = 40;
+
+/**
+ * Termes positifs de la requête (hors SAUF) : ce sont eux qui apparaissent
+ * dans "Mots-clés trouvés".
+ */
+function collectHighlightTerms(node, terms = []) {
+  if (!node || node.type === 'not') return terms;
+  if (node.type === 'term') {
+    if (!terms.some((term) => term.text === node.text)) terms.push(node);
+  } else {
+    node.children.forEach((child) => collectHighlightTerms(child, terms));
+  }
+  return terms;
+}
+
+/**
+ * Associe à chaque mot-clé une couleur et une fonction de mise en évidence
+ * (voir createTermHighlighter), pour les mêmes options que le filtrage.
+ */
+function createKeywordHighlighters(options) {
+  const highlighters = new Map();
+  collectHighlightTerms(resolveFilterQuery(options)).forEach((term, index) => {
+    highlighters.set(term.text, {
+      color: index % HIGHLIGHT_COLOR_COUNT,
+      highlight: createTermHighlighter(term, options.match || {}),
+    });
+  });
+  return highlighters;
+}
+
+/**
+ * Plages à surligner dans une cellule, triées et sans chevauchement :
+ * { start, end, color }. En cas de chevauchement, la plage qui commence
+ * la première (la plus longue à début égal) garde sa couleur.
+ */
+function computeCellHighlights(value, header, matches, highlighters) {
+  const ranges = [];
+  matches.forEach(({ keyword, header: matchHeader, mode }) => {
+    const highlighter = highlighters.get(keyword);
+    if (matchHeader !== header || !highlighter) return;
+    highlighter.highlight(value, mode).forEach((range) => ranges.push({ ...range, color: highlighter.color }));
+  });
+
+  ranges.sort((a, b) => a.start - b.start || b.end - a.end);
+  const merged = [];
+  ranges.forEach((range) => {
+    const previous = merged[merged.length - 1];
+    if (previous && range.start < previous.end) {
+      if (range.end > previous.end) {
+        merged.push({ start: previous.end, end: range.end, color: range.color });
+      }
+      return;
+    }
+    merged.push(range);
+  });
+  return merged;
+}
+
+/**
+ * Remplit l'élément avec le texte, les plages surlignées dans des <mark>
+ * (nœuds texte uniquement : le contenu du fichier n'est jamais interprété).
+ */
+function appendHighlightedText(element, text, highlights) {
+  let position = 0;
+  highlights.forEach(({ start, end, color }) => {
+    if (start > position) {
+      element.appendChild(document.createTextNode(text.slice(position, start)));
+    }
+    const mark = document.createElement('mark');
+    mark.className = `highlight-${color}`;
+    mark.textContent = text.slice(start, end);
+    element.appendChild(mark);
+    position = end;
+  });
+  if (position < text.length) {
+    element.appendChild(document.createTextNode(text.slice(position)));
+  }
+}
+
+function renderKeywordLegend(highlighters) {
+  const legend = document.getElementById('keyword-legend');
+  legend.innerHTML = '';
+  legend.classList.toggle('hidden', highlighters.size === 0);
+  if (highlighters.size === 0) return;
+
+  const title = document.createElement('span');
+  title.className = 'legend-title';
+  title.textContent = 'Mots-clés :';
+  legend.appendChild(title);
+
+  const shown = Array.from(highlighters.entries()).slice(0, MAX_LEGEND_KEYWORDS);
+  shown.forEach(([keyword, { color }]) => {
+    const item = document.createElement('mark');
+    item.className = `highlight-${color}`;
+    item.textContent = keyword;
+    legend.appendChild(item);
+  });
+  if (highlighters.size > shown.length) {
+    const more = document.createElement('span');
+    more.textContent = `+ ${highlighters.size - shown.length} autres`;
+    legend.appendChild(more);
+  }
+}
+
+// --- Rendu du rapport d'import ---
+const DATASET_SLOT_LABELS = {
+  analyse: 'Fichier analysé',
+  ref: 'Fichier de référence',
+  cmp: 'Fichier à comparer',
+};
+const SEPARATOR_LABELS = { ';': 'point-virgule', ',': 'virgule', '\t': 'tabulation', '|': 'barre verticale' };
+// En dessous, le séparateur détecté est signalé comme incertain.
+const SEPARATOR_MIN_CONFIDENCE = 0.8;
+const REPORT_EXAMPLES = 5;
+
+function formatExamples(items, format) {
+  const shown = items.slice(0, REPORT_EXAMPLES).map(format).join(', ');
+  return items.length > REPORT_EXAMPLES ? `${shown}, … et ${items.length - REPORT_EXAMPLES} autre(s)` : shown;
+}
+
+function formatSeparatorReport(separator) {
+  const name = SEPARATOR_LABELS[separator.separator] || `« ${separator.separator} »`;
+  if (separator.confidence == null) {
+    return `Séparateur : ${name} (imposé par le format).`;
+  }
+  if (separator.confidence === 0) {
+    return 'Aucun séparateur trouvé : le fichier est lu comme une seule colonne.';
+  }
+  return (
+    `Séparateur détecté : ${name}, confiance ${Math.round(separator.confidence * 100)} % ` +
+    `(${separator.columns} colonnes sur ${separator.lines} ligne(s) examinée(s)).`
+  );
+}
+
+function formatHeaderIssue(issue) {
+  const prefix = issue.source ? `${issue.source} : ` : '';
+  if (issue.type === 'blank') {
+    return `${prefix}colonne ${issue.index + 1} sans nom → « ${issue.header} »`;
+  }
+  return `${prefix}« ${issue.original} » en double → « ${issue.header} »`;
+}
+
+function formatRowNumber(rowIndex) {
+  return `n° ${rowIndex + 1}`;
+}
+
+/**
+ * Élément du rapport ; avec fix, une case permet d'écarter les lignes ou
+ * colonnes concernées.
+ */
+function createReportItem(text, { warning = false, fix = null, fixLabel = '' } = {}) {
+  const item = document.createElement('li');
+  item.classList.toggle('report-warning', warning);
+  if (!fix) {
+    item.textContent = text;
+    return item;
+  }
+  const label = document.createElement('label');
+  const checkbox = document.createElement('input');
+  checkbox.type = 'checkbox';
+  checkbox.dataset.fix = fix;
+  const span = document.createElement('span');
+  span.textContent = `${text} `;
+  const action = document.createElement('strong');
+  action.textContent = fixLabel;
+  span.appendChild(action);
+  label.appendChild(checkbox);
+  label.appendChild(span);
+  item.appendChild(label);
+  return item;
+}
+
+function createImportReportBlock(slot, data) {
+  const report = buildValidationReport(data);
+  const block = document.createElement('article');
+  block.className = 'import-report-block';
+
+  const title = document.createElement('h3');
+  title.textContent = `${DATASET_SLOT_LABELS[slot]} `;
+  const fileName = document.createElement('span');
+  fileName.className = 'dialog-file';
+  fileName.textContent = data.fileName || '';
+  title.appendChild(fileName);
+  block.appendChild(title);
+
+  const list = document.createElement('ul');
+  list.className = 'import-report-items';
+  if (report.format) {
+    const { label, sniffed, extension } = report.format;
+    list.appendChild(
+      createReportItem(
+        sniffed ? `Format : ${label}, reconnu d'après le contenu (extension .${extension} ignorée).` : `Format : ${label}.`,
+        { warning: sniffed }
+      )
+    );
+  }
+  if (report.separator) {
+    const uncertain = report.separator.confidence != null && report.separator.confidence < SEPARATOR_MIN_CONFIDENCE;
+    list.appendChild(
+      createReportItem(
+        formatSeparatorReport(report.separator) + (uncertain ? ' Vérifiez que les colonnes sont bien découpées.' : ''),
+        { warning: uncertain }
+      )
+    );
+  }
+  if (report.headerIssues.length) {
+    list.appendChild(
+      createReportItem(
+        `${report.headerIssues.length} en-tête(s) renommé(s) : ${formatExamples(report.headerIssues, formatHeaderIssue)}.`,
+        { warning: true }
+      )
+    );
+  }
+  if (report.malformedRows.length) {
+    const details = formatExamples(report.malformedRows, (row) =>
+      `${row.source ? `${row.source} ` : ''}ligne ${row.line} (${row.message})`
+    );
+    list.appendChild(
+      createReportItem(`${report.malformedRows.length} ligne(s) mal formée(s), complétées par des cellules vides : ${details}.`, {
+        warning: true,
+        fix: 'excludeMalformed',
+        fixLabel: 'Exclure',
+      })
+    );
+  }
+  if (report.emptyColumns.length) {
+    list.appendChild(
+      createReportItem(`${report.emptyColumns.length} colonne(s) vide(s) : ${formatExamples(report.emptyColumns, (header) => header)}.`, {
+        fix: 'dropEmptyColumns',
+        fixLabel: 'Supprimer',
+      })
+    );
+  }
+  if (report.emptyRows.length) {
+    list.appendChild(
+      createReportItem(`${report.emptyRows.length} ligne(s) vide(s) : ${formatExamples(report.emptyRows, formatRowNumber)}.`, {
+        fix: 'excludeEmptyRows',
+        fixLabel: 'Exclure',
+      })
+    );
+  }
+  if (report.duplicateRows.length) {
+    const details = formatExamples(report.duplicateRows, (row) => `${formatRowNumber(row.rowIndex)} = ${formatRowNumber(row.firstIndex)}`);
+    list.appendChild(
+      createReportItem(`${report.duplicateRows.length} ligne(s) en double : ${details}.`, {
+        warning: true,
+        fix: 'excludeDuplicates',
+        fixLabel: 'Exclure (première occurrence conservée)',
+      })
+    );
+  }
+  if (!hasValidationIssues(report)) {
+    list.appendChild(createReportItem(`Aucun problème détecté (${data.rows.length} lignes, ${data.headers.length} colonnes).`));
+  }
+  block.appendChild(list);
+
+  if (report.applied.length) {
+    const applied = document.createElement('p');
+    applied.className = 'dialog-hint';
+    applied.textContent = `Corrections appliquées : ${report.applied.join(', ')}.`;
+    block.appendChild(applied);
+  }
+
+  if (list.querySelector('input[data-fix]')) {
+    const actions = document.createElement('div');
+    actions.className = 'dialog-actions';
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = 'secondary-button';
+    button.textContent = 'Appliquer les corrections';
+    button.addEventListener('click', () => {
+      const fixes = {};
+      list.querySelectorAll('input[data-fix]').forEach((checkbox) => {
+        fixes[checkbox.dataset.fix] = checkbox.checked;
+      });
+      if (!Object.values(fixes).some(Boolean)) {
+        showStatus('Cochez les corrections à appliquer.');
+        return;
+      }
+      const fixed = applyValidationFixes(data, fixes);
+      replaceDataset(slot, fixed);
+      showStatus(`${DATASET_SLOT_LABELS[slot]} : ${fixed.validation.applied.slice(report.applied.length).join(', ')}.`);
+    });
+    actions.appendChild(button);
+    block.appendChild(actions);
+  }
+  return block;
+}
+
+/**
+ * Rapport des fichiers du mode courant, ouvert d'office s'il signale un
+ * problème.
+ */
+function renderImportReports() {
+  const panel = document.getElementById('import-report');
+  const container = document.getElementById('import-report-list');
+  container.innerHTML = '';
+  const slots = state.mode === 'analyse' ? ['analyse'] : ['ref', 'cmp'];
+  let hasIssues = false;
+  slots.forEach((slot) => {
+    const data = slot === 'analyse' ? state.analyse : state.comparaison[slot];
+    if (!data) return;
+    hasIssues = hasIssues || hasValidationIssues(buildValidationReport(data));
+    container.appendChild(createImportReportBlock(slot, data));
+  });
+  panel.classList.toggle('hidden', container.children.length === 0);
+  panel.open = hasIssues;
+}
+
+/**
+ * Remplace le jeu de données d'un emplacement après correction, en gardant
+ * les colonnes cochées qui existent encore.
+ */
+function replaceDataset(slot, data) {
+  const previous = slot === 'analyse' ? state.analyse : state.comparaison[slot];
+  if (slot === 'analyse') {
+    state.analyse = data;
+  } else {
+    state.comparaison[slot] = data;
+    state.comparaison.matchDecisions = {};
+  }
+
+  if (slot === 'ref') {
+    state.comparaison.keywordColumns = state.comparaison.keywordColumns.filter((header) => data.headers.includes(header));
+    updateReferenceKeywords();
+    updateKeywordSummary();
+  } else {
+    state.selectedColumns = new Set(data.headers.filter((header) => state.selectedColumns.has(header)));
+    // Une colonne ajoutée (colonne calculée) ne remet pas la disposition à zéro
+    if (previous.headers.some((header) => !data.headers.includes(header))) {
+      state.table = createTableLayout();
+    }
+  }
+
+  if (slot === 'analyse') {
+    renderAnalyseTable();
+  } else {
+    renderComparisonOptions();
+    updateComparisonIfReady();
+  }
+  renderProfilePanel();
+  renderComputedPanel();
+  renderDedupPanel();
+  renderImportReports();
+  persistDataset(slot, data);
+}
+
+// --- Rendu du dédoublonnage ---
+// Au-delà, les groupes suivants sont comptés mais pas affichés.
+const MAX_DEDUP_GROUPS_SHOWN = 50;
+
+let dedupGroupsCache = null;
+
+function createDedupSettings() {
+  return { columns: [], mode: 'exact', strategy: 'first', choices: {} };
+}
+
+function currentDuplicateGroups() {
+  const data = state.analyse;
+  const { columns, mode } = state.dedup;
+  const key = JSON.stringify([columns, mode]);
+  if (!dedupGroupsCache || dedupGroupsCache.data !== data || dedupGroupsCache.key !== key) {
+    dedupGroupsCache = { data, key, groups: findDuplicateGroups(data, columns, mode) };
+  }
+  return dedupGroupsCache.groups;
+}
+
+function toggleDedupPanel() {
+  document.getElementById('dedup-panel').classList.toggle('hidden');
+  renderDedupPanel();
+}
+
+/**
+ * Panneau des doublons du fichier analysé, recalculé seulement quand il est
+ * ouvert : colonnes d'identité, puis les groupes côte à côte.
+ */
+function renderDedupPanel() {
+  const panel = document.getElementById('dedup-panel');
+  const data = state.mode === 'analyse' ? state.analyse : null;
+  document.getElementById('dedup-toggle').disabled = !data;
+  if (!data) {
+    panel.classList.add('hidden');
+    return;
+  }
+  if (panel.classList.contains('hidden')) return;
+
+  state.dedup.columns = state.dedup.columns.filter((header) => data.headers.includes(header));
+  renderDedupColumns(data);
+  document.querySelector(`input[name="dedup-mode"][value="${state.dedup.mode}"]`).checked = true;
+  document.getElementById('dedup-strategy').value = state.dedup.strategy;
+
+  const groups = currentDuplicateGroups();
+  const extra = groups.reduce((sum, group) => sum + group.rowIndexes.length - 1, 0);
+  const summary = document.getElementById('dedup-summary');
+  if (state.dedup.columns.length === 0) {
+    summary.textContent = 'Cochez les colonnes qui identifient une ligne.';
+  } else if (groups.length === 0) {
+    summary.textContent = 'Aucun doublon sur ces colonnes.';
+  } else {
+    summary.textContent =
+      `${groups.length.toLocaleString('fr-FR')} groupe(s) de doublons, ${extra.toLocaleString('fr-FR')} ligne(s) en trop sur ${data.rows.length.toLocaleString('fr-FR')}.` +
+      (groups.length > MAX_DEDUP_GROUPS_SHOWN ? ` Les ${MAX_DEDUP_GROUPS_SHOWN} premiers groupes sont affichés.` : '');
+  }
+  document.getElementById('dedup-apply').disabled = groups.length === 0;
+
+  const list = document.getElementById('dedup-groups');
+  list.innerHTML = '';
+  groups.slice(0, MAX_DEDUP_GROUPS_SHOWN).forEach((group) => {
+    list.appendChild(createDedupGroup(data, group));
+  });
+}
+
+function renderDedupColumns(data) {
+  const container = document.getElementById('dedup-columns');
+  container.innerHTML = '';
+  data.headers.forEach((header) => {
+    const label = document.createElement('label');
+    const checkbox = document.createElement('input');
+    checkbox.type = 'checkbox';
+    checkbox.checked = state.dedup.columns.includes(header);
+    checkbox.addEventListener('change', (event) => {
+      updateDedupSettings({
+        columns: event.target.checked
+          ? data.headers.filter((item) => item === header || state.dedup.columns.includes(item))
+          : state.dedup.columns.filter((item) => item !== header),
+      });
+    });
+    const span = document.createElement('span');
+    span.textContent = header;
+    label.appendChild(checkbox);
+    label.appendChild(span);
+    container.appendChild(label);
+  });
+}
+
+/** Les choix par groupe sont oubliés quand l'identité des lignes change. */
+function updateDedupSettings(changes) {
+  if (changes.columns || changes.mode) {
+    changes.choices = {};
+  }
+  Object.assign(state.dedup, changes);
+  renderDedupPanel();
+}
+
+/**
+ * Lignes d'un groupe côte à côte ; les colonnes où elles diffèrent sont
+ * marquées, les lignes écartées par la stratégie du groupe sont grisées.
+ */
+function createDedupGroup(data, group) {
+  const strategy = state.dedup.choices[group.key] || state.dedup.strategy;
+  const rows = group.rowIndexes.map((index) => data.rows[index]);
+  const { row: merged, conflicts } = mergeDuplicateRows(rows, data.headers);
+
+  const block = document.createElement('article');
+  block.className = 'dedup-group';
+
+  const heading = document.createElement('div');
+  heading.className = 'dedup-group-header';
+  const title = document.createElement('h3');
+  const identity = state.dedup.columns.map((header) => rows[0][header] ?? '').join(' · ');
+  title.textContent = `${identity} — ${rows.length} lignes`;
+  heading.appendChild(title);
+
+  const select = document.createElement('select');
+  select.setAttribute('aria-label', `Stratégie pour ${identity}`);
+  const byDefault = document.createElement('option');
+  byDefault.value = '';
+  byDefault.textContent = `Par défaut (${DEDUP_STRATEGY_LABELS[state.dedup.strategy].toLowerCase()})`;
+  select.appendChild(byDefault);
+  Object.entries(DEDUP_STRATEGY_LABELS).forEach(([value, label]) => {
+    const option = document.createElement('option');
+    option.value = value;
+    option.textContent = label;
+    select.appendChild(option);
+  });
+  select.value = state.dedup.choices[group.key] || '';
+  select.addEventListener('change', (event) => {
+    const choices = { ...state.dedup.choices };
+    if (event.target.value) {
+      choices[group.key] = event.target.value;
+    } else {
+      delete choices[group.key];
+    }
+    updateDedupSettings({ choices });
+  });
+  heading.appendChild(select);
+  block.appendChild(heading);
+
+  const table = document.createElement('table');
+  table.className = 'dedup-table';
+  const headRow = document.createElement('tr');
+  ['Ligne', ...data.headers].forEach((header) => {
+    const th = document.createElement('th');
+    th.textContent = header;
+    headRow.appendChild(th);
+  });
+  const thead = document.createElement('thead');
+  thead.appendChild(headRow);
+  table.appendChild(thead);
+
+  const keptIndex = { first: 0, last: rows.length - 1 }[strategy];
+  const tbody = document.createElement('tbody');
+  const appendRow = (label, row, className) => {
+    const tr = document.createElement('tr');
+    if (className) tr.className = className;
+    tr.appendChild(createCell(label));
+    data.headers.forEach((header) => {
+      const td = createCell(row[header]);
+      td.classList.toggle('dedup-conflict', conflicts.includes(header));
+      tr.appendChild(td);
+    });
+    tbody.appendChild(tr);
+  };
+  rows.forEach((row, position) => {
+    const dropped = strategy !== 'keep' && position !== keptIndex;
+    appendRow(formatRowNumber(group.rowIndexes[position]), row, dropped ? 'dedup-dropped' : '');
+  });
+  if (strategy === 'merge') {
+    appendRow('Fusion', merged, 'dedup-merged');
+  }
+  table.appendChild(tbody);
+
+  const wrapper = document.createElement('div');
+  wrapper.className = 'table-wrapper';
+  wrapper.appendChild(table);
+  block.appendChild(wrapper);
+  return block;
+}
+
+function currentDeduplicatedDataset() {
+  return deduplicateDataset(state.analyse, currentDuplicateGroups(), state.dedup.strategy, state.dedup.choices);
+}
+
+function applyDeduplication() {
+  if (!state.analyse || currentDuplicateGroups().length === 0) return;
+  const deduplicated = currentDeduplicatedDataset();
+  const removed = state.analyse.rows.length - deduplicated.rows.length;
+  console.log('[APP] Dédoublonnage :', removed, 'ligne(s) supprimée(s)');
+  state.dedup.choices = {};
+  replaceDataset('analyse', deduplicated);
+  showStatus(`${removed.toLocaleString('fr-FR')} doublon(s) supprimé(s).`);
+}
+
+/** Exporte le fichier entier tel qu'il serait après dédoublonnage. */
+function exportDeduplicatedDataset() {
+  if (!state.analyse) return;
+  const { headers, rows } = currentDeduplicatedDataset();
+  const matrix = [headers, ...rows.map((row) => headers.map((header) => row[header] ?? ''))];
+  const format = document.getElementById('dedup-export-format').value;
+  console.log('[APP] export dédoublonné', format, rows.length, 'lignes');
+  if (downloadMatrix(matrix, `dedoublonne-${new Date().toISOString().slice(0, 10)}`, format)) {
+    showStatus(`${rows.length.toLocaleString('fr-FR')} ligne(s) exportée(s).`);
+  }
+}
+
+// --- Rendu du tableau croisé ---
+// Au-delà, les groupes suivants ne sont pas affichés (ils restent dans
+// l'export).
+const MAX_PIVOT_ROWS_SHOWN = 500;
+const MAX_PIVOT_COLUMNS_SHOWN = 50;
+
+let pivotCache = null;
+
+function createPivotSettings() {
+  return { rows: [], columns: [], values: [{ aggregate: 'count', header: null }] };
+}
+
+/**
+ * Lignes résumées : résultats de la recherche, avec le mot-clé mis en avant
+ * et les filtres des colonnes qui ne sont pas des dimensions. Les filtres
+ * posés en cliquant dans le tableau croisé ne le modifient donc pas.
+ */
+function pivotSourceRows() {
+  const dimensions = [...state.pivot.rows, ...state.pivot.columns];
+  const columnFilters = {};
+  Object.entries(state.table.columnFilters).forEach(([header, filter]) => {
+    if (!dimensions.includes(header)) columnFilters[header] = filter;
+  });
+  const layout = { ...state.table, sort: [], columnFilters };
+  return applyTableLayout(keywordResults.headers, keywordResults.rows, layout, currentColumnTypes()).rows;
+}
+
+function currentPivotTable() {
+  const columnTypes = currentColumnTypes();
+  const key = JSON.stringify([state.pivot, columnTypes, state.table.columnFilters, state.table.keywordFocus]);
+  if (!pivotCache || pivotCache.results !== keywordResults.rows || pivotCache.key !== key) {
+    const rows = pivotSourceRows();
+    pivotCache = { results: keywordResults.rows, key, rows: rows.length, pivot: buildPivotTable(rows, state.pivot, columnTypes) };
+  }
+  return pivotCache;
+}
+
+function togglePivotPanel() {
+  document.getElementById('pivot-panel').classList.toggle('hidden');
+  renderPivotPanel();
+}
+
+/**
+ * Panneau du tableau croisé, recalculé seulement quand il est ouvert et
+ * que la recherche, les filtres ou les réglages changent.
+ */
+function renderPivotPanel() {
+  const panel = document.getElementById('pivot-panel');
+  const available = Boolean(keywordResults);
+  document.getElementById('pivot-toggle').disabled = !available;
+  if (!available) {
+    panel.classList.add('hidden');
+    return;
+  }
+  if (panel.classList.contains('hidden')) return;
+
+  const { headers } = keywordResults;
+  state.pivot.rows = state.pivot.rows.filter((header) => headers.includes(header));
+  state.pivot.columns = state.pivot.columns.filter((header) => headers.includes(header));
+  state.pivot.values = state.pivot.values.filter(
+    (measure) => measure.aggregate === 'count' || headers.includes(measure.header)
+  );
+  if (state.pivot.values.length === 0) {
+    state.pivot.values = createPivotSettings().values;
+  }
+  renderPivotDimensions('pivot-rows', 'rows', headers);
+  renderPivotDimensions('pivot-columns', 'columns', headers);
+  const { pivot, rows } = currentPivotTable();
+  renderPivotMeasures(headers, pivot.measures);
+
+  const hidden = [];
+  if (pivot.rowKeys.length > MAX_PIVOT_ROWS_SHOWN) hidden.push(`${MAX_PIVOT_ROWS_SHOWN} premières lignes`);
+  if (pivot.columnHeaders.length && pivot.columnKeys.length > MAX_PIVOT_COLUMNS_SHOWN) {
+    hidden.push(`${MAX_PIVOT_COLUMNS_SHOWN} premières colonnes`);
+  }
+  document.getElementById('pivot-summary').textContent =
+    `${rows.toLocaleString('fr-FR')} ligne(s) résumée(s). Cliquez sur une valeur pour afficher les lignes correspondantes.` +
+    (hidden.length ? ` Affichage limité aux ${hidden.join(' et ')} (l'export contient tout).` : '');
+  renderPivotTable(pivot);
+}
+
+function renderPivotDimensions(containerId, axis, headers) {
+  const container = document.getElementById(containerId);
+  container.innerHTML = '';
+  const other = axis === 'rows' ? 'columns' : 'rows';
+  headers.forEach((header) => {
+    const label = document.createElement('label');
+    const checkbox = document.createElement('input');
+    checkbox.type = 'checkbox';
+    checkbox.checked = state.pivot[axis].includes(header);
+    checkbox.addEventListener('change', (event) => {
+      // Une colonne est dimension en ligne ou en colonne, pas les deux
+      updatePivotSettings({
+        [axis]: event.target.checked
+          ? [...state.pivot[axis], header]
+          : state.pivot[axis].filter((item) => item !== header),
+        [other]: state.pivot[other].filter((item) => item !== header),
+      });
+    });
+    const span = document.createElement('span');
+    span.textContent = header;
+    label.appendChild(checkbox);
+    label.appendChild(span);
+    container.appendChild(label);
+  });
+}
+
+function renderPivotMeasures(headers, measures) {
+  const list = document.getElementById('pivot-values');
+  list.innerHTML = '';
+  state.pivot.values.forEach((measure, index) => {
+    const replace = (changes) => {
+      const values = [...state.pivot.values];
+      values[index] = { ...measure, ...changes };
+      updatePivotSettings({ values });
+    };
+
+    const item = document.createElement('li');
+    const aggregate = document.createElement('select');
+    aggregate.setAttribute('aria-label', 'Calcul');
+    Object.entries(PIVOT_AGGREGATE_LABELS).forEach(([value, label]) => {
+      const option = document.createElement('option');
+      option.value = value;
+      option.textContent = label;
+      // Pas de somme de dates
+      option.disabled = value === 'sum' && measures[index].type === 'date';
+      aggregate.appendChild(option);
+    });
+    aggregate.value = measure.aggregate;
+    aggregate.addEventListener('change', (event) => {
+      const value = event.target.value;
+      replace({ aggregate: value, header: value === 'count' ? null : measure.header || headers[0] });
+    });
+    item.appendChild(aggregate);
+
+    if (measure.aggregate !== 'count') {
+      const column = document.createElement('select');
+      column.setAttribute('aria-label', 'Colonne calculée');
+      headers.forEach((header) => {
+        const option = document.createElement('option');
+        option.value = header;
+        option.textContent = header;
+        column.appendChild(option);
+      });
+      column.value = measure.header;
+      column.addEventListener('change', (event) => replace({ header: event.target.value }));
+      item.appendChild(column);
+    }
+
+    if (state.pivot.values.length > 1) {
+      const remove = document.createElement('button');
+      remove.type = 'button';
+      remove.className = 'secondary-button';
+      remove.textContent = 'Retirer';
+      remove.addEventListener('click', () => {
+        updatePivotSettings({ values: state.pivot.values.filter((_, position) => position !== index) });
+      });
+      item.appendChild(remove);
+    }
+    list.appendChild(item);
+  });
+}
+
+function updatePivotSettings(changes) {
+  Object.assign(state.pivot, changes);
+  renderPivotPanel();
+}
+
+function addPivotMeasure() {
+  const { headers } = keywordResults;
+  updatePivotSettings({ values: [...state.pivot.values, { aggregate: 'sum', header: headers[0] }] });
+}
+
+function formatPivotValue(value, measure) {
+  if (value === null) return '';
+  if (measure.type === 'date' && PIVOT_DATE_AGGREGATES.includes(measure.aggregate)) {
+    return formatTimestamp(value);
+  }
+  return formatProfileNumber(value);
+}
+
+function renderPivotTable(pivot) {
+  const table = document.getElementById('pivot-table');
+  const thead = table.querySelector('thead');
+  const tbody = table.querySelector('tbody');
+  thead.innerHTML = '';
+  tbody.innerHTML = '';
+
+  const rowKeys = pivot.rowKeys.slice(0, MAX_PIVOT_ROWS_SHOWN);
+  const shownColumns = pivot.columnHeaders.length ? pivot.columnKeys.slice(0, MAX_PIVOT_COLUMNS_SHOWN) : [];
+  const shown = { ...pivot, columnKeys: shownColumns };
+  const headRow = document.createElement('tr');
+  [...(pivot.rowHeaders.length ? pivot.rowHeaders : ['']), ...pivotValueLabels(shown)].forEach((label) => {
+    const th = document.createElement('th');
+    th.textContent = label;
+    headRow.appendChild(th);
+  });
+  thead.appendChild(headRow);
+
+  const rowDimensions = (key) => pivot.rowHeaders.map((header, index) => [header, key[index]]);
+  const columnDimensions = (key) => pivot.columnHeaders.map((header, index) => [header, key[index]]);
+  const appendValues = (tr, values, dimensions) => {
+    pivot.measures.forEach((measure, index) => {
+      const td = document.createElement('td');
+      td.className = 'pivot-value';
+      if (values && values[index] !== null) {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = 'profile-value';
+        button.title = 'Afficher les lignes correspondantes';
+        button.textContent = formatPivotValue(values[index], measure);
+        button.addEventListener('click', () => drillDownPivot(dimensions));
+        td.appendChild(button);
+      }
+      tr.appendChild(td);
+    });
+  };
+  const appendLine = (labels, cells, totals, dimensions, className) => {
+    const tr = document.createElement('tr');
+    if (className) tr.className = className;
+    labels.forEach((label) => {
+      const th = document.createElement('th');
+      th.scope = 'row';
+      th.textContent = label;
+      tr.appendChild(th);
+    });
+    shownColumns.forEach((columnKey, index) => {
+      appendValues(tr, cells[index], [...dimensions, ...columnDimensions(columnKey)]);
+    });
+    appendValues(tr, totals, dimensions);
+    tbody.appendChild(tr);
+  };
+
+  rowKeys.forEach((key, index) => {
+    const labels = pivot.rowHeaders.length ? key.map((value) => (value === '' ? '(vide)' : value)) : ['Total'];
+    appendLine(labels, pivot.cells[index], pivot.rowTotals[index], rowDimensions(key));
+  });
+  if (pivot.rowHeaders.length) {
+    const labels = pivot.rowHeaders.map((header, index) => (index === 0 ? 'Total' : ''));
+    appendLine(labels, pivot.columnTotals, pivot.total, [], 'pivot-total');
+  }
+}
+
+/**
+ * Clic dans le tableau croisé : filtres de colonnes sur les valeurs des
+ * dimensions de la case ([[colonne, valeur]]) ; les filtres des autres
+ * dimensions sont retirés.
+ */
+function drillDownPivot(dimensions) {
+  [...state.pivot.rows, ...state.pivot.columns].forEach((header) => {
+    delete state.table.columnFilters[header];
+  });
+  dimensions.forEach(([header, value]) => {
+    state.table.columnFilters[header] = columnFilterForValue(value);
+    state.table.hiddenColumns.delete(header);
+  });
+  renderTableView();
+  showStatus(`${displayedResults.rows.length.toLocaleString('fr-FR')} ligne(s) affichée(s).`);
+  document.querySelector('.tables-zone .table-wrapper').scrollIntoView({ block: 'start' });
+}
+
+function exportPivotTable() {
+  if (!keywordResults) return;
+  const { pivot } = currentPivotTable();
+  const format = document.getElementById('pivot-export-format').value;
+  // Nombres gardés tels quels dans le classeur, décimales à virgule en CSV
+  const formatValue = (value, measure) => {
+    if (value === null) return '';
+    if (measure.type === 'date' && PIVOT_DATE_AGGREGATES.includes(measure.aggregate)) {
+      return formatTimestamp(value);
+    }
+    return format === 'xlsx' ? value : String(Math.round(value * 1e6) / 1e6).replace('.', ',');
+  };
+  console.log('[APP] export tableau croisé', format, pivot.rowKeys.length, 'groupes');
+  if (downloadMatrix(pivotToMatrix(pivot, formatValue), `tableau-croise-${new Date().toISOString().slice(0, 10)}`, format)) {
+    showStatus(`Tableau croisé exporté (${pivot.rowKeys.length.toLocaleString('fr-FR')} ligne(s)).`);
+  }
+}
+
+// --- Rendu des colonnes calculées ---
+// Lignes évaluées pour l'aperçu pendant la saisie
+const COMPUTED_PREVIEW_ROWS = 5;
+
+function currentDatasetSlot() {
+  return state.mode === 'analyse' ? 'analyse' : 'cmp';
+}
+
+function toggleComputedPanel() {
+  document.getElementById('computed-panel').classList.toggle('hidden');
+  renderComputedPanel();
+}
+
+function renderComputedPanel() {
+  const panel = document.getElementById('computed-panel');
+  const data = currentDataset();
+  document.getElementById('computed-toggle').disabled = !data;
+  if (!data) {
+    panel.classList.add('hidden');
+    return;
+  }
+  if (panel.classList.contains('hidden')) return;
+
+  const list = document.getElementById('computed-list');
+  list.innerHTML = '';
+  const definitions = data.computedColumns || [];
+  if (definitions.length === 0) {
+    list.textContent = 'Aucune colonne calculée pour ce fichier.';
+  }
+  definitions.forEach((definition) => {
+    list.appendChild(
+      createWorkspaceItem(definition.name, definition.expression, [
+        { label: 'Modifier', onClick: async () => editComputedColumn(definition) },
+        { label: 'Supprimer', onClick: async () => removeComputedColumn(definition.name) },
+      ])
+    );
+  });
+  renderComputedPreview();
+}
+
+/**
+ * Aperçu de l'expression saisie sur les premières lignes, ou l'erreur de
+ * syntaxe ; le bouton indique si la colonne sera ajoutée ou remplacée.
+ */
+function renderComputedPreview() {
+  const data = currentDataset();
+  if (!data) return;
+  const name = document.getElementById('computed-name').value.trim();
+  const expression = document.getElementById('computed-expression').value;
+  const preview = document.getElementById('computed-preview');
+  const existing = (data.computedColumns || []).some((definition) => definition.name === name);
+  document.getElementById('computed-add').textContent = existing ? 'Remplacer la colonne' : 'Ajouter la colonne';
+  preview.classList.remove('invalid');
+  if (!expression.trim()) {
+    preview.textContent = '';
+    return;
+  }
+
+  try {
+    const definitions = (data.computedColumns || []).filter((definition) => definition.name !== name);
+    const sample = { ...data, rows: data.rows.slice(0, COMPUTED_PREVIEW_ROWS) };
+    const { data: computed } = applyComputedColumns(sample, [...definitions, { name: name || 'Aperçu', expression }]);
+    const values = computed.rows.map((row) => row[name || 'Aperçu']);
+    preview.textContent = `Aperçu : ${values.map((value) => (value === '' ? '(vide)' : value)).join(' · ')}`;
+  } catch (error) {
+    preview.classList.add('invalid');
+    preview.textContent = error.message;
+  }
+}
+
+function readComputedForm() {
+  return {
+    name: document.getElementById('computed-name').value.trim(),
+    expression: document.getElementById('computed-expression').value.trim(),
+  };
+}
+
+function editComputedColumn(definition) {
+  document.getElementById('computed-name').value = definition.name;
+  document.getElementById('computed-expression').value = definition.expression;
+  renderComputedPreview();
+  document.getElementById('computed-expression').focus();
+}
+
+/**
+ * Recalcule les colonnes calculées du fichier affiché ; les nouvelles
+ * colonnes sont cochées pour la recherche. Retourne false si une
+ * expression est invalide (erreur affichée).
+ */
+function updateComputedColumns(definitions, message) {
+  const data = currentDataset();
+  let result;
+  try {
+    result = applyComputedColumns(data, definitions);
+  } catch (error) {
+    showError(error.message);
+    return false;
+  }
+
+  definitions.forEach(({ name }) => {
+    if (!data.headers.includes(name)) state.selectedColumns.add(name);
+  });
+  clearError();
+  replaceDataset(currentDatasetSlot(), result.data);
+  const warnings = result.errors.map(
+    ({ name, count, rowIndex, message: detail }) =>
+      `« ${name} » : ${count.toLocaleString('fr-FR')} ligne(s) en erreur laissée(s) vide(s) (${formatRowNumber(rowIndex)} : ${detail}).`
+  );
+  showStatus([message, ...warnings].join(' '));
+  console.log('[APP] Colonnes calculées :', definitions.map(({ name }) => name));
+  return true;
+}
+
+function addComputedColumn() {
+  const definition = readComputedForm();
+  const definitions = [...(currentDataset().computedColumns || [])];
+  const index = definitions.findIndex(({ name }) => name === definition.name);
+  if (index === -1) {
+    definitions.push(definition);
+  } else {
+    definitions[index] = definition;
+  }
+  const done = updateComputedColumns(
+    definitions,
+    `Colonne calculée « ${definition.name} » ${index === -1 ? 'ajoutée' : 'recalculée'}.`
+  );
+  if (done) {
+    document.getElementById('computed-name').value = '';
+    document.getElementById('computed-expression').value = '';
+    renderComputedPreview();
+  }
+}
+
+function removeComputedColumn(name) {
+  const definitions = (currentDataset().computedColumns || []).filter((definition) => definition.name !== name);
+  updateComputedColumns(definitions, `Colonne calculée « ${name} » supprimée.`);
+}
+
+function renderExpressionFunctions() {
+  const list = document.getElementById('computed-functions');
+  list.innerHTML = '';
+  Object.values(EXPRESSION_FUNCTIONS).forEach(({ help }) => {
+    const item = document.createElement('li');
+    item.textContent = help;
+    list.appendChild(item);
+  });
+}
+
+// --- Rendu de la comparaison par clé ---
+function renderComparisonOptions() {
+  const panel = document.getElementById('comparison-options');
+  const hasReference = Boolean(state.mode === 'comparaison' && state.comparaison.ref);
+  const ready = hasReference && Boolean(state.comparaison.cmp);
+  const isDiff = ready && state.comparaison.view === 'diff';
+  const isMatch = ready && state.comparaison.view === 'match';
+  panel.classList.toggle('hidden', !hasReference);
+  document.querySelector('.comparison-view').classList.toggle('hidden', !ready);
+  document.querySelector('.search-zone').classList.toggle('hidden', isDiff || isMatch);
+  document.getElementById('diff-options').classList.toggle('hidden', !isDiff);
+  document.getElementById('match-options').classList.toggle('hidden', !isMatch);
+  document.getElementById('column-mapping').classList.toggle('hidden', !ready);
+  document.getElementById('keyword-extraction').classList.toggle('hidden', !hasReference || isDiff || isMatch);
+  if (!hasReference) return;
+  if (ready) renderColumnMapping();
+
+  if (isDiff) {
+    renderDiffKeyColumns();
+  } else if (isMatch) {
+    renderRowMatchColumns();
+  } else {
+    renderKeywordExtractionOptions();
+  }
+}
+
+function renderDiffKeyColumns() {
+  const common = getCommonHeaders(state.comparaison.ref, mappedComparisonData());
+  state.comparaison.keyColumns = state.comparaison.keyColumns.filter((header) => common.includes(header));
+  if (state.comparaison.keyColumns.length === 0 && common.length > 0) {
+    state.comparaison.keyColumns = [common[0]];
+  }
+
+  const container = document.getElementById('diff-key-columns');
+  container.innerHTML = '';
+  if (common.length === 0) {
+    container.textContent = 'Aucune colonne commune aux deux fichiers : associez-les dans la correspondance des colonnes.';
+    return;
+  }
+
+  common.forEach((header) => {
+    const label = document.createElement('label');
+    const checkbox = document.createElement('input');
+    checkbox.type = 'checkbox';
+    checkbox.checked = state.comparaison.keyColumns.includes(header);
+    checkbox.addEventListener('change', (event) => {
+      updateDiffKeyColumns(header, event.target.checked);
+    });
+    const span = document.createElement('span');
+    span.textContent = header;
+    label.appendChild(checkbox);
+    label.appendChild(span);
+    container.appendChild(label);
+  });
+}
+
+function renderKeywordExtractionOptions() {
+  const { ref, keywordColumns, extractionRules } = state.comparaison;
+  const container = document.getElementById('keyword-columns');
+  container.innerHTML = '';
+
+  ref.headers.forEach((header) => {
+    const label = document.createElement('label');
+    const checkbox = document.createElement('input');
+    checkbox.type = 'checkbox';
+    checkbox.checked = keywordColumns.includes(header);
+    checkbox.addEventListener('change', (event) => {
+      updateKeywordColumns(header, event.target.checked);
+    });
+    const span = document.createElement('span');
+    span.textContent = header;
+    label.appendChild(checkbox);
+    label.appendChild(span);
+    container.appendChild(label);
+  });
+
+  document.getElementById('rule-min-length').value = extractionRules.minLength;
+  document.getElementById('rule-ignore-numeric').checked = extractionRules.ignoreNumeric;
+  document.getElementById('rule-split-tokens').checked = extractionRules.splitTokens;
+  document.getElementById('rule-stop-words').value = extractionRules.stopWords.join(', ');
+}
+
+function updateKeywordColumns(header, checked) {
+  const { ref } = state.comparaison;
+  const selected = new Set(state.comparaison.keywordColumns);
+  if (checked) {
+    selected.add(header);
+  } else {
+    selected.delete(header);
+  }
+  // Conserve l'ordre des colonnes du fichier
+  state.comparaison.keywordColumns = ref.headers.filter((column) => selected.has(column));
+  alignComparisonColumns();
+  applyExtractionChange();
+}
+
+function readExtractionRulesFromForm() {
+  const minLength = parseInt(document.getElementById('rule-min-length').value, 10);
+  state.comparaison.extractionRules = {
+    minLength: Number.isNaN(minLength) || minLength < 1 ? 1 : minLength,
+    ignoreNumeric: document.getElementById('rule-ignore-numeric').checked,
+    splitTokens: document.getElementById('rule-split-tokens').checked,
+    stopWords: parseKeywords(document.getElementById('rule-stop-words').value),
+  };
+  applyExtractionChange();
+}
+
+function applyExtractionChange() {
+  updateReferenceKeywords();
+  updateKeywordSummary();
+  if (state.comparaison.keywordColumns.length === 0) {
+    showStatus('Aucune colonne de référence sélectionnée : aucun mot-clé extrait.');
+  } else {
+    showStatus(`${state.comparaison.keywords.length} mots-clés extraits du fichier de référence.`);
+  }
+  refreshTable();
+}
+
+function updateDiffKeyColumns(header, checked) {
+  const keyColumns = state.comparaison.keyColumns.filter((column) => column !== header);
+  if (checked) {
+    keyColumns.push(header);
+  }
+  state.comparaison.keyColumns = keyColumns;
+  if (keyColumns.length === 0) {
+    showStatus('Aucune colonne clé sélectionnée, retour sur la première colonne commune.');
+  }
+  renderComparisonOptions();
+  refreshTable();
+}
+
+function renderDiffTable() {
+  const { ref, keyColumns } = state.comparaison;
+  if (!ref || !state.comparaison.cmp || keyColumns.length === 0) {
+    resetTableAndStatus();
+    return;
+  }
+
+  const diff = diffDatasets(ref, mappedComparisonData(), keyColumns);
+  const visibleStatuses = state.comparaison.diffStatuses;
+  scheduleSessionSave();
+  renderDiffSummary(diff);
+  clearTableView();
+
+  const thead = document.querySelector('#data-table thead');
+  thead.innerHTML = '';
+
+  const headerRow = document.createElement('tr');
+  ['Statut', ...diff.headers].forEach((header) => {
+    const th = document.createElement('th');
+    th.textContent = header;
+    headerRow.appendChild(th);
+  });
+  thead.appendChild(headerRow);
+
+  const entries = diff.entries.filter((entry) => visibleStatuses.has(entry.status));
+  setVirtualRows(entries, renderDiffRow, diff.headers.length + 1);
+
+  function renderDiffRow(entry) {
+    const tr = document.createElement('tr');
+    tr.className = `diff-${entry.status}`;
+
+    const statusTd = document.createElement('td');
+    statusTd.className = 'diff-status';
+    statusTd.textContent = DIFF_STATUS_LABELS[entry.status];
+    tr.appendChild(statusTd);
+
+    const source = entry.cmp || entry.ref;
+    diff.headers.forEach((header) => {
+      const change = entry.changes[header];
+      if (!change) {
+        tr.appendChild(createCell(source[header]));
+        return;
+      }
+      const td = document.createElement('td');
+      td.className = 'diff-changed';
+      td.title = `${change.before} → ${change.after}`;
+      const before = document.createElement('del');
+      before.textContent = change.before;
+      const after = document.createElement('ins');
+      after.textContent = change.after;
+      td.appendChild(before);
+      td.appendChild(document.createTextNode(' → '));
+      td.appendChild(after);
+      tr.appendChild(td);
+    });
+    return tr;
+  }
+}
+
+function renderDiffSummary(diff) {
+  const summary = document.getElementById('diff-summary');
+  summary.innerHTML = '';
+
+  Object.keys(DIFF_STATUS_LABELS).forEach((status) => {
+    const label = document.createElement('label');
+    label.className = `diff-chip diff-${status}`;
+    const checkbox = document.createElement('input');
+    checkbox.type = 'checkbox';
+    checkbox.checked = state.comparaison.diffStatuses.has(status);
+    checkbox.addEventListener('change', (event) => {
+      if (event.target.checked) {
+        state.comparaison.diffStatuses.add(status);
+      } else {
+        state.comparaison.diffStatuses.delete(status);
+      }
+      refreshTable();
+    });
+    const span = document.createElement('span');
+    span.textContent = `${DIFF_STATUS_LABELS[status]}s : ${diff.counts[status]}`;
+    label.appendChild(checkbox);
+    label.appendChild(span);
+    summary.appendChild(label);
+  });
+
+  if (diff.duplicateKeys > 0) {
+    const warning = document.createElement('span');
+    warning.className = 'diff-warning';
+    warning.textContent = `${diff.duplicateKeys} clé(s) en double : appariement dans l'ordre des lignes.`;
+    summary.appendChild(warning);
+  }
+}
+
+// --- Rendu de la correspondance des colonnes ---
+// Propositions calculées pour le couple de fichiers courant, et fichier
+// comparé renommé pour le mapping courant.
+let columnMappingSuggestions = null;
+let mappedCmpCache = null;
+
+function currentColumnSuggestions() {
+  const { ref, cmp } = state.comparaison;
+  if (!columnMappingSuggestions || columnMappingSuggestions.ref !== ref || columnMappingSuggestions.cmp !== cmp) {
+    columnMappingSuggestions = { ref, cmp, suggestions: suggestColumnMapping(ref, cmp) };
+  }
+  return columnMappingSuggestions.suggestions;
+}
+
+/**
+ * Mapping courant : les choix déjà faits qui restent valables pour ces
+ * fichiers sont conservés, les autres colonnes reprennent la proposition.
+ */
+function currentColumnMapping() {
+  const { cmp } = state.comparaison;
+  const previous = state.comparaison.columnMapping || {};
+  const suggestions = currentColumnSuggestions();
+  const mapping = {};
+  const used = new Set();
+  suggestions.forEach(({ ref: refHeader }) => {
+    const chosen = previous[refHeader];
+    if (chosen === null || cmp.headers.includes(chosen)) {
+      mapping[refHeader] = chosen;
+      if (chosen) used.add(chosen);
+    }
+  });
+  suggestions.forEach(({ ref: refHeader, cmp: suggested }) => {
+    if (refHeader in mapping) return;
+    mapping[refHeader] = suggested && !used.has(suggested) ? suggested : null;
+    if (mapping[refHeader]) used.add(suggested);
+  });
+  state.comparaison.columnMapping = mapping;
+  return mapping;
+}
+
+function mappedComparisonData() {
+  const { cmp } = state.comparaison;
+  const mapping = currentColumnMapping();
+  const key = JSON.stringify(mapping);
+  if (!mappedCmpCache || mappedCmpCache.cmp !== cmp || mappedCmpCache.key !== key) {
+    mappedCmpCache = { cmp, key, data: mapDatasetColumns(cmp, mapping) };
+  }
+  return mappedCmpCache.data;
+}
+
+function formatMappingSuggestion(suggestion) {
+  if (!suggestion.cmp) return '—';
+  const reason = suggestion.reason === 'values' ? 'valeurs communes' : 'nom proche';
+  return `${suggestion.cmp} (${Math.round(suggestion.score * 100)} %, ${reason})`;
+}
+
+function renderColumnMapping() {
+  const { cmp } = state.comparaison;
+  const mapping = currentColumnMapping();
+  const tbody = document.querySelector('#column-mapping-table tbody');
+  tbody.innerHTML = '';
+
+  currentColumnSuggestions().forEach((suggestion) => {
+    const tr = document.createElement('tr');
+    tr.classList.toggle('unmapped', !mapping[suggestion.ref]);
+    tr.appendChild(createCell(suggestion.ref));
+
+    const select = document.createElement('select');
+    select.setAttribute('aria-label', `Colonne comparée pour ${suggestion.ref}`);
+    const none = document.createElement('option');
+    none.value = '';
+    none.textContent = '— non comparée —';
+    select.appendChild(none);
+    cmp.headers.forEach((header) => {
+      const option = document.createElement('option');
+      option.value = header;
+      option.textContent = header;
+      select.appendChild(option);
+    });
+    select.value = mapping[suggestion.ref] || '';
+    select.addEventListener('change', (event) => {
+      updateColumnMapping(suggestion.ref, event.target.value || null);
+    });
+    const selectTd = document.createElement('td');
+    selectTd.appendChild(select);
+    tr.appendChild(selectTd);
+
+    tr.appendChild(createCell(formatMappingSuggestion(suggestion)));
+    tbody.appendChild(tr);
+  });
+}
+
+/**
+ * Associe une colonne comparée (ou null) à une colonne de référence ; la
+ * colonne comparée est retirée de l'association qu'elle avait déjà.
+ */
+function updateColumnMapping(refHeader, cmpHeader) {
+  const mapping = { ...currentColumnMapping() };
+  if (cmpHeader) {
+    Object.keys(mapping).forEach((header) => {
+      if (mapping[header] === cmpHeader) mapping[header] = null;
+    });
+  }
+  mapping[refHeader] = cmpHeader;
+  state.comparaison.columnMapping = mapping;
+  alignComparisonColumns();
+  renderComparisonOptions();
+  refreshTable();
+}
+
+function resetColumnMapping() {
+  state.comparaison.columnMapping = suggestionsToMapping(currentColumnSuggestions());
+  alignComparisonColumns();
+  showStatus('Correspondance des colonnes proposée automatiquement.');
+  renderComparisonOptions();
+  refreshTable();
+}
+
+/**
+ * Aligne les autres vues sur la correspondance : la recherche par mots-clés
+ * porte sur les colonnes associées aux colonnes d'extraction (toutes les
+ * colonnes sans association) et le rapprochement repart des colonnes
+ * associées à ses colonnes de référence.
+ */
+function alignComparisonColumns() {
+  const { ref, cmp, keywordColumns, matchColumns } = state.comparaison;
+  if (!ref || !cmp) return;
+  const mapping = currentColumnMapping();
+  const searched = mappedCmpColumns(mapping, keywordColumns);
+  state.selectedColumns = new Set(searched.length ? searched : cmp.headers);
+  matchColumns.cmp = mappedCmpColumns(mapping, matchColumns.ref);
+}
+
+// --- Rendu du rapprochement approché ---
+// Candidats calculés pour les fichiers et colonnes courants : un changement
+// de seuil ou de décision ne relance que l'appariement.
+let rowMatchCache = null;
+let pendingMatchJob = null;
+
+/**
+ * Colonne proposée par défaut : la colonne texte aux valeurs les plus
+ * longues (la désignation, plutôt qu'un code ou un prix).
+ */
+function guessDescriptionColumn(data) {
+  const sample = data.rows.slice(0, 200);
+  let best = null;
+  let bestLength = -1;
+  data.headers.forEach((header) => {
+    if ((data.columnTypes || {})[header] && data.columnTypes[header] !== 'text') return;
+    const length = sample.reduce((sum, row) => sum + String(row[header] ?? '').length, 0);
+    if (length > bestLength) {
+      best = header;
+      bestLength = length;
+    }
+  });
+  return best ? [best] : data.headers.slice(0, 1);
+}
+
+function renderRowMatchColumns() {
+  const { ref, cmp, matchColumns } = state.comparaison;
+  [
+    ['ref', ref, 'match-ref-columns'],
+    ['cmp', cmp, 'match-cmp-columns'],
+  ].forEach(([side, data, containerId]) => {
+    matchColumns[side] = matchColumns[side].filter((header) => data.headers.includes(header));
+    if (matchColumns[side].length === 0) {
+      // Côté comparé : les colonnes associées aux colonnes de référence
+      const mapped = side === 'cmp' ? mappedCmpColumns(currentColumnMapping(), matchColumns.ref) : [];
+      matchColumns[side] = mapped.length ? mapped : guessDescriptionColumn(data);
+    }
+
+    const container = document.getElementById(containerId);
+    container.innerHTML = '';
+    data.headers.forEach((header) => {
+      const label = document.createElement('label');
+      const checkbox = document.createElement('input');
+      checkbox.type = 'checkbox';
+      checkbox.checked = matchColumns[side].includes(header);
+      checkbox.addEventListener('change', (event) => {
+        updateRowMatchColumns(side, header, event.target.checked);
+      });
+      const span = document.createElement('span');
+      span.textContent = header;
+      label.appendChild(checkbox);
+      label.appendChild(span);
+      container.appendChild(label);
+    });
+  });
+
+  const threshold = Math.round(state.comparaison.matchThreshold * 100);
+  document.getElementById('match-threshold').value = threshold;
+  document.getElementById('match-threshold-value').textContent = `${threshold} %`;
+}
+
+function updateRowMatchColumns(side, header, checked) {
+  const columns = state.comparaison.matchColumns[side].filter((column) => column !== header);
+  if (checked) {
+    columns.push(header);
+  }
+  state.comparaison.matchColumns[side] = columns;
+  if (side === 'ref') {
+    const mapped = mappedCmpColumns(currentColumnMapping(), columns);
+    if (mapped.length) state.comparaison.matchColumns.cmp = mapped;
+  }
+  if (columns.length === 0) {
+    showStatus('Aucune colonne sélectionnée, retour sur la colonne proposée par défaut.');
+  }
+  renderComparisonOptions();
+  refreshTable();
+}
+
+function setRowMatchDecision(refIndex, cmpIndex, decision) {
+  const key = rowMatchKey(refIndex, cmpIndex);
+  if (decision) {
+    state.comparaison.matchDecisions[key] = decision;
+  } else {
+    delete state.comparaison.matchDecisions[key];
+  }
+  renderRowMatchTable();
+}
+
+/**
+ * Candidats de chaque ligne de référence, calculés dans le worker (et
+ * gardés tant que les fichiers et les colonnes ne changent pas).
+ */
+async function computeRowMatchCandidates(ref, cmp, matchColumns) {
+  const columnsKey = JSON.stringify(matchColumns);
+  if (rowMatchCache && rowMatchCache.ref === ref && rowMatchCache.cmp === cmp && rowMatchCache.columnsKey === columnsKey) {
+    return rowMatchCache.candidates;
+  }
+  if (pendingMatchJob) {
+    pendingMatchJob.cancel({ superseded: true });
+  }
+
+  const payload = {
+    refTexts: ref.rows.map((row) => rowMatchText(row, matchColumns.ref)),
+    cmpTexts: cmp.rows.map((row) => rowMatchText(row, matchColumns.cmp)),
+  };
+  const job = trackBackgroundTask('Rapprochement des lignes', (onProgress) =>
+    getTaskRunner().run('matchRows', payload, { onProgress })
+  );
+  pendingMatchJob = job;
+  try {
+    const candidates = await job.promise;
+    rowMatchCache = { ref, cmp, columnsKey, candidates };
+    return candidates;
+  } finally {
+    if (pendingMatchJob === job) {
+      pendingMatchJob = null;
+    }
+  }
+}
+
+async function renderRowMatchTable() {
+  const { ref, cmp, matchColumns } = state.comparaison;
+  if (!ref || !cmp || matchColumns.ref.length === 0 || matchColumns.cmp.length === 0) {
+    resetTableAndStatus();
+    return;
+  }
+
+  let candidates;
+  try {
+    candidates = await computeRowMatchCandidates(ref, cmp, matchColumns);
+  } catch (error) {
+    if (error.superseded) return;
+    if (error.cancelled) {
+      showStatus('Rapprochement annulé.');
+      return;
+    }
+    console.error('[APP] Erreur de rapprochement', error);
+    showError('Erreur lors du rapprochement des lignes : ' + error.message);
+    return;
+  }
+  // Vue quittée ou fichiers remplacés pendant le calcul
+  if (state.comparaison.view !== 'match' || state.comparaison.ref !== ref || state.comparaison.cmp !== cmp) return;
+
+  const result = assignRowMatches(candidates, state.comparaison.matchDecisions, state.comparaison.matchThreshold, cmp.rows.length);
+  scheduleSessionSave();
+  renderRowMatchSummary(result);
+  clearTableView();
+
+  const thead = document.querySelector('#data-table thead');
+  thead.innerHTML = '';
+  const headerRow = document.createElement('tr');
+  [
+    'Statut',
+    'Score',
+    ...matchColumns.ref.map((header) => `${header} (référence)`),
+    ...matchColumns.cmp.map((header) => `${header} (comparé)`),
+    'Décision',
+  ].forEach((label) => {
+    const th = document.createElement('th');
+    th.textContent = label;
+    headerRow.appendChild(th);
+  });
+  thead.appendChild(headerRow);
+
+  const entries = result.entries.filter((entry) => state.comparaison.matchStatuses.has(entry.status));
+  setVirtualRows(entries, renderMatchRow, matchColumns.ref.length + matchColumns.cmp.length + 3);
+
+  function renderMatchRow(entry) {
+    const tr = document.createElement('tr');
+    tr.className = `row-match-${entry.status}`;
+
+    const statusTd = document.createElement('td');
+    statusTd.className = 'diff-status';
+    statusTd.textContent = ROW_MATCH_STATUS_LABELS[entry.status];
+    tr.appendChild(statusTd);
+    tr.appendChild(createCell(entry.score == null ? '' : `${Math.round(entry.score * 100)} %`));
+
+    const refRow = ref.rows[entry.refIndex];
+    const cmpRow = entry.cmpIndex == null ? {} : cmp.rows[entry.cmpIndex];
+    matchColumns.ref.forEach((header) => tr.appendChild(createCell(refRow[header])));
+    matchColumns.cmp.forEach((header) => tr.appendChild(createCell(cmpRow[header])));
+
+    const actions = document.createElement('td');
+    actions.className = 'row-match-actions';
+    const addAction = (label, title, decision) => {
+      const button = document.createElement('button');
+      button.type = 'button';
+      button.className = 'column-action';
+      button.textContent = label;
+      button.title = title;
+      button.addEventListener('click', () => setRowMatchDecision(entry.refIndex, entry.cmpIndex, decision));
+      actions.appendChild(button);
+    };
+    if (entry.status === 'confirmed') {
+      addAction('Annuler', 'Annuler la confirmation', null);
+    } else if (entry.cmpIndex != null) {
+      addAction('✓', 'Confirmer la paire', 'confirmed');
+      addAction('✗', 'Rejeter la paire (proposer le candidat suivant)', 'rejected');
+    }
+    tr.appendChild(actions);
+    return tr;
+  }
+}
+
+function renderRowMatchSummary(result) {
+  const summary = document.getElementById('diff-summary');
+  summary.innerHTML = '';
+
+  Object.keys(ROW_MATCH_STATUS_LABELS).forEach((status) => {
+    const label = document.createElement('label');
+    label.className = `diff-chip row-match-${status}`;
+    const checkbox = document.createElement('input');
+    checkbox.type = 'checkbox';
+    checkbox.checked = state.comparaison.matchStatuses.has(status);
+    checkbox.addEventListener('change', (event) => {
+      if (event.target.checked) {
+        state.comparaison.matchStatuses.add(status);
+      } else {
+        state.comparaison.matchStatuses.delete(status);
+      }
+      renderRowMatchTable();
+    });
+    const span = document.createElement('span');
+    span.textContent = `${ROW_MATCH_STATUS_LABELS[status]} : ${result.counts[status]}`;
+    label.appendChild(checkbox);
+    label.appendChild(span);
+    summary.appendChild(label);
+  });
+
+  const rejected = Object.values(state.comparaison.matchDecisions).filter((decision) => decision === 'rejected').length;
+  const note = document.createElement('span');
+  note.className = 'diff-warning';
+  note.textContent =
+    `${result.unmatchedCmp} ligne(s) du fichier comparé sans paire` + (rejected ? ` · ${rejected} paire(s) rejetée(s)` : '');
+  summary.appendChild(note);
+}
+
+// --- Rendu virtualisé du corps du tableau ---
+// Seules les lignes visibles (plus une marge) sont présentes dans le DOM ;
+// deux lignes d'espacement reproduisent la hauteur des lignes absentes.
+const VIRTUAL_OVERSCAN = 10;
+const DEFAULT_ROW_HEIGHT = 44;
+const DEFAULT_VIEWPORT_HEIGHT = 600;
+
+const virtualTable = {
+  items: [],
+  renderRow: null,
+  columnCount: 0,
+  rowHeight: DEFAULT_ROW_HEIGHT,
+  frame: null,
+};
+
+/**
+ * Calcule la plage [start, end[ des lignes à afficher pour une position de
+ * défilement donnée.
+ */
+function computeVisibleRange(scrollTop, viewportHeight, rowHeight, total, overscan = VIRTUAL_OVERSCAN) {
+  const first = Math.floor(Math.max(scrollTop, 0) / rowHeight);
+  const visibleCount = Math.ceil(viewportHeight / rowHeight);
+  const start = Math.max(0, Math.min(first, total) - overscan);
+  const end = Math.min(total, first + visibleCount + overscan);
+  return { start, end };
+}
+
+/**
+ * Remplace les lignes du tableau. renderRow(item, index) retourne le <tr>
+ * d'un élément ; columnCount sert aux lignes d'espacement.
+ */
+function setVirtualRows(items, renderRow, columnCount) {
+  virtualTable.items = items;
+  virtualTable.renderRow = renderRow;
+  virtualTable.columnCount = columnCount;
+  document.querySelector('.tables-zone .table-wrapper').scrollTop = 0;
+  renderVisibleRows();
+}
+
+function clearVirtualRows() {
+  virtualTable.items = [];
+  virtualTable.renderRow = null;
+}
+
+function scheduleVisibleRowsRender() {
+  if (virtualTable.frame) return;
+  const schedule = typeof requestAnimationFrame === 'function' ? requestAnimationFrame : (callback) => setTimeout(callback, 16);
+  virtualTable.frame = schedule(() => {
+    virtualTable.frame = null;
+    renderVisibleRows();
+  });
+}
+
+function renderVisibleRows(remeasure = true) {
+  const wrapper = document.querySelector('.tables-zone .table-wrapper');
+  const tbody = document.querySelector('#data-table tbody');
+  const { items, renderRow, columnCount, rowHeight } = virtualTable;
+  tbody.innerHTML = '';
+  if (!renderRow || items.length === 0) return;
+
+  const viewportHeight = wrapper.clientHeight || DEFAULT_VIEWPORT_HEIGHT;
+  const { start, end } = computeVisibleRange(wrapper.scrollTop, viewportHeight, rowHeight, items.length);
+
+  const fragment = document.createDocumentFragment();
+  fragment.appendChild(createSpacerRow(start * rowHeight, columnCount));
+  for (let index = start; index < end; index++) {
+    const tr = renderRow(items[index], index);
+    tr.classList.add('virtual-row');
+    if (index % 2 === 1) {
+      tr.classList.add('row-alt');
+    }
+    fragment.appendChild(tr);
+  }
+  fragment.appendChild(createSpacerRow((items.length - end) * rowHeight, columnCount));
+  tbody.appendChild(fragment);
+
+  // Ajuste la hauteur de ligne estimée à la hauteur moyenne des lignes
+  // affichées (police, zoom, cellules sur plusieurs lignes…), avec un seul
+  // nouveau rendu par appel
+  if (!remeasure) return;
+  const rendered = Array.from(tbody.querySelectorAll('.virtual-row'));
+  const total = rendered.reduce((sum, tr) => sum + tr.offsetHeight, 0);
+  const measured = rendered.length ? total / rendered.length : 0;
+  if (measured > 0 && Math.abs(measured - rowHeight) > 1) {
+    virtualTable.rowHeight = measured;
+    renderVisibleRows(false);
+  }
+}
+
+function createSpacerRow(height, columnCount) {
+  const tr = document.createElement('tr');
+  tr.className = 'virtual-spacer';
+  const td = document.createElement('td');
+  td.colSpan = columnCount;
+  td.style.height = `${height}px`;
+  tr.appendChild(td);
+  return tr;
+}
+
+function createCell(value, highlights = []) {
+  const td = document.createElement('td');
+  const text = value != null ? String(value) : '';
+  if (highlights.length) {
+    appendHighlightedText(td, text, highlights);
+  } else {
+    td.textContent = text;
+  }
+  if (text.length > 40 || text.includes('\n')) {
+    td.title = text;
+  }
+  return td;
+}
+
+// --- Export des résultats filtrés ---
+const EXPORT_MATCHES_HEADER = 'Mots-clés trouvés';
+const EXPORT_SUMMARY_SHEET = 'Synthèse';
+const EXPORT_SEPARATORS = { ';': ';', ',': ',', tab: '\t' };
+
+// Résultats actuellement affichés ({ headers, rows: [{ row, matches }] }),
+// mis à jour par renderTable ; null hors vue filtrée (vue différences…).
+let displayedResults = null;
+
+/**
+ * Matrice exportée : colonnes affichées puis "Mots-clés trouvés".
+ */
+function buildExportMatrix(headers, results) {
+  const matrix = [[...headers, EXPORT_MATCHES_HEADER]];
+  results.forEach(({ row, matches }) => {
+    matrix.push([...headers.map((header) => row[header] ?? ''), formatMatches(matches)]);
+  });
+  return matrix;
+}
+
+function serializeCSV(matrix, separator = ';') {
+  const needsQuotes = (value) => value.includes(separator) || /["\r\n]/.test(value);
+  return matrix
+    .map((fields) =>
+      fields
+        .map((field) => {
+          const value = field == null ? '' : String(field);
+          return needsQuotes(value) ? `"${value.replace(/"/g, '""')}"` : value;
+        })
+        .join(separator)
+    )
+    .join('\r\n') + '\r\n';
+}
+
+/**
+ * Encode le texte exporté. 'utf-8-bom' ajoute la marque attendue par Excel ;
+ * en Windows-1252, les caractères absents de la table deviennent « ? ».
+ */
+function encodeText(text, encoding) {
+  if (encoding === 'windows-1252') {
+    const reverse = new Map(Object.entries(WINDOWS_1252_C1).map(([byte, char]) => [char, Number(byte)]));
+    const bytes = new Uint8Array(text.length);
+    let length = 0;
+    for (const char of text) {
+      const code = char.codePointAt(0);
+      if (reverse.has(char)) {
+        bytes[length++] = reverse.get(char);
+      } else if (code <= 0xff && !(code >= 0x80 && code <= 0x9f && WINDOWS_1252_C1[code])) {
+        bytes[length++] = code;
+      } else {
+        bytes[length++] = 0x3f;
+      }
+    }
+    return bytes.slice(0, length);
+  }
+
+  const encoded = new TextEncoder().encode(text);
+  if (encoding !== 'utf-8-bom') {
+    return encoded;
+  }
+  const bytes = new Uint8Array(encoded.length + 3);
+  bytes.set([0xef, 0xbb, 0xbf]);
+  bytes.set(encoded, 3);
+  return bytes;
+}
+
+/**
+ * Nombre de lignes et de cellules trouvées par mot-clé, et colonnes où il
+ * a été trouvé (les plus fréquentes d'abord), du mot-clé le plus fréquent
+ * au moins fréquent. Les mots-clés de keywords sans correspondance
+ * figurent avec des compteurs à zéro.
+ */
+function countKeywordHits(results, keywords = []) {
+  const hits = new Map();
+  const entryFor = (keyword) => {
+    if (!hits.has(keyword)) {
+      hits.set(keyword, { keyword, rows: 0, cells: 0, columnCounts: new Map() });
+    }
+    return hits.get(keyword);
+  };
+  keywords.forEach(entryFor);
+
+  results.forEach(({ matches }) => {
+    const seen = new Set();
+    matches.forEach(({ keyword, header }) => {
+      const entry = entryFor(keyword);
+      entry.cells += 1;
+      entry.columnCounts.set(header, (entry.columnCounts.get(header) || 0) + 1);
+      if (!seen.has(keyword)) {
+        seen.add(keyword);
+        entry.rows += 1;
+      }
+    });
+  });
+
+  return Array.from(hits.values())
+    .map(({ columnCounts, ...hit }) => ({
+      ...hit,
+      columns: Array.from(columnCounts.entries())
+        .sort((a, b) => b[1] - a[1])
+        .map(([header]) => header),
+    }))
+    .sort((a, b) => b.rows - a.rows || a.keyword.localeCompare(b.keyword));
+}
+
+function buildExportWorkbook(matrix, summary) {
+  const { utils } = getSheetJS();
+  const workbook = utils.book_new();
+  utils.book_append_sheet(workbook, utils.aoa_to_sheet(matrix), 'Résultats');
+  if (summary) {
+    utils.book_append_sheet(workbook, utils.aoa_to_sheet(buildKeywordHitsMatrix(summary)), EXPORT_SUMMARY_SHEET);
+  }
+  return workbook;
+}
+
+function readExportOptionsFromForm() {
+  return {
+    format: document.querySelector('input[name="export-format"]:checked').value,
+    separator: EXPORT_SEPARATORS[document.getElementById('export-separator').value],
+    encoding: document.getElementById('export-encoding').value,
+    summary: document.getElementById('export-summary').checked,
+  };
+}
+
+function renderExportOptions() {
+  const { format } = readExportOptionsFromForm();
+  document.querySelectorAll('.export-csv-option').forEach((element) => {
+    element.classList.toggle('hidden', format !== 'csv');
+  });
+  document.querySelectorAll('.export-xlsx-option').forEach((element) => {
+    element.classList.toggle('hidden', format !== 'xlsx');
+  });
+}
+
+function updateExportAvailability() {
+  const available = Boolean(displayedResults);
+  document.getElementById('export-toggle').disabled = !available;
+  if (!available) {
+    document.getElementById('export-panel').classList.add('hidden');
+  }
+}
+
+function exportDisplayedResults() {
+  if (!displayedResults) return;
+  const { headers, rows } = displayedResults;
+  const options = readExportOptionsFromForm();
+  const matrix = buildExportMatrix(headers, rows);
+  const baseName = `resultats-${state.mode}-${new Date().toISOString().slice(0, 10)}`;
+  console.log('[APP] export', options.format, rows.length, 'lignes');
+
+  try {
+    if (options.format === 'xlsx') {
+      if (typeof XLSX === 'undefined') {
+        throw new Error('Bibliothèque SheetJS non chargée.');
+      }
+      const workbook = buildExportWorkbook(matrix, options.summary ? currentKeywordHits() : null);
+      const content = XLSX.write(workbook, { bookType: 'xlsx', type: 'array' });
+      downloadFile(
+        content,
+        `${baseName}.xlsx`,
+        'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+      );
+    } else {
+      const charset = options.encoding === 'windows-1252' ? 'windows-1252' : 'utf-8';
+      downloadFile(encodeText(serializeCSV(matrix, options.separator), options.encoding), `${baseName}.csv`, `text/csv;charset=${charset}`);
+    }
+    showStatus(`${rows.length} ligne(s) exportée(s).`);
+  } catch (error) {
+    console.error('[APP] Erreur export', error);
+    showError("Erreur lors de l'export : " + error.message);
+  }
+}
+
+/**
+ * Télécharge un tableau de valeurs en CSV (point-virgule, UTF-8 avec BOM)
+ * ou en classeur ; retourne false si l'export a échoué (erreur affichée).
+ */
+function downloadMatrix(matrix, baseName, format) {
+  try {
+    if (format === 'xlsx') {
+      const sheetJS = getSheetJS();
+      if (!sheetJS) {
+        throw new Error('Bibliothèque SheetJS non chargée.');
+      }
+      const content = sheetJS.write(buildExportWorkbook(matrix, null), { bookType: 'xlsx', type: 'array' });
+      downloadFile(content, `${baseName}.xlsx`, 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+    } else {
+      downloadFile(encodeText(serializeCSV(matrix, ';'), 'utf-8-bom'), `${baseName}.csv`, 'text/csv;charset=utf-8');
+    }
+    return true;
+  } catch (error) {
+    console.error('[APP] Erreur export', error);
+    showError("Erreur lors de l'export : " + error.message);
+    return false;
+  }
+}
+
+function downloadFile(content, fileName, type) {
+  const url = URL.createObjectURL(new Blob([content], { type }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+// --- Tâches longues : parsing et filtrage dans un Web Worker ---
+// Les tâches sont des fonctions async (payload, context) où context fournit
+// report(progress) et isCancelled(). Elles tournent dans worker.js (qui
+// charge ce fichier) ou, à défaut de Worker (ouverture en file://…),
+// directement sur le thread principal, découpées en morceaux.
+const TASK_CHUNK_CHARS = 256 * 1024;
+const TASK_CHUNK_ROWS = 2000;
+
+function yieldToEventLoop() {
+  return new Promise((resolve) => setTimeout(resolve, 0));
+}
+
+function createCancelledError(message = 'Opération annulée.') {
+  const error = new Error(message);
+  error.cancelled = true;
+  return error;
+}
+
+function createSupersededError() {
+  const error = new Error('Opération remplacée par une nouvelle demande.');
+  error.superseded = true;
+  return error;
+}
+
+async function parseCSVTask({ buffer, encoding, separator }, context) {
+  const text = decodeTextBuffer(buffer, encoding);
+  const totalBytes = buffer.byteLength;
+  const records = [];
+  const errors = [];
+  const detection = separator ? { separator } : analyseCSVSeparator(text);
+  const parser = createCSVParser({
+    separator: detection.separator,
+    onRecord: (fields, line) => records.push({ fields, line }),
+    onError: (error) => errors.push(error),
+  });
+
+  for (let offset = 0; offset < text.length; offset += TASK_CHUNK_CHARS) {
+    parser.push(text.slice(offset, offset + TASK_CHUNK_CHARS));
+    const consumed = Math.min(offset + TASK_CHUNK_CHARS, text.length);
+    context.report({
+      bytesRead: Math.round((totalBytes * consumed) / text.length),
+      totalBytes,
+      rowsParsed: Math.max(records.length - 1, 0),
+    });
+    await yieldToEventLoop();
+    if (context.isCancelled()) {
+      throw createCancelledError('Import annulé.');
+    }
+  }
+  parser.end();
+
+  const data = buildCSVDataset(records, errors);
+  data.validation.separator = detection;
+  data.encoding = encoding;
+  return data;
+}
+
+/**
+ * Formats lus d'un bloc (JSON, largeur fixe) : parse du format déclaré
+ * dans le registre des imports.
+ */
+async function parseImportTask({ format, buffer, options }, context) {
+  context.report({ bytesRead: 0, totalBytes: buffer.byteLength });
+  const data = getImporter(format).parse(buffer, options);
+  if (context.isCancelled()) {
+    throw createCancelledError('Import annulé.');
+  }
+  return data;
+}
+
+async function readWorkbookTask({ buffer }, context) {
+  if (!getSheetJS()) {
+    const error = new Error('Bibliothèque SheetJS non disponible dans le worker.');
+    error.unsupported = true;
+    throw error;
+  }
+  context.report({ bytesRead: 0, totalBytes: buffer.byteLength });
+  return readWorkbookSheets(buffer);
+}
+
+/**
+ * Filtre les lignes par morceaux et retourne [{ index, matches }] : le
+ * thread principal retrouve les lignes à partir de leur index, sans
+ * recopier les données.
+ */
+async function filterTask({ rows, datasetId, headers, options }, context) {
+  const sourceRows = rows || context.datasets.get(datasetId);
+  if (!sourceRows) {
+    throw new Error('Jeu de données inconnu du worker.');
+  }
+
+  const test = createRowFilter(headers, options);
+  const results = [];
+  for (let start = 0; start < sourceRows.length; start += TASK_CHUNK_ROWS) {
+    const end = Math.min(start + TASK_CHUNK_ROWS, sourceRows.length);
+    for (let index = start; index < end; index++) {
+      const matches = test(sourceRows[index]);
+      if (matches) {
+        results.push({ index, matches });
+      }
+    }
+    context.report({ rowsScanned: end, totalRows: sourceRows.length, rowsMatched: results.length });
+    if (end < sourceRows.length) {
+      await yieldToEventLoop();
+      if (context.isCancelled()) {
+        throw createCancelledError('Filtrage annulé.');
+      }
+    }
+  }
+  return results;
+}
+
+/**
+ * Rapprochement approché : pour chaque texte de référence, meilleurs
+ * candidats [{ cmpIndex, score }] parmi les textes comparés.
+ */
+async function matchRowsTask({ refTexts, cmpTexts }, context) {
+  const cmpTokenRows = cmpTexts.map(tokenizeForMatching);
+  const index = buildMatchIndex(cmpTokenRows);
+  const candidates = [];
+  let rowsMatched = 0;
+  for (let start = 0; start < refTexts.length; start += ROW_MATCH_CHUNK_ROWS) {
+    const end = Math.min(start + ROW_MATCH_CHUNK_ROWS, refTexts.length);
+    for (let refIndex = start; refIndex < end; refIndex++) {
+      const found = findRowCandidates(tokenizeForMatching(refTexts[refIndex]), cmpTokenRows, index);
+      candidates.push(found);
+      if (found.length) rowsMatched++;
+    }
+    context.report({ rowsScanned: end, totalRows: refTexts.length, rowsMatched });
+    if (end < refTexts.length) {
+      await yieldToEventLoop();
+      if (context.isCancelled()) {
+        throw createCancelledError('Rapprochement annulé.');
+      }
+    }
+  }
+  return candidates;
+}
+
+const BACKGROUND_TASKS = {
+  parseCSV: parseCSVTask,
+  readWorkbook: readWorkbookTask,
+  parseImport: parseImportTask,
+  filter: filterTask,
+  matchRows: matchRowsTask,
+};
+
+// État propre au worker : jeux de données reçus (par emplacement) et
+// tâches annulées.
+const workerContext = {
+  datasets: new Map(),
+  slots: new Map(),
+  cancelledJobs: new Set(),
+};
+
+/**
+ * Point d'entrée des messages côté worker (voir worker.js).
+ * Messages reçus : run { jobId, task, payload }, cancel { jobId },
+ * setDataset { slot, datasetId, rows }.
+ * Messages émis : progress, done, error.
+ */
+async function handleWorkerMessage(message, post) {
+  if (message.type === 'cancel') {
+    workerContext.cancelledJobs.add(message.jobId);
+    return;
+  }
+
+  if (message.type === 'setDataset') {
+    const previousId = workerContext.slots.get(message.slot);
+    if (previousId != null) {
+      workerContext.datasets.delete(previousId);
+    }
+    workerContext.slots.set(message.slot, message.datasetId);
+    workerContext.datasets.set(message.datasetId, message.rows);
+    return;
+  }
+
+  if (message.type !== 'run') return;
+
+  const { jobId, task, payload } = message;
+  const context = {
+    datasets: workerContext.datasets,
+    report: (progress) => post({ type: 'progress', jobId, progress }),
+    isCancelled: () => workerContext.cancelledJobs.has(jobId),
+  };
+
+  try {
+    const result = await BACKGROUND_TASKS[task](payload, context);
+    post({ type: 'done', jobId, result });
+  } catch (error) {
+    post({
+      type: 'error',
+      jobId,
+      message: error.message,
+      cancelled: Boolean(error.cancelled),
+      unsupported: Boolean(error.unsupported),
+    });
+  } finally {
+    workerContext.cancelledJobs.delete(jobId);
+  }
+}
+
+/**
+ * Exécute les tâches dans worker.js, ou sur le thread principal si le
+ * Worker est indisponible. run() retourne { promise, cancel(options) } ;
+ * cancel({ terminate: true }) arrête net le worker (utile pendant
+ * XLSX.read, qui ne rend pas la main), sinon l'annulation est coopérative.
+ */
+function createTaskRunner(workerUrl = 'worker.js') {
+  let worker = null;
+  let workerAvailable = typeof Worker !== 'undefined';
+  let nextJobId = 1;
+  let nextDatasetId = 1;
+  const jobs = new Map();
+  const datasetIds = new WeakMap();
+  let sentSlots = new Map();
+
+  function getWorker() {
+    if (!workerAvailable) return null;
+    if (!worker) {
+      try {
+        worker = new Worker(workerUrl);
+        worker.onmessage = (event) => onWorkerMessage(event.data);
+        worker.onerror = onWorkerError;
+      } catch (error) {
+        console.warn('[APP] Worker indisponible, exécution sur le thread principal', error);
+        workerAvailable = false;
+        return null;
+      }
+    }
+    return worker;
+  }
+
+  function resetWorker() {
+    if (worker) {
+      worker.terminate();
+    }
+    worker = null;
+    sentSlots = new Map();
+  }
+
+  function onWorkerError(event) {
+    console.warn('[APP] Erreur du worker, bascule sur le thread principal', event.message);
+    if (event.preventDefault) event.preventDefault();
+    workerAvailable = false;
+    resetWorker();
+    jobs.forEach((job, jobId) => runInline(jobId, job));
+  }
+
+  function onWorkerMessage(message) {
+    const job = jobs.get(message.jobId);
+    if (!job) return;
+
+    if (message.type === 'progress') {
+      job.onProgress(message.progress);
+    } else if (message.type === 'done') {
+      jobs.delete(message.jobId);
+      job.resolve(message.result);
+    } else if (message.type === 'error') {
+      if (message.unsupported) {
+        runInline(message.jobId, job);
+        return;
+      }
+      jobs.delete(message.jobId);
+      const error = message.cancelled ? createCancelledError(message.message) : new Error(message.message);
+      job.reject(error);
+    }
+  }
+
+  function sendToWorker(jobId, job) {
+    const target = getWorker();
+    if (!target) {
+      runInline(jobId, job);
+      return;
+    }
+
+    let { payload } = job;
+    if (payload.rows && payload.slot) {
+      if (!datasetIds.has(payload.rows)) {
+        datasetIds.set(payload.rows, nextDatasetId++);
+      }
+      const datasetId = datasetIds.get(payload.rows);
+      if (sentSlots.get(payload.slot) !== datasetId) {
+        target.postMessage({ type: 'setDataset', slot: payload.slot, datasetId, rows: payload.rows });
+        sentSlots.set(payload.slot, datasetId);
+      }
+      payload = { ...payload, rows: null, datasetId };
+    }
+    target.postMessage({ type: 'run', jobId, task: job.task, payload });
+  }
+
+  async function runInline(jobId, job) {
+    job.inline = true;
+    const context = {
+      datasets: new Map(),
+      report: (progress) => {
+        if (jobs.has(jobId)) job.onProgress(progress);
+      },
+      isCancelled: () => !jobs.has(jobId),
+    };
+    try {
+      const result = await BACKGROUND_TASKS[job.task](job.payload, context);
+      if (jobs.get(jobId) === job) {
+        jobs.delete(jobId);
+        job.resolve(result);
+      }
+    } catch (error) {
+      if (jobs.get(jobId) === job) {
+        jobs.delete(jobId);
+        job.reject(error);
+      }
+    }
+  }
+
+  function cancel(jobId, { terminate = false, superseded = false } = {}) {
+    const job = jobs.get(jobId);
+    if (!job) return;
+    jobs.delete(jobId);
+    job.reject(superseded ? createSupersededError() : createCancelledError());
+
+    if (job.inline) return;
+    if (terminate) {
+      // Toutes les tâches du worker s'arrêtent avec lui
+      resetWorker();
+      jobs.forEach((other, otherId) => {
+        if (!other.inline) {
+          jobs.delete(otherId);
+          other.reject(createCancelledError());
+        }
+      });
+    } else if (worker) {
+      worker.postMessage({ type: 'cancel', jobId });
+    }
+  }
+
+  function run(task, payload, { onProgress = () => {} } = {}) {
+    const jobId = nextJobId++;
+    let job;
+    const promise = new Promise((resolve, reject) => {
+      job = { task, payload, resolve, reject, onProgress, inline: false };
+    });
+    jobs.set(jobId, job);
+    sendToWorker(jobId, job);
+    return { promise, cancel: (options) => cancel(jobId, options) };
+  }
+
+  return { run };
+}
+
+/**
+ * Texte et pourcentage affichés dans la barre de progression.
+ */
+function formatTaskProgress(progress) {
+  const formatMegabytes = (bytes) => `${(bytes / (1024 * 1024)).toLocaleString('fr-FR', { maximumFractionDigits: 1 })} Mo`;
+  const parts = [];
+  let percent = null;
+
+  if (progress.totalBytes) {
+    parts.push(`${formatMegabytes(progress.bytesRead || 0)} / ${formatMegabytes(progress.totalBytes)} lus`);
+    percent = Math.round(((progress.bytesRead || 0) / progress.totalBytes) * 100);
+  }
+  if (progress.rowsParsed != null) {
+    parts.push(`${progress.rowsParsed.toLocaleString('fr-FR')} lignes lues`);
+  }
+  if (progress.totalRows) {
+    parts.push(`${progress.rowsScanned.toLocaleString('fr-FR')} / ${progress.totalRows.toLocaleString('fr-FR')} lignes parcourues`);
+    parts.push(`${progress.rowsMatched.toLocaleString('fr-FR')} correspondance(s)`);
+    percent = Math.round((progress.rowsScanned / progress.totalRows) * 100);
+  }
+  return { text: parts.join(' · '), percent };
+}
+
+// Affichage de la progression : la barre n'apparaît qu'au-delà d'un court
+// délai pour ne pas clignoter sur les petits fichiers.
+const TASK_PROGRESS_DELAY_MS = 150;
+let taskRunner = null;
+let trackedTask = null;
+
+function getTaskRunner() {
+  if (!taskRunner) {
+    taskRunner = createTaskRunner();
+  }
+  return taskRunner;
+}
+
+/**
+ * Lance une tâche annulable (startJob(onProgress) -> { promise, cancel })
+ * et la relie à la barre de progression et au bouton « Annuler ».
+ */
+function trackBackgroundTask(label, startJob) {
+  const entry = { label, progress: null, shown: false, job: null };
+  entry.job = startJob((progress) => {
+    entry.progress = progress;
+    if (entry.shown && trackedTask === entry) {
+      renderTaskProgress(entry);
+    }
+  });
+
+  trackedTask = entry;
+  const timer = setTimeout(() => {
+    if (trackedTask !== entry) return;
+    entry.shown = true;
+    renderTaskProgress(entry);
+  }, TASK_PROGRESS_DELAY_MS);
+
+  const finish = () => {
+    clearTimeout(timer);
+    if (trackedTask === entry) {
+      trackedTask = null;
+      document.getElementById('task-progress').classList.add('hidden');
+    }
+  };
+  entry.job.promise.then(finish, finish);
+  return entry.job;
+}
+
+function renderTaskProgress(entry) {
+  const panel = document.getElementById('task-progress');
+  const bar = document.getElementById('task-progress-bar');
+  const { text, percent } = entry.progress ? formatTaskProgress(entry.progress) : { text: '', percent: null };
+
+  document.getElementById('task-progress-label').textContent = text ? `${entry.label} — ${text}` : entry.label;
+  if (percent === null) {
+    bar.removeAttribute('value');
+  } else {
+    bar.value = percent;
+  }
+  panel.classList.remove('hidden');
+}
+
+function cancelTrackedTask() {
+  if (!trackedTask) return;
+  console.log('[APP] Annulation demandée :', trackedTask.label);
+  // Arrêt net du worker : XLSX.read et le décodage ne rendent pas la main
+  trackedTask.job.cancel({ terminate: true });
+}
+
+// --- Sauvegarde locale : sessions et recherches enregistrées (IndexedDB) ---
+// Tout reste dans le navigateur : les fichiers chargés sont conservés dans
+// IndexedDB (base locale), jamais envoyés sur un serveur.
+const SESSION_DB_NAME = 'bp9-workspace';
+const SESSION_DB_VERSION = 3;
+const MAX_RECENT_SESSIONS = 5;
+const SESSION_SAVE_DELAY_MS = 1000;
+const DATASET_SLOTS = ['analyse', 'ref', 'cmp'];
+
+let sessionDbPromise = null;
+let currentSessionId = null;
+let sessionSaveTimer = null;
+
+function currentSearchOptions() {
+  return {
+    caseSensitive: state.caseSensitive,
+    ignoreAccents: state.ignoreAccents,
+    wholeWord: state.wholeWord,
+    matchMode: state.matchMode,
+    fuzzyDistance: state.fuzzyDistance,
+  };
+}
+
+/**
+ * Recherche enregistrée : texte de la requête, colonnes cochées et options
+ * de correspondance.
+ */
+function buildSavedSearch(name, queryText) {
+  return {
+    name,
+    query: queryText,
+    selectedColumns: Array.from(state.selectedColumns),
+    options: currentSearchOptions(),
+    savedAt: Date.now(),
+  };
+}
+
+/**
+ * Applique options et colonnes d'une recherche enregistrée au fichier
+ * chargé (headers). Les colonnes absentes du fichier sont ignorées et
+ * retournées dans missingColumns ; si aucune ne subsiste, toutes les
+ * colonnes sont cochées. La requête est à repasser à
+ * handleKeywordInputChange.
+ */
+function applySavedSearchToState(search, headers) {
+  Object.assign(state, currentSearchOptions(), search.options);
+  const kept = search.selectedColumns.filter((header) => headers.includes(header));
+  state.selectedColumns = new Set(kept.length ? kept : headers);
+  return {
+    queryText: search.query,
+    missingColumns: search.selectedColumns.filter((header) => !headers.includes(header)),
+  };
+}
+
+function serializeTableLayout(layout) {
+  return { ...layout, hiddenColumns: Array.from(layout.hiddenColumns) };
+}
+
+function deserializeTableLayout(saved) {
+  return { ...createTableLayout(), ...saved, hiddenColumns: new Set(saved ? saved.hiddenColumns : []) };
+}
+
+/**
+ * Espace de travail sans les données : mode, recherche, disposition du
+ * tableau et réglages de comparaison. Les fichiers sont enregistrés à part
+ * (un enregistrement par emplacement analyse / ref / cmp).
+ */
+function buildSessionRecord(id, queryText) {
+  const fileNames = {};
+  DATASET_SLOTS.forEach((slot) => {
+    const data = slot === 'analyse' ? state.analyse : state.comparaison[slot];
+    fileNames[slot] = data ? data.fileName || null : null;
+  });
+  return {
+    id,
+    updatedAt: Date.now(),
+    mode: state.mode,
+    fileNames,
+    search: buildSavedSearch('', queryText),
+    table: serializeTableLayout(state.table),
+    comparaison: {
+      keywordColumns: state.comparaison.keywordColumns,
+      extractionRules: state.comparaison.extractionRules,
+      view: state.comparaison.view,
+      keyColumns: state.comparaison.keyColumns,
+      diffStatuses: Array.from(state.comparaison.diffStatuses),
+      hitSort: state.comparaison.hitSort,
+      hitFilter: state.comparaison.hitFilter,
+      matchColumns: state.comparaison.matchColumns,
+      matchThreshold: state.comparaison.matchThreshold,
+      matchDecisions: state.comparaison.matchDecisions,
+      matchStatuses: Array.from(state.comparaison.matchStatuses),
+      columnMapping: state.comparaison.columnMapping,
+    },
+  };
+}
+
+/**
+ * Restaure dans state une session et ses fichiers ({ slot: dataset }).
+ * Retourne le texte de la requête à réappliquer.
+ */
+function applySessionRecord(record, datasets) {
+  state.mode = record.mode;
+  state.analyse = datasets.analyse || null;
+  state.dedup = createDedupSettings();
+  state.comparaison.ref = datasets.ref || null;
+  state.comparaison.cmp = datasets.cmp || null;
+  Object.assign(state.comparaison, record.comparaison, {
+    diffStatuses: new Set(record.comparaison.diffStatuses),
+    matchStatuses: new Set(record.comparaison.matchStatuses || Object.keys(ROW_MATCH_STATUS_LABELS)),
+    columnMapping: record.comparaison.columnMapping || null,
+  });
+  if (state.comparaison.ref) {
+    updateReferenceKeywords();
+  }
+
+  const data = currentDataset();
+  const { queryText } = applySavedSearchToState(record.search, data ? data.headers : []);
+  state.table = deserializeTableLayout(record.table);
+  return queryText;
+}
+
+function isWorkspaceStorageAvailable() {
+  return typeof indexedDB !== 'undefined';
+}
+
+function openSessionDatabase() {
+  if (!sessionDbPromise) {
+    sessionDbPromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(SESSION_DB_NAME, SESSION_DB_VERSION);
+      request.onupgradeneeded = () => {
+        // Version 2 : profils de correspondance des colonnes (mappings) ;
+        // version 3 : colonnes calculées enregistrées (formulas).
+        const db = request.result;
+        [
+          ['sessions', 'id'],
+          ['datasets', 'key'],
+          ['searches', 'name'],
+          ['mappings', 'name'],
+          ['formulas', 'name'],
+        ].forEach(([name, keyPath]) => {
+          if (!db.objectStoreNames.contains(name)) {
+            db.createObjectStore(name, { keyPath });
+          }
+        });
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+  return sessionDbPromise;
+}
+
+/**
+ * Exécute operation(transaction) et résout avec le résultat de la requête
+ * qu'elle retourne, une fois la transaction terminée.
+ */
+async function runWorkspaceTransaction(storeNames, mode, operation) {
+  const db = await openSessionDatabase();
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(storeNames, mode);
+    const request = operation(transaction);
+    transaction.oncomplete = () => resolve(request ? request.result : undefined);
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+  });
+}
+
+function ensureSessionId() {
+  if (!currentSessionId) {
+    currentSessionId = `session-${Date.now()}`;
+  }
+  return currentSessionId;
+}
+
+/**
+ * Conserve un fichier importé dans la session en cours. Un fichier trop
+ * volumineux pour le quota du navigateur n'est simplement pas conservé.
+ */
+async function persistDataset(slot, data) {
+  if (!isWorkspaceStorageAvailable()) return;
+  const sessionId = ensureSessionId();
+  try {
+    await runWorkspaceTransaction('datasets', 'readwrite', (transaction) =>
+      transaction.objectStore('datasets').put({ key: `${sessionId}:${slot}`, sessionId, slot, data })
+    );
+    await saveSessionNow();
+  } catch (error) {
+    console.warn('[APP] Fichier non conservé localement', error);
+    showStatus(`Fichier non conservé sur cet appareil (${error.name === 'QuotaExceededError' ? 'espace insuffisant' : error.message}).`);
+  }
+}
+
+function scheduleSessionSave() {
+  if (!isWorkspaceStorageAvailable() || !currentSessionId) return;
+  clearTimeout(sessionSaveTimer);
+  sessionSaveTimer = setTimeout(() => {
+    saveSessionNow().catch((error) => console.warn('[APP] Session non enregistrée', error));
+  }, SESSION_SAVE_DELAY_MS);
+}
+
+async function saveSessionNow() {
+  if (!currentSessionId) return;
+  const record = buildSessionRecord(currentSessionId, document.getElementById('keywords').value);
+  await runWorkspaceTransaction('sessions', 'readwrite', (transaction) =>
+    transaction.objectStore('sessions').put(record)
+  );
+  await pruneRecentSessions();
+  renderRecentSessions();
+}
+
+async function listRecentSessions() {
+  const sessions = await runWorkspaceTransaction('sessions', 'readonly', (transaction) =>
+    transaction.objectStore('sessions').getAll()
+  );
+  return sessions.sort((a, b) => b.updatedAt - a.updatedAt);
+}
+
+async function deleteSession(id) {
+  await runWorkspaceTransaction(['sessions', 'datasets'], 'readwrite', (transaction) => {
+    transaction.objectStore('sessions').delete(id);
+    DATASET_SLOTS.forEach((slot) => transaction.objectStore('datasets').delete(`${id}:${slot}`));
+  });
+  if (id === currentSessionId) {
+    currentSessionId = null;
+  }
+}
+
+async function pruneRecentSessions() {
+  const sessions = await listRecentSessions();
+  for (const session of sessions.slice(MAX_RECENT_SESSIONS)) {
+    await deleteSession(session.id);
+  }
+}
+
+async function restoreSession(id) {
+  const [record, datasetRecords] = await Promise.all([
+    runWorkspaceTransaction('sessions', 'readonly', (transaction) => transaction.objectStore('sessions').get(id)),
+    runWorkspaceTransaction('datasets', 'readonly', (transaction) =>
+      transaction.objectStore('datasets').getAll(IDBKeyRange.bound(`${id}:`, `${id}:\uffff`))
+    ),
+  ]);
+  if (!record) {
+    throw new Error('Session introuvable.');
+  }
+
+  const datasets = {};
+  datasetRecords.forEach(({ slot, data }) => {
+    datasets[slot] = data;
+  });
+  currentSessionId = id;
+  const queryText = applySessionRecord(record, datasets);
+  console.log('[APP] Session restaurée', id, Object.keys(datasets));
+
+  syncFormWithState();
+  toggleMode(state.mode);
+  resetTableAndStatus();
+  applySearchText(queryText);
+  if (state.mode === 'analyse') {
+    renderAnalyseTable();
+  } else {
+    updateKeywordSummary();
+    renderComparisonOptions();
+    renderComparisonTable();
+  }
+  renderProfilePanel();
+  renderComputedPanel();
+  renderDedupPanel();
+  showStatus(`Session du ${formatSessionDate(record.updatedAt)} restaurée.`);
+}
+
+/**
+ * Remet les contrôles du formulaire (mode, options de recherche, vue de
+ * comparaison) en accord avec state après une restauration.
+ */
+function syncFormWithState() {
+  document.querySelectorAll('input[name="mode"]').forEach((radio) => {
+    radio.checked = radio.value === state.mode;
+  });
+  document.getElementById('case-sensitive').checked = state.caseSensitive;
+  document.getElementById('ignore-accents').checked = state.ignoreAccents;
+  document.getElementById('whole-word').checked = state.wholeWord;
+  document.getElementById('match-mode').value = state.matchMode;
+  document.getElementById('fuzzy-distance').value = state.fuzzyDistance;
+  document.querySelector('.fuzzy-distance').classList.toggle('hidden', state.matchMode !== 'fuzzy');
+  document.querySelectorAll('input[name="comparison-view"]').forEach((radio) => {
+    radio.checked = radio.value === state.comparaison.view;
+  });
+  document.getElementById('keyword-dashboard-filter').value = state.comparaison.hitFilter;
+}
+
+function applySearchText(queryText) {
+  const input = document.getElementById('keywords');
+  input.value = handleKeywordInputChange(queryText);
+  if (state.filters.queryError) {
+    showError(state.filters.queryError);
+  }
+}
+
+async function saveCurrentSearch() {
+  const nameInput = document.getElementById('saved-search-name');
+  const name = nameInput.value.trim();
+  if (!name) {
+    showError('Donnez un nom à la recherche à enregistrer.');
+    return;
+  }
+  const search = buildSavedSearch(name, document.getElementById('keywords').value);
+  await runWorkspaceTransaction('searches', 'readwrite', (transaction) =>
+    transaction.objectStore('searches').put(search)
+  );
+  nameInput.value = '';
+  clearError();
+  showStatus(`Recherche "${name}" enregistrée.`);
+  renderSavedSearches();
+}
+
+async function applySavedSearch(name) {
+  const search = await runWorkspaceTransaction('searches', 'readonly', (transaction) =>
+    transaction.objectStore('searches').get(name)
+  );
+  if (!search) return;
+
+  const { queryText, missingColumns } = applySavedSearchToState(search, currentHeaders());
+  syncFormWithState();
+  applySearchText(queryText);
+  refreshTable();
+  showStatus(
+    `Recherche "${name}" appliquée.` +
+      (missingColumns.length ? ` Colonnes absentes de ce fichier : ${missingColumns.join(', ')}.` : '')
+  );
+}
+
+async function deleteSavedSearch(name) {
+  await runWorkspaceTransaction('searches', 'readwrite', (transaction) =>
+    transaction.objectStore('searches').delete(name)
+  );
+  renderSavedSearches();
+}
+
+async function saveMappingProfile() {
+  const nameInput = document.getElementById('mapping-profile-name');
+  const name = nameInput.value.trim();
+  if (!name) {
+    showError('Donnez un nom au profil de correspondance (par exemple le fournisseur).');
+    return;
   }
+  const profile = { name, mapping: currentColumnMapping(), updatedAt: Date.now() };
+  await runWorkspaceTransaction('mappings', 'readwrite', (transaction) =>
+    transaction.objectStore('mappings').put(profile)
+  );
+  nameInput.value = '';
+  clearError();
+  showStatus(`Profil de correspondance "${name}" enregistré.`);
+  renderMappingProfiles();
+}
 
-  const selectedHeaders = headers.filter((header) => state.selectedColumns.has(header));
-  const compare = state.caseSensitive
-    ? (value, keyword) => value.includes(keyword)
-    : (value, keyword) => value.toLowerCase().includes(keyword.toLowerCase());
+async function applySavedMappingProfile(name) {
+  const profile = await runWorkspaceTransaction('mappings', 'readonly', (transaction) =>
+    transaction.objectStore('mappings').get(name)
+  );
+  const { ref, cmp } = state.comparaison;
+  if (!profile || !ref || !cmp) return;
 
-  const preparedKeywords = state.caseSensitive ? keywords : keywords.map((k) => k.toLowerCase());
+  const { mapping, ignored } = applyMappingProfile(profile.mapping, currentColumnMapping(), ref.headers, cmp.headers);
+  state.comparaison.columnMapping = mapping;
+  alignComparisonColumns();
+  renderComparisonOptions();
+  refreshTable();
+  showStatus(
+    `Profil de correspondance "${name}" appliqué.` +
+      (ignored.length ? ` Associations ignorées (colonnes absentes) : ${ignored.join(', ')}.` : '')
+  );
+}
 
-  const filtered = [];
+async function deleteMappingProfile(name) {
+  await runWorkspaceTransaction('mappings', 'readwrite', (transaction) =>
+    transaction.objectStore('mappings').delete(name)
+  );
+  renderMappingProfiles();
+}
 
-  rows.forEach((row) => {
-    const matches = [];
-    selectedHeaders.forEach((header) => {
-      const cellValue = row[header];
-      if (cellValue == null) return;
-      const textValue = String(cellValue);
-      const comparable = state.caseSensitive ? textValue : textValue.toLowerCase();
+async function renderMappingProfiles() {
+  const list = document.getElementById('mapping-profile-list');
+  const profiles = await runWorkspaceTransaction('mappings', 'readonly', (transaction) =>
+    transaction.objectStore('mappings').getAll()
+  );
+  list.innerHTML = '';
+  if (profiles.length === 0) {
+    list.textContent = 'Aucun profil enregistré.';
+    return;
+  }
+  profiles.forEach((profile) => {
+    const pairs = Object.entries(profile.mapping).filter(([, cmpHeader]) => cmpHeader);
+    const details = pairs.map(([refHeader, cmpHeader]) => `${cmpHeader} → ${refHeader}`).join(', ');
+    list.appendChild(
+      createWorkspaceItem(profile.name, details || 'aucune colonne associée', [
+        { label: 'Appliquer', onClick: () => applySavedMappingProfile(profile.name) },
+        { label: 'Supprimer', onClick: () => deleteMappingProfile(profile.name) },
+      ])
+    );
+  });
+}
 
-      preparedKeywords.forEach((keyword, index) => {
-        if (keyword.length === 0) return;
-        if (compare(comparable, keyword)) {
-          matches.push({ keyword: keywords[index], header });
-        }
+/**
+ * Enregistre la colonne calculée du formulaire pour l'ajouter ensuite à
+ * d'autres fichiers.
+ */
+async function saveComputedDefinition() {
+  const { name, expression } = readComputedForm();
+  if (!name || !expression) {
+    showError('Donnez un nom et une expression à la colonne calculée à enregistrer.');
+    return;
+  }
+  try {
+    parseExpression(expression);
+  } catch (error) {
+    showError(error.message);
+    return;
+  }
+  await runWorkspaceTransaction('formulas', 'readwrite', (transaction) =>
+    transaction.objectStore('formulas').put({ name, expression, updatedAt: Date.now() })
+  );
+  clearError();
+  showStatus(`Colonne calculée "${name}" enregistrée.`);
+  renderSavedComputedDefinitions();
+}
+
+async function applySavedComputedDefinition(name) {
+  const saved = await runWorkspaceTransaction('formulas', 'readonly', (transaction) =>
+    transaction.objectStore('formulas').get(name)
+  );
+  const data = currentDataset();
+  if (!saved || !data) return;
+  const definitions = (data.computedColumns || []).filter((definition) => definition.name !== saved.name);
+  updateComputedColumns([...definitions, { name: saved.name, expression: saved.expression }], `Colonne calculée "${name}" ajoutée.`);
+}
+
+async function deleteComputedDefinition(name) {
+  await runWorkspaceTransaction('formulas', 'readwrite', (transaction) =>
+    transaction.objectStore('formulas').delete(name)
+  );
+  renderSavedComputedDefinitions();
+}
+
+async function renderSavedComputedDefinitions() {
+  const list = document.getElementById('computed-saved-list');
+  const definitions = await runWorkspaceTransaction('formulas', 'readonly', (transaction) =>
+    transaction.objectStore('formulas').getAll()
+  );
+  list.innerHTML = '';
+  if (definitions.length === 0) {
+    list.textContent = 'Aucune colonne calculée enregistrée.';
+    return;
+  }
+  definitions.forEach((definition) => {
+    list.appendChild(
+      createWorkspaceItem(definition.name, definition.expression, [
+        { label: 'Ajouter à ce fichier', onClick: () => applySavedComputedDefinition(definition.name) },
+        { label: 'Supprimer', onClick: () => deleteComputedDefinition(definition.name) },
+      ])
+    );
+  });
+}
+
+function formatSessionDate(timestamp) {
+  return new Date(timestamp).toLocaleString('fr-FR', { dateStyle: 'short', timeStyle: 'short' });
+}
+
+/**
+ * Élément de liste : libellé, détail et boutons [{ label, onClick }].
+ * Les erreurs des actions (IndexedDB) sont affichées à l'utilisateur.
+ */
+function createWorkspaceItem(label, details, actions) {
+  const item = document.createElement('li');
+  const text = document.createElement('div');
+  const name = document.createElement('span');
+  name.className = 'sheet-name';
+  name.textContent = label;
+  const meta = document.createElement('span');
+  meta.className = 'sheet-details';
+  meta.textContent = details;
+  text.appendChild(name);
+  text.appendChild(meta);
+  item.appendChild(text);
+
+  actions.forEach(({ label: actionLabel, onClick }) => {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = 'secondary-button';
+    button.textContent = actionLabel;
+    button.addEventListener('click', () => {
+      onClick().catch((error) => {
+        console.error('[APP] Erreur de sauvegarde locale', error);
+        showError('Erreur de la sauvegarde locale : ' + error.message);
       });
     });
-
-    if (state.mode === 'analyse') {
-      if (!keywords.length || matches.length > 0) {
-        filtered.push({ row, matches });
-      }
-    } else {
-      // En mode comparaison, seules les lignes avec au moins un mot-clé sont conservées
-      if (matches.length > 0) {
-        filtered.push({ row, matches });
-      }
-    }
+    item.appendChild(button);
   });
+  return item;
+}
 
-  return filtered;
+async function renderSavedSearches() {
+  const list = document.getElementById('saved-search-list');
+  const searches = await runWorkspaceTransaction('searches', 'readonly', (transaction) =>
+    transaction.objectStore('searches').getAll()
+  );
+  list.innerHTML = '';
+  if (searches.length === 0) {
+    list.textContent = 'Aucune recherche enregistrée.';
+    return;
+  }
+  searches.forEach((search) => {
+    list.appendChild(
+      createWorkspaceItem(search.name, search.query || '(mots-clés de référence)', [
+        { label: 'Appliquer', onClick: () => applySavedSearch(search.name) },
+        { label: 'Supprimer', onClick: () => deleteSavedSearch(search.name) },
+      ])
+    );
+  });
 }
 
-function handleKeywordInputChange(rawValue) {
-  const parsed = parseKeywords(rawValue);
+async function renderRecentSessions() {
+  const list = document.getElementById('recent-session-list');
+  const sessions = await listRecentSessions();
+  list.innerHTML = '';
+  if (sessions.length === 0) {
+    list.textContent = 'Aucune session enregistrée.';
+    return;
+  }
+  sessions.forEach((session) => {
+    const files = Object.values(session.fileNames).filter(Boolean).join(' + ') || 'aucun fichier';
+    const mode = session.mode === 'analyse' ? 'Analyse' : 'Comparaison';
+    const label = `${formatSessionDate(session.updatedAt)} · ${mode}${session.id === currentSessionId ? ' (en cours)' : ''}`;
+    list.appendChild(
+      createWorkspaceItem(label, files, [
+        { label: 'Restaurer', onClick: () => restoreSession(session.id) },
+        {
+          label: 'Supprimer',
+          onClick: async () => {
+            await deleteSession(session.id);
+            await renderRecentSessions();
+          },
+        },
+      ])
+    );
+  });
+}
 
-  if (
-    parsed.length === 0 &&
-    state.mode === 'comparaison' &&
-    state.comparaison.keywords.length > 0
-  ) {
-    // En comparaison, si l'utilisateur efface la recherche, on revient
-    // automatiquement aux mots-clés extraits du fichier de référence.
-    state.filters.keywords = [...state.comparaison.keywords];
-    return state.comparaison.keywords.join(', ');
+function initWorkspace() {
+  if (!isWorkspaceStorageAvailable()) {
+    console.warn('[APP] IndexedDB indisponible : sessions non conservées');
+    return;
   }
+  document.getElementById('workspace-panel').classList.remove('hidden');
+  document.getElementById('mapping-profiles').classList.remove('hidden');
+  document.getElementById('computed-saved').classList.remove('hidden');
+  document.getElementById('saved-search-save').addEventListener('click', () => {
+    saveCurrentSearch().catch((error) => showError('Erreur de la sauvegarde locale : ' + error.message));
+  });
+  document.getElementById('mapping-profile-save').addEventListener('click', () => {
+    saveMappingProfile().catch((error) => showError('Erreur de la sauvegarde locale : ' + error.message));
+  });
+  document.getElementById('computed-save').addEventListener('click', () => {
+    saveComputedDefinition().catch((error) => showError('Erreur de la sauvegarde locale : ' + error.message));
+  });
+  Promise.all([
+    renderSavedSearches(),
+    renderRecentSessions(),
+    renderMappingProfiles(),
+    renderSavedComputedDefinitions(),
+  ]).catch((error) => {
+    console.warn('[APP] Sauvegarde locale indisponible', error);
+    document.getElementById('workspace-panel').classList.add('hidden');
+    document.getElementById('mapping-profiles').classList.add('hidden');
+    document.getElementById('computed-saved').classList.add('hidden');
+  });
+}
 
-  state.filters.keywords = parsed;
-  return rawValue;
+// --- Fenêtres de choix avant import ---
+let pendingImportDialog = null;
+
+/**
+ * Rejette la fenêtre de choix encore ouverte, le cas échéant : un nouvel
+ * import remplace le précédent, dont l'erreur (superseded) n'est pas affichée.
+ */
+function cancelPendingImportDialog() {
+  if (pendingImportDialog) {
+    const error = new Error('Import remplacé par un nouvel import.');
+    error.superseded = true;
+    pendingImportDialog.reject(error);
+  }
 }
 
-// --- Rendu des tableaux ---
-function renderAnalyseTable() {
-  if (!state.analyse) return;
-  const { headers, rows } = state.analyse;
-  const filteredRows = filterRowsByKeywords(rows, headers);
-  renderTable(headers, filteredRows);
+/**
+ * Affiche un panneau de choix et attend la décision de l'utilisateur.
+ * Résout avec getValue() au clic sur confirmer, rejette si l'import est
+ * annulé ou remplacé.
+ */
+function waitForImportDialog(panel, confirmButton, cancelButton, getValue) {
+  panel.classList.remove('hidden');
+
+  return new Promise((resolve, reject) => {
+    const close = () => {
+      panel.classList.add('hidden');
+      confirmButton.onclick = null;
+      cancelButton.onclick = null;
+      pendingImportDialog = null;
+    };
+
+    pendingImportDialog = {
+      reject: (error) => {
+        close();
+        reject(error);
+      },
+    };
+
+    confirmButton.onclick = () => {
+      const value = getValue();
+      close();
+      resolve(value);
+    };
+    cancelButton.onclick = () => {
+      close();
+      reject(new Error('Import annulé.'));
+    };
+  });
 }
 
-function renderComparisonTable() {
-  if (!state.comparaison.cmp) return;
-  const { headers, rows } = state.comparaison.cmp;
-  const keywords = state.comparaison.keywords;
-  if (keywords.length && state.filters.keywords.length === 0) {
-    state.filters.keywords = [...keywords];
-    state.filters.keywords = keywords;
-    document.getElementById('keywords').value = keywords.join(', ');
+/**
+ * Affiche la liste des feuilles du classeur et attend le choix de
+ * l'utilisateur. Résout avec les noms de feuilles cochées.
+ */
+function promptSheetSelection(fileName, sheets) {
+  if (typeof document === 'undefined') {
+    return Promise.resolve([sheets[0].name]);
   }
-  const filteredRows = filterRowsByKeywords(rows, headers);
-  renderTable(headers, filteredRows);
+
+  cancelPendingImportDialog();
+
+  const picker = document.getElementById('sheet-picker');
+  const list = document.getElementById('sheet-list');
+  const confirmButton = document.getElementById('sheet-confirm');
+  const cancelButton = document.getElementById('sheet-cancel');
+
+  document.getElementById('sheet-picker-file').textContent = fileName;
+  list.innerHTML = '';
+
+  const updateConfirmLabel = () => {
+    const count = list.querySelectorAll('input:checked').length;
+    confirmButton.disabled = count === 0;
+    confirmButton.textContent = count > 1 ? `Combiner ${count} feuilles` : 'Charger la feuille';
+  };
+
+  sheets.forEach((sheet, index) => {
+    const item = document.createElement('li');
+    const label = document.createElement('label');
+    const checkbox = document.createElement('input');
+    checkbox.type = 'checkbox';
+    checkbox.value = sheet.name;
+    checkbox.checked = index === 0;
+    checkbox.addEventListener('change', updateConfirmLabel);
+
+    const name = document.createElement('span');
+    name.className = 'sheet-name';
+    name.textContent = sheet.name;
+
+    const details = document.createElement('span');
+    details.className = 'sheet-details';
+    details.textContent = `${sheet.rowCount} lignes · ${sheet.columnCount} colonnes`;
+
+    label.appendChild(checkbox);
+    label.appendChild(name);
+    label.appendChild(details);
+    item.appendChild(label);
+    list.appendChild(item);
+  });
+
+  updateConfirmLabel();
+  showStatus(`Le classeur "${fileName}" contient ${sheets.length} feuilles : choisissez celles à importer.`);
+
+  return waitForImportDialog(picker, confirmButton, cancelButton, () =>
+    Array.from(list.querySelectorAll('input:checked')).map((input) => input.value)
+  );
 }
 
-function renderTable(headers, filteredRows) {
-  const thead = document.querySelector('#data-table thead');
-  const tbody = document.querySelector('#data-table tbody');
+/**
+ * Affiche l'encodage détecté avec un aperçu des premières lignes, que
+ * l'utilisateur peut corriger avant de valider l'import. preview(texte)
+ * découpe l'aperçu selon le format (CSV par défaut). Résout avec
+ * l'encodage retenu.
+ */
+function promptEncodingSelection(fileName, bytes, detected, preview = (text) => parseCSV(text)) {
+  if (typeof document === 'undefined') {
+    return Promise.resolve(detected.encoding);
+  }
+
+  cancelPendingImportDialog();
+
+  const picker = document.getElementById('encoding-picker');
+  const select = document.getElementById('encoding-select');
+  const confirmButton = document.getElementById('encoding-confirm');
+  const cancelButton = document.getElementById('encoding-cancel');
+  const sample = bytes.subarray(0, ENCODING_PREVIEW_BYTES);
+
+  document.getElementById('encoding-picker-file').textContent = fileName;
+  const detectedLabel = TEXT_ENCODINGS.find((item) => item.value === detected.encoding).label;
+  document.getElementById('encoding-detected').textContent = `Encodage détecté : ${detectedLabel} (${detected.reason}).`;
+
+  select.innerHTML = '';
+  TEXT_ENCODINGS.forEach((item) => {
+    const option = document.createElement('option');
+    option.value = item.value;
+    option.textContent = item.label;
+    select.appendChild(option);
+  });
+  select.value = detected.encoding;
+
+  const renderPreview = () => {
+    const data = preview(decodeTextBuffer(sample, select.value));
+    renderPreviewTable(document.getElementById('encoding-preview'), data.headers, data.rows.slice(0, 5));
+  };
+  select.onchange = renderPreview;
+  renderPreview();
+
+  showStatus(`Vérifiez l'aperçu de "${fileName}" puis validez l'import.`);
+
+  return waitForImportDialog(picker, confirmButton, cancelButton, () => select.value);
+}
 
+function renderPreviewTable(table, headers, rows) {
+  const thead = table.querySelector('thead');
+  const tbody = table.querySelector('tbody');
   thead.innerHTML = '';
   tbody.innerHTML = '';
 
-  renderColumnCheckboxes(headers);
+  const headerRow = document.createElement('tr');
+  headers.forEach((header) => {
+    const th = document.createElement('th');
+    th.textContent = header;
+    headerRow.appendChild(th);
+  });
+  thead.appendChild(headerRow);
 
-  filteredRows.forEach(({ row, matches }) => {
+  rows.forEach((row) => {
     const tr = document.createElement('tr');
     headers.forEach((header) => {
       const td = document.createElement('td');
       td.textContent = row[header] != null ? row[header] : '';
       tr.appendChild(td);
     });
-
-    const matchTd = document.createElement('td');
-    matchTd.className = 'matched-keywords';
-    matchTd.textContent = formatMatches(matches);
-    tr.appendChild(matchTd);
-
     tbody.appendChild(tr);
   });
 }
 
-function renderColumnCheckboxes(headers) {
-  const thead = document.querySelector('#data-table thead');
-  thead.innerHTML = '';
+// Lignes montrées dans l'éditeur de colonnes à largeur fixe
+const FIXED_WIDTH_PREVIEW_LINES = 12;
 
-  const headerRow = document.createElement('tr');
-  headers.forEach((header) => {
-    const th = document.createElement('th');
-    const wrapper = document.createElement('div');
-    wrapper.className = 'header-content';
+/**
+ * Positions de coupure saisies par l'utilisateur (numéro du premier
+ * caractère de chaque colonne, à partir de 1) → boundaries triées.
+ */
+function parseBoundaryPositions(value) {
+  const positions = (value.match(/\d+/g) || []).map((position) => Number(position) - 1).filter((position) => position > 0);
+  return [...new Set(positions)].sort((a, b) => a - b);
+}
 
-    const title = document.createElement('span');
-    title.textContent = header;
+/**
+ * Éditeur des colonnes d'un fichier à largeur fixe : un clic dans l'aperçu
+ * ajoute ou retire une coupure avant le caractère cliqué, le champ texte
+ * permet de saisir les positions. Résout avec les coupures retenues.
+ */
+function promptFixedWidthBoundaries(fileName, sample, guessed) {
+  if (typeof document === 'undefined') {
+    return Promise.resolve(guessed);
+  }
 
-    const label = document.createElement('label');
-    const checkbox = document.createElement('input');
-    checkbox.type = 'checkbox';
-    checkbox.checked = state.selectedColumns.has(header);
-    checkbox.addEventListener('change', (event) => {
-      updateSelectedColumns(header, event.target.checked);
-    });
+  cancelPendingImportDialog();
 
-    const span = document.createElement('span');
-    span.textContent = 'Inclure dans la recherche';
+  const picker = document.getElementById('fixed-width-picker');
+  const linesContainer = document.getElementById('fixed-width-lines');
+  const input = document.getElementById('fixed-width-boundaries');
+  const lines = sample
+    .split(/\r?\n/)
+    .filter((line) => line.trim() !== '')
+    .slice(0, FIXED_WIDTH_PREVIEW_LINES);
+  const width = lines.reduce((max, line) => Math.max(max, line.length), 0);
+  let boundaries = [...guessed];
 
-    label.appendChild(checkbox);
-    label.appendChild(span);
-    wrapper.appendChild(title);
-    wrapper.appendChild(label);
-    th.appendChild(wrapper);
-    headerRow.appendChild(th);
-  });
+  document.getElementById('fixed-width-file').textContent = fileName;
 
-  const matchTh = document.createElement('th');
-  matchTh.textContent = 'Mots-clés trouvés';
-  headerRow.appendChild(matchTh);
+  const render = () => {
+    input.value = boundaries.map((position) => position + 1).join(', ');
+    linesContainer.innerHTML = '';
+    // Règle : dizaines chiffrées, repère toutes les cinq positions
+    const ruler = document.createElement('div');
+    ruler.className = 'fixed-width-ruler';
+    for (let position = 1; position <= width; position++) {
+      if (position % 10 === 0) {
+        ruler.textContent += String((position / 10) % 10);
+      } else {
+        ruler.textContent += position % 5 === 0 ? '·' : ' ';
+      }
+    }
+    linesContainer.appendChild(ruler);
 
-  thead.appendChild(headerRow);
-}
+    lines.forEach((line) => {
+      const row = document.createElement('div');
+      row.className = 'fixed-width-line';
+      line.padEnd(width).split('').forEach((char, position) => {
+        const cell = document.createElement('span');
+        cell.textContent = char;
+        cell.dataset.position = position;
+        cell.classList.toggle('boundary', boundaries.includes(position));
+        row.appendChild(cell);
+      });
+      linesContainer.appendChild(row);
+    });
 
-function formatMatches(matches) {
-  if (!matches.length) return '';
-  const grouped = matches.reduce((acc, current) => {
-    if (!acc[current.keyword]) {
-      acc[current.keyword] = new Set();
-    }
-    acc[current.keyword].add(current.header);
-    return acc;
-  }, {});
+    const data = parseFixedWidth(lines.join('\n'), boundaries);
+    renderPreviewTable(document.getElementById('fixed-width-preview'), data.headers, data.rows.slice(0, 5));
+  };
 
-  return Object.entries(grouped)
-    .map(([keyword, headers]) => `${keyword} (${Array.from(headers).join(', ')})`)
-    .join('\n');
+  linesContainer.onclick = (event) => {
+    const position = Number(event.target.dataset.position);
+    if (!position) return;
+    boundaries = boundaries.includes(position)
+      ? boundaries.filter((boundary) => boundary !== position)
+      : [...boundaries, position].sort((a, b) => a - b);
+    render();
+  };
+  input.onchange = () => {
+    boundaries = parseBoundaryPositions(input.value);
+    render();
+  };
+  document.getElementById('fixed-width-reset').onclick = () => {
+    boundaries = [...guessed];
+    render();
+  };
+  render();
+
+  showStatus(`Vérifiez le découpage en colonnes de "${fileName}" puis validez l'import.`);
+
+  return waitForImportDialog(
+    picker,
+    document.getElementById('fixed-width-confirm'),
+    document.getElementById('fixed-width-cancel'),
+    () => boundaries
+  );
 }
 
 // --- Utilitaires d'interface ---
@@ -789,6 +8115,15 @@ function clearError() {
   showStatus('');
 }
 
+function showImportStatus(message, data) {
+  if (data && data.errors && data.errors.length) {
+    data.errors.forEach((error) => console.warn('[APP] Ligne mal formée', error));
+    showStatus(`${message} ${formatParseErrors(data.errors)}`, true);
+    return;
+  }
+  showStatus(message);
+}
+
 function getFirstFileFromEvent(event) {
   const files = event.target && event.target.files;
   if (!files || files.length === 0) {
@@ -798,6 +8133,12 @@ function getFirstFileFromEvent(event) {
 }
 
 async function handleAnalyseFileChange(event) {
+  const files = Array.from((event.target && event.target.files) || []);
+  if (files.length > 1) {
+    await handleAnalyseBatch(files);
+    return;
+  }
+
   const file = getFirstFileFromEvent(event);
   console.log('[APP] handleAnalyseFileChange file =', file && file.name);
   if (!file) {
@@ -807,32 +8148,110 @@ async function handleAnalyseFileChange(event) {
 
   try {
     showStatus('Import du fichier en cours...');
-    const ext = getFileExtension(file.name);
-    console.log('[APP] extension détectée (analyse) =', ext);
-
-    let data;
-    if (ext === 'xlsx' || ext === 'xls') {
-      data = await importXlsxFile(file);
-    } else if (ext === 'csv') {
-      const text = await readFileAsText(file);
-      data = parseCSV(text);
-    } else {
-      showError('Type de fichier non supporté : ' + ext);
-      return;
-    }
-
+    const data = await importDataFile(file);
+    data.fileName = file.name;
     state.analyse = data;
     state.selectedColumns = new Set(data.headers);
+    state.table = createTableLayout();
+    state.dedup = createDedupSettings();
     clearError();
     renderAnalyseTable();
+    renderProfilePanel();
+    renderComputedPanel();
+    renderDedupPanel();
+    renderImportReports();
     console.log('[APP] Données importées (analyse) =', data.headers.length, 'colonnes /', data.rows.length, 'lignes');
-    showStatus(`Fichier "${file.name}" importé avec succès.`);
+    showImportStatus(`Fichier "${file.name}" importé avec succès.`, data);
+    persistDataset('analyse', data);
   } catch (error) {
+    if (error.superseded) return;
+    if (error.cancelled) {
+      showStatus('Import annulé.');
+      return;
+    }
     console.error('[APP] Erreur import analyse', error);
     showError('Erreur lors du chargement du fichier en analyse : ' + error.message);
   }
 }
 
+/**
+ * Analyse de plusieurs fichiers : chacun est importé sans fenêtre de choix,
+ * puis tous sont réunis dans un seul tableau avec une colonne
+ * "Fichier source". Un fichier illisible est signalé sans bloquer les autres.
+ */
+async function handleAnalyseBatch(files) {
+  console.log('[APP] handleAnalyseBatch', files.length, 'fichiers');
+  const parts = [];
+  const failures = [];
+  try {
+    for (const [index, file] of files.entries()) {
+      showStatus(`Import des fichiers en cours (${index + 1}/${files.length}) : ${file.name}...`);
+      try {
+        parts.push({ source: file.name, data: await importDataFile(file, { interactive: false }) });
+      } catch (error) {
+        if (error.superseded || error.cancelled) throw error;
+        console.error('[APP] Erreur import', file.name, error);
+        failures.push(`${file.name} (${error.message})`);
+      }
+    }
+    if (parts.length === 0) {
+      throw new Error(`aucun fichier lisible. ${failures.join(', ')}`);
+    }
+
+    const data = mergeDatasets(FILE_SOURCE_COLUMN, parts);
+    data.fileName = `${parts.length} fichiers`;
+    state.analyse = data;
+    state.selectedColumns = new Set(data.headers.filter((header) => header !== data.sourceColumn));
+    state.table = createTableLayout();
+    state.dedup = createDedupSettings();
+    clearError();
+    renderAnalyseTable();
+    renderProfilePanel();
+    renderComputedPanel();
+    renderDedupPanel();
+    renderImportReports();
+    console.log('[APP] Données importées (lot) =', data.headers.length, 'colonnes /', data.rows.length, 'lignes');
+    showImportStatus(
+      `${parts.length} fichier(s) importé(s) (${data.rows.length} lignes).` +
+        (failures.length ? ` Non importé(s) : ${failures.join(', ')}.` : ''),
+      data
+    );
+    persistDataset('analyse', data);
+  } catch (error) {
+    if (error.superseded) return;
+    if (error.cancelled) {
+      showStatus('Import annulé.');
+      return;
+    }
+    console.error('[APP] Erreur import par lot', error);
+    showError('Erreur lors du chargement des fichiers en analyse : ' + error.message);
+  }
+}
+
+/**
+ * Fichiers déposés sur la zone d'import : ils sont transmis au champ
+ * fichier concerné (analyse, ou référence / à comparer selon l'endroit du
+ * dépôt), comme une sélection classique.
+ */
+function handleImportDrop(event) {
+  event.preventDefault();
+  event.currentTarget.classList.remove('drag-over');
+  const files = event.dataTransfer && event.dataTransfer.files;
+  if (!files || files.length === 0) return;
+
+  let input = document.getElementById('file-analyse');
+  if (state.mode === 'comparaison') {
+    const group = event.target.closest('.file-input-group');
+    if (!group) {
+      showError('Déposez le fichier sur « Fichier de référence » ou « Fichier à comparer ».');
+      return;
+    }
+    input = group.querySelector('input[type="file"]');
+  }
+  input.files = files;
+  input.dispatchEvent(new Event('change'));
+}
+
 async function handleRefFileChange(event) {
   const file = getFirstFileFromEvent(event);
   console.log('[APP] handleRefFileChange file =', file && file.name);
@@ -843,28 +8262,31 @@ async function handleRefFileChange(event) {
 
   try {
     showStatus('Import du fichier de référence...');
-    const ext = getFileExtension(file.name);
-    console.log('[APP] extension détectée (référence) =', ext);
-
-    let data;
-    if (ext === 'xlsx' || ext === 'xls') {
-      data = await importXlsxFile(file);
-    } else if (ext === 'csv') {
-      const text = await readFileAsText(file);
-      data = parseCSV(text);
-    } else {
-      showError('Type de fichier non supporté (référence) : ' + ext);
-      return;
-    }
-
+    const data = await importDataFile(file);
+    data.fileName = file.name;
     state.comparaison.ref = data;
-    state.comparaison.keywords = extractKeywordsFromReference(data);
+    state.comparaison.matchDecisions = {};
+    state.comparaison.columnMapping = null;
+    state.comparaison.keywordColumns = [...data.headers];
+    updateReferenceKeywords();
     updateKeywordSummary();
+    renderComparisonOptions();
+    renderImportReports();
     clearError();
     console.log('[APP] Données importées (référence) =', data.headers.length, 'colonnes /', data.rows.length, 'lignes');
-    showStatus(`Fichier de référence "${file.name}" importé (${state.comparaison.keywords.length} mots-clés).`);
+    showImportStatus(
+      `Fichier de référence "${file.name}" importé (${state.comparaison.keywords.length} mots-clés).`,
+      data
+    );
+    persistDataset('ref', data);
+    alignComparisonColumns();
     updateComparisonIfReady();
   } catch (error) {
+    if (error.superseded) return;
+    if (error.cancelled) {
+      showStatus('Import annulé.');
+      return;
+    }
     console.error('[APP] Erreur import référence', error);
     showError('Erreur lors du chargement du fichier de référence : ' + error.message);
   }
@@ -880,27 +8302,28 @@ async function handleCmpFileChange(event) {
 
   try {
     showStatus('Import du fichier à comparer...');
-    const ext = getFileExtension(file.name);
-    console.log('[APP] extension détectée (comparaison) =', ext);
-
-    let data;
-    if (ext === 'xlsx' || ext === 'xls') {
-      data = await importXlsxFile(file);
-    } else if (ext === 'csv') {
-      const text = await readFileAsText(file);
-      data = parseCSV(text);
-    } else {
-      showError('Type de fichier non supporté (comparaison) : ' + ext);
-      return;
-    }
-
+    const data = await importDataFile(file);
+    data.fileName = file.name;
     state.comparaison.cmp = data;
+    state.comparaison.matchDecisions = {};
+    state.comparaison.columnMapping = null;
     state.selectedColumns = new Set(data.headers);
+    state.table = createTableLayout();
     clearError();
+    renderProfilePanel();
+    renderComputedPanel();
+    renderImportReports();
     console.log('[APP] Données importées (comparaison) =', data.headers.length, 'colonnes /', data.rows.length, 'lignes');
-    showStatus(`Fichier à comparer "${file.name}" importé.`);
+    showImportStatus(`Fichier à comparer "${file.name}" importé.`, data);
+    persistDataset('cmp', data);
+    alignComparisonColumns();
     updateComparisonIfReady();
   } catch (error) {
+    if (error.superseded) return;
+    if (error.cancelled) {
+      showStatus('Import annulé.');
+      return;
+    }
     console.error('[APP] Erreur import comparaison', error);
     showError('Erreur lors du chargement du fichier à comparer : ' + error.message);
   }
@@ -918,6 +8341,7 @@ function updateComparisonIfReady() {
     'cmp rows =',
     state.comparaison.cmp.rows.length
   );
+  renderComparisonOptions();
   renderComparisonTable();
 }
 
@@ -927,17 +8351,117 @@ function updateComparisonIfReady() {
 // 3. Importer un fichier de référence + un fichier à comparer en mode Comparaison → vérifier le nombre de mots-clés et le filtrage.
 // 4. Cocher/décocher des colonnes → vérifier que seules les colonnes cochées sont utilisées pour la recherche.
 // 5. Décochez toutes les colonnes → vérifier la réactivation automatique et le message d'état.
+// 6. Importer un classeur à plusieurs feuilles → vérifier le sélecteur (lignes/colonnes), puis combiner deux feuilles et vérifier la colonne "Feuille".
+// 7. Importer un CSV avec cellules multi-lignes entre guillemets et une ligne incomplète → vérifier le contenu des cellules et le message "ligne(s) mal formée(s)".
+// 8. Importer un CSV Windows-1252 puis un CSV UTF-8 avec BOM → vérifier l'encodage détecté, l'aperçu (accents, premier en-tête sans BOM) et le changement manuel d'encodage.
+// 9. Comparaison → "Différences par clé" : choisir une ou deux colonnes clés, vérifier les compteurs par statut et le détail avant/après des lignes modifiées.
+// 10. Comparaison → décocher les colonnes d'identifiants/prix du fichier de référence, activer le découpage en mots → vérifier le résumé (retenus / écartés).
+// 11. Saisir (vitre OR verre) AND NOT alu, puis Désignation:serr* → vérifier le filtrage et la colonne "Mots-clés trouvés" ; saisir "(vitre" → message d'erreur avec position.
+// 12. Chercher "serrure" avec "Ignorer les accents" puis le mode Approché → "SÉRRURE"/"serure" trouvés, mode indiqué dans "Mots-clés trouvés" ; "alu" + "Mot entier" ne trouve plus "valuation".
+// 13. Importer un fichier de 80 000+ lignes → défilement fluide, en-têtes (cases à cocher) toujours visibles, frappe dans la recherche sans blocage.
+// 14. Importer un CSV de plusieurs centaines de Mo (servi en http://) → barre de progression (Mo lus, lignes lues), « Annuler » rend la main ; pendant un filtrage long, une nouvelle saisie remplace le filtrage en cours.
+// 15. Filtrer puis « Exporter » : CSV Windows-1252 séparateur ; ouvert dans Excel (accents, €, cellules multi-lignes) et XLSX avec feuille "Synthèse" → vérifier la colonne "Mots-clés trouvés" et les compteurs.
+// 16. Chercher "vitre, alu" puis activer Ignorer les accents / Approché → chaque mot-clé surligné de sa couleur dans les cellules (légende au-dessus du tableau) ; une valeur contenant <b> s'affiche telle quelle.
+// 17. Cliquer sur un en-tête (prix « 1 234,50 », dates jj/mm/aaaa) puis Maj + clic sur un second → tri croissant/décroissant à plusieurs clés ; filtre de colonne (valeurs, plage, vides) ; masquer une colonne puis la réafficher ; glisser une colonne avant une autre → l'export reprend ordre et colonnes affichées.
+// 18. Importer un CSV (prix « 1 234,50 », dates jj/mm/aaaa, Oui/Non) et un XLSX avec cellules date → types détectés sous les en-têtes, tri et filtre de plage corrects ; forcer « Texte » sur un code → tri alphabétique ; la recherche trouve toujours le texte affiché.
+// 19. Importer un fichier fournisseur puis « Profil des colonnes » → taux de remplissage, valeurs distinctes, min/max/moyenne des prix, période des dates ; cliquer une valeur fréquente → tableau filtré sur cette valeur (filtre retirable dans la barre).
+// 20. Comparaison avec mots-clés de référence → tableau de bord : lignes/occurrences/colonnes par mot-clé, tri par colonne, « Non trouvés » = articles absents du fichier fournisseur ; clic sur un mot-clé → tableau limité à ses lignes ; export CSV.
+// 21. Importer un fichier, saisir une recherche et trier une colonne, puis recharger la page → « Sessions récentes » : Restaurer rétablit fichier, recherche, options et tri ; « Enregistrer la recherche actuelle », importer un autre fichier puis Appliquer → colonnes absentes signalées ; au-delà de 5 sessions, les plus anciennes disparaissent.
+// 22. Mode Analyse : déposer plusieurs fichiers (CSV et XLSX) sur la zone d'import → un seul tableau avec la colonne « Fichier source », tableau « Lignes retenues » par fichier (0 en rouge), clic sur un fichier → filtre sur ses lignes ; un fichier non supporté est signalé sans bloquer les autres. En Comparaison, déposer sur « Fichier de référence » puis « Fichier à comparer ».
+// 23. Comparaison → « Rapprochement approché » : « Vitre feuilletée 44.2 » face à « VITRAGE FEUILLETE 44/2 » → paire proposée avec un score élevé ; le curseur de seuil fait passer des paires en « Sous le seuil » sans recalcul ; ✗ propose le candidat suivant, ✓ fige la paire (Annuler pour revenir), « Réinitialiser les décisions ».
+// 24. Comparaison → « Comparaison par clé » avec « Réf. article » / « Code article » et « Prix HT » / « Tarif » : la correspondance des colonnes propose les paires (nom proche, valeurs communes), la clé et les écarts portent sur les colonnes associées ; « — non comparée — » exclut une colonne ; enregistrer le profil « Fournisseur A », recharger un autre fichier du fournisseur et l'appliquer (associations absentes signalées dans le statut) ; en « Recherche par mots-clés », seules les colonnes associées aux colonnes d'extraction sont cochées, et en « Rapprochement » la colonne comparée proposée est celle associée à la colonne de référence.
+// 25. Importer un CSV séparé par « ; » dont les libellés contiennent des virgules, avec deux colonnes « Prix », une colonne sans nom, une ligne courte et une ligne en double → rapport d'import ouvert : séparateur et confiance, en-têtes renommés « Prix (2) » / « Colonne N », ligne mal formée, doublon ; cocher « Exclure » / « Supprimer » puis « Appliquer les corrections » → tableau et profil mis à jour, corrections listées.
+// 26. Importer un .json (tableau d'objets) renommé en .csv → lu comme JSON (rapport : « reconnu d'après le contenu »), colonnes imbriquées « stock.lyon » ; un .ndjson avec une ligne invalide → ligne signalée ; un .txt aligné en colonnes → éditeur de largeur fixe : cliquer pour ajouter/retirer une coupure, saisir « 6, 23 », « Découpage proposé » ; un .ods et un .xls → première feuille lue.
+// 27. Mode analyse, « Doublons » : cocher « Nom » et « Ville », passer en normalisé → « Éric  Dupont » et « eric dupont » dans le même groupe, cellules différentes marquées ; « Fusionner » sur un groupe → ligne « Fusion » ; Appliquer → lignes en moins, rapport d'import « doublon(s) supprimé(s) » ; exporter en CSV et en Excel.
+// 28. Rechercher « vis », « Tableau croisé » : Fournisseur en ligne, Dépôt en colonne, ajouter « Somme » de Quantité et « Valeurs distinctes » de Réf. → totaux par ligne et par colonne ; cliquer une case → le tableau n'affiche que ces lignes (filtres de colonnes), le tableau croisé reste entier ; exporter en CSV (décimales à virgule) et en Excel.
+// 29. « Colonnes calculées » : « Montant » = [Prix HT] * [Quantité] → aperçu sur 5 lignes, colonne ajoutée, cochée dans les colonnes de recherche, triable, exportée ; « Famille » = CATEGORIE([Libellé]; "vitr"; "Vitrage"; "alu"; "Menuiserie"; "Autre") ; expression invalide → message avec position ; Enregistrer, ouvrir un autre fichier → « Ajouter à ce fichier » ; Modifier / Supprimer une colonne ; recharger la page → colonnes conservées.
 
 if (typeof window !== 'undefined') {
   window.__CSVAnalyzer__ = {
     state,
     parseCSV,
     parseKeywords,
+    parseQuery,
+    formatKeywordsAsQuery,
+    createTermMatcher,
+    parseNumberText,
+    parseDateValue,
+    inferColumnType,
+    sortResults,
+    toggleSortKey,
+    applyColumnFilters,
+    columnValueSelection,
+    distinctColumnValues,
+    getDisplayedHeaders,
+    moveColumn,
+    profileColumn,
+    profileDataset,
+    createTermHighlighter,
+    computeCellHighlights,
+    createKeywordHighlighters,
+    computeVisibleRange,
+    filterRows,
     filterRowsByKeywords,
+    buildExportMatrix,
+    serializeCSV,
+    encodeText,
+    buildExportWorkbook,
+    getSheetJS,
+    countKeywordHits,
+    countQueryKeywordHits,
+    sortKeywordHits,
+    buildSavedSearch,
+    applySavedSearchToState,
+    buildSessionRecord,
+    applySessionRecord,
     detectCSVSeparator,
     splitCSVLine,
+    createCSVParser,
+    formatParseErrors,
+    detectTextEncoding,
+    decodeTextBuffer,
     extractKeywordsFromReference,
+    analyseReferenceKeywords,
+    handleWorkerMessage,
+    formatTaskProgress,
     handleKeywordInputChange,
+    convertMatrixToDataset,
+    describeWorkbookSheets,
+    combineSheetMatrices,
+    mergeDatasets,
+    countMatchesBySource,
+    parseXLSX,
+    readWorkbookSheets,
+    diffDatasets,
+    buildDiffMatrix,
+    tokenizeForMatching,
+    rowSimilarity,
+    buildMatchIndex,
+    findRowCandidates,
+    assignRowMatches,
+    headerSimilarity,
+    suggestColumnMapping,
+    mapDatasetColumns,
+    mappedCmpColumns,
+    applyMappingProfile,
+    analyseCSVSeparator,
+    buildValidationReport,
+    applyValidationFixes,
+    normalizeDedupValue,
+    findDuplicateGroups,
+    mergeDuplicateRows,
+    deduplicateDataset,
+    buildPivotTable,
+    pivotToMatrix,
+    parseExpression,
+    evaluateExpression,
+    applyComputedColumns,
+    resolveImporter,
+    sniffImportContent,
+    getImporter,
+    parseJSONRecords,
+    guessFixedWidthBoundaries,
+    parseFixedWidth,
   };
 }
 
@@ -946,10 +8470,86 @@ if (typeof module !== 'undefined' && module.exports) {
     state,
     parseCSV,
     parseKeywords,
+    parseQuery,
+    formatKeywordsAsQuery,
+    createTermMatcher,
+    parseNumberText,
+    parseDateValue,
+    inferColumnType,
+    sortResults,
+    toggleSortKey,
+    applyColumnFilters,
+    columnValueSelection,
+    distinctColumnValues,
+    getDisplayedHeaders,
+    moveColumn,
+    profileColumn,
+    profileDataset,
+    createTermHighlighter,
+    computeCellHighlights,
+    createKeywordHighlighters,
+    computeVisibleRange,
+    filterRows,
     filterRowsByKeywords,
+    buildExportMatrix,
+    serializeCSV,
+    encodeText,
+    buildExportWorkbook,
+    getSheetJS,
+    countKeywordHits,
+    countQueryKeywordHits,
+    sortKeywordHits,
+    buildSavedSearch,
+    applySavedSearchToState,
+    buildSessionRecord,
+    applySessionRecord,
     detectCSVSeparator,
     splitCSVLine,
+    createCSVParser,
+    formatParseErrors,
+    detectTextEncoding,
+    decodeTextBuffer,
     extractKeywordsFromReference,
+    analyseReferenceKeywords,
+    handleWorkerMessage,
+    formatTaskProgress,
     handleKeywordInputChange,
+    convertMatrixToDataset,
+    describeWorkbookSheets,
+    combineSheetMatrices,
+    mergeDatasets,
+    countMatchesBySource,
+    parseXLSX,
+    readWorkbookSheets,
+    diffDatasets,
+    buildDiffMatrix,
+    tokenizeForMatching,
+    rowSimilarity,
+    buildMatchIndex,
+    findRowCandidates,
+    assignRowMatches,
+    headerSimilarity,
+    suggestColumnMapping,
+    mapDatasetColumns,
+    mappedCmpColumns,
+    applyMappingProfile,
+    analyseCSVSeparator,
+    buildValidationReport,
+    applyValidationFixes,
+    normalizeDedupValue,
+    findDuplicateGroups,
+    mergeDuplicateRows,
+    deduplicateDataset,
+    buildPivotTable,
+    pivotToMatrix,
+    parseExpression,
+    evaluateExpression,
+    applyComputedColumns,
+    resolveImporter,
+    sniffImportContent,
+    getImporter,
+    parseJSONRecords,
+    guessFixedWidthBoundaries,
+    parseFixedWidth,
   };
 }
@@ -0,0 +1,363 @@
+#!/usr/bin/env node
+/**
+ * bp9 : analyse et comparaison de fichiers (CSV, XLSX, JSON…) en ligne de commande,
+ * avec le même moteur que l'application (app.js), pour les traitements
+ * planifiés.
+ *
+ *   bp9 analyse articles.csv --keywords "vitre, alu" --columns Libellé --out resultat.csv
+ *   bp9 compare reference.xlsx fournisseur.xlsx --out resultat.xlsx
+ *   bp9 compare reference.xlsx fournisseur.xlsx --key Code
+ *
+ * Le résultat est écrit dans --out (CSV ou XLSX selon l'extension) ou en CSV
+ * sur la sortie standard ; le résumé et les avertissements vont sur la
+ * sortie d'erreur. Codes de sortie : 0 succès, 1 erreur, 2 usage invalide.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+// Les journaux [APP] / [DEBUG] de app.js sont destinés à la console du
+// navigateur : en ligne de commande, ils pollueraient la sortie standard.
+if (require.main === module && !process.argv.includes('--verbose')) {
+  console.log = () => {};
+}
+
+const core = require('../app.js');
+
+const USAGE = `Usage :
+  bp9 analyse <fichier> [options]
+  bp9 compare <référence> <à comparer> [options]
+
+Recherche :
+  --keywords <requête>       mots-clés ou requête ("vitre, alu", "(vitre OU verre) ET alu")
+  --columns <A,B>            colonnes où chercher (toutes par défaut)
+  --case-sensitive           respecter la casse
+  --ignore-accents           ignorer les accents
+  --whole-word               mots entiers uniquement
+  --match <mode>             contains (défaut), regex ou fuzzy
+  --fuzzy-distance <n>       distance maximale en mode fuzzy (1 à 3)
+
+Comparaison :
+  --keyword-columns <A,B>    colonnes de la référence d'où extraire les mots-clés
+  --key <A,B>                comparer ligne à ligne par colonnes clés
+  --statuses <liste>         statuts exportés avec --key (added,removed,modified par défaut)
+
+Fichiers :
+  --sheets <F1,F2>           feuilles des classeurs (la première par défaut)
+  --encoding <encodage>      encodage des fichiers texte lus (détecté par défaut)
+  --fixed-width <11,41>      début des colonnes des fichiers à largeur fixe
+                             (1 = premier caractère ; détecté par défaut)
+  --computed <Nom=expression>
+                             colonne calculée ajoutée à chaque fichier lu,
+                             option répétable ("Montant=[Prix] * [Quantité]")
+  --out <fichier>            résultat .csv ou .xlsx (CSV sur la sortie standard sinon)
+  --separator <caractère>    séparateur du CSV produit (; par défaut)
+  --out-encoding <encodage>  utf-8, utf-8-bom ou windows-1252
+                             (utf-8-bom par défaut dans --out, utf-8 sur la sortie standard)
+  --verbose                  afficher les journaux de app.js
+`;
+
+const CLI_FLAGS = {
+  '--case-sensitive': 'caseSensitive',
+  '--ignore-accents': 'ignoreAccents',
+  '--whole-word': 'wholeWord',
+  '--verbose': 'verbose',
+  '--help': 'help',
+};
+
+const CLI_OPTIONS = {
+  '--keywords': 'keywords',
+  '--columns': 'columns',
+  '--match': 'matchMode',
+  '--fuzzy-distance': 'fuzzyDistance',
+  '--keyword-columns': 'keywordColumns',
+  '--key': 'keyColumns',
+  '--statuses': 'statuses',
+  '--sheets': 'sheets',
+  '--encoding': 'encoding',
+  '--fixed-width': 'fixedWidth',
+  '--computed': 'computed',
+  '--out': 'out',
+  '--separator': 'separator',
+  '--out-encoding': 'outEncoding',
+};
+
+const LIST_OPTIONS = ['columns', 'keywordColumns', 'keyColumns', 'statuses', 'sheets'];
+// Options qui peuvent être données plusieurs fois
+const REPEATED_OPTIONS = ['computed'];
+const MATCH_MODES = ['contains', 'regex', 'fuzzy'];
+const OUTPUT_ENCODINGS = ['utf-8', 'utf-8-bom', 'windows-1252'];
+const DEFAULT_DIFF_STATUSES = ['added', 'removed', 'modified'];
+const COMMAND_FILES = { analyse: 1, compare: 2 };
+
+function createUsageError(message) {
+  const error = new Error(message);
+  error.usage = true;
+  return error;
+}
+
+function splitList(value) {
+  return value
+    .split(',')
+    .map((item) => item.trim())
+    .filter((item) => item !== '');
+}
+
+/**
+ * Lit la ligne de commande : { command, files, options }. Les options
+ * acceptent "--nom valeur" et "--nom=valeur" ; les listes sont séparées
+ * par des virgules. Lève une erreur marquée usage si elle est invalide.
+ */
+function parseCliArgs(argv) {
+  const options = {
+    caseSensitive: false,
+    ignoreAccents: false,
+    wholeWord: false,
+    matchMode: 'contains',
+    fuzzyDistance: 1,
+    separator: ';',
+    verbose: false,
+    help: false,
+  };
+  const positional = [];
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (!arg.startsWith('--')) {
+      positional.push(arg);
+      continue;
+    }
+
+    const [name, inlineValue] = arg.includes('=') ? [arg.slice(0, arg.indexOf('=')), arg.slice(arg.indexOf('=') + 1)] : [arg];
+    if (CLI_FLAGS[name]) {
+      options[CLI_FLAGS[name]] = true;
+    } else if (CLI_OPTIONS[name]) {
+      const value = inlineValue !== undefined ? inlineValue : argv[++i];
+      if (value === undefined) {
+        throw createUsageError(`Valeur manquante pour ${name}.`);
+      }
+      const key = CLI_OPTIONS[name];
+      if (REPEATED_OPTIONS.includes(key)) {
+        options[key] = [...(options[key] || []), value];
+      } else {
+        options[key] = LIST_OPTIONS.includes(key) ? splitList(value) : value;
+      }
+    } else {
+      throw createUsageError(`Option inconnue : ${name}.`);
+    }
+  }
+
+  if (options.help) {
+    return { command: 'help', files: [], options };
+  }
+
+  const [command, ...files] = positional;
+  if (!COMMAND_FILES[command]) {
+    throw createUsageError(command ? `Commande inconnue : ${command}.` : 'Commande manquante.');
+  }
+  if (files.length !== COMMAND_FILES[command]) {
+    throw createUsageError(`bp9 ${command} attend ${COMMAND_FILES[command]} fichier(s).`);
+  }
+  if (!MATCH_MODES.includes(options.matchMode)) {
+    throw createUsageError(`Mode de correspondance inconnu : ${options.matchMode} (${MATCH_MODES.join(', ')}).`);
+  }
+  const distance = Number(options.fuzzyDistance);
+  if (!Number.isInteger(distance) || distance < 1 || distance > 3) {
+    throw createUsageError('--fuzzy-distance attend un entier entre 1 et 3.');
+  }
+  options.fuzzyDistance = distance;
+  if (options.outEncoding && !OUTPUT_ENCODINGS.includes(options.outEncoding)) {
+    throw createUsageError(`Encodage de sortie inconnu : ${options.outEncoding} (${OUTPUT_ENCODINGS.join(', ')}).`);
+  }
+  if (options.separator.length !== 1) {
+    throw createUsageError('--separator attend un seul caractère.');
+  }
+  if (options.fixedWidth !== undefined) {
+    const positions = options.fixedWidth.split(',').map((position) => Number(position.trim()));
+    if (positions.some((position) => !Number.isInteger(position) || position < 2)) {
+      throw createUsageError('--fixed-width attend des positions entières supérieures à 1, séparées par des virgules.');
+    }
+    options.fixedWidth = [...new Set(positions.map((position) => position - 1))].sort((a, b) => a - b);
+  }
+  if (options.computed !== undefined) {
+    options.computed = options.computed.map((definition) => {
+      const separator = definition.indexOf('=');
+      if (separator < 1 || !definition.slice(0, separator).trim()) {
+        throw createUsageError(`--computed attend Nom=expression : ${definition}.`);
+      }
+      return { name: definition.slice(0, separator).trim(), expression: definition.slice(separator + 1) };
+    });
+  }
+
+  return { command, files, options };
+}
+
+function checkColumns(columns, headers, fileName) {
+  const missing = columns.filter((column) => !headers.includes(column));
+  if (missing.length) {
+    throw new Error(`Colonne(s) absente(s) de "${fileName}" : ${missing.join(', ')}. Colonnes disponibles : ${headers.join(', ')}.`);
+  }
+  return columns;
+}
+
+/**
+ * Lit un fichier avec le registre des formats de l'application (CSV, TSV,
+ * JSON, largeur fixe, classeurs), reconnu par son extension ou son contenu.
+ */
+function readDataset(filePath, options) {
+  const fileName = path.basename(filePath);
+  const content = fs.readFileSync(filePath);
+  const buffer = content.buffer.slice(content.byteOffset, content.byteOffset + content.byteLength);
+
+  const { importer, sniffed } = core.resolveImporter(fileName, new Uint8Array(buffer));
+  const data = importer.parse(buffer, {
+    encoding: options.encoding,
+    sheets: options.sheets,
+    boundaries: options.fixedWidth,
+    fileName,
+  });
+  data.fileName = fileName;
+  data.validation.format = { id: importer.id, label: importer.label, sniffed };
+  return data;
+}
+
+/**
+ * Ajoute les colonnes de --computed ; les lignes où le calcul échoue sont
+ * signalées sur la sortie d'erreur (cellule laissée vide).
+ */
+function addComputedColumns(data, options, io) {
+  if (!options.computed) return data;
+  let result;
+  try {
+    result = core.applyComputedColumns(data, options.computed);
+  } catch (error) {
+    throw new Error(`"${data.fileName}" : ${error.message}`);
+  }
+  result.errors.forEach(({ name, count, rowIndex, message }) => {
+    io.stderr.write(`Attention, "${data.fileName}" : colonne « ${name} » vide sur ${count} ligne(s), dont la ligne ${rowIndex + 1} (${message}).\n`);
+  });
+  return result.data;
+}
+
+function buildFilterOptions(options, data, mode, keywords = []) {
+  return {
+    query: options.keywords ? core.parseQuery(options.keywords, { headers: data.headers }) : null,
+    keywords,
+    mode,
+    selectedColumns: options.columns ? checkColumns(options.columns, data.headers, data.fileName) : data.headers,
+    match: {
+      caseSensitive: options.caseSensitive,
+      ignoreAccents: options.ignoreAccents,
+      wholeWord: options.wholeWord,
+      matchMode: options.matchMode,
+      fuzzyDistance: options.fuzzyDistance,
+    },
+  };
+}
+
+function warnImportIssues(data, io) {
+  if (data.validation.format.sniffed) {
+    io.stderr.write(`"${data.fileName}" lu comme ${data.validation.format.label}, d'après son contenu.\n`);
+  }
+  if (data.errors && data.errors.length) {
+    io.stderr.write(`Attention, "${data.fileName}" : ${core.formatParseErrors(data.errors)}\n`);
+  }
+}
+
+function runAnalyse([filePath], options, io) {
+  const data = addComputedColumns(readDataset(filePath, options), options, io);
+  warnImportIssues(data, io);
+  const filterOptions = buildFilterOptions(options, data, 'analyse');
+  const results = core.filterRows(data.rows, data.headers, filterOptions);
+
+  writeResult(core.buildExportMatrix(data.headers, results), null, options, io);
+  io.stderr.write(`${data.fileName} : ${results.length} ligne(s) retenue(s) sur ${data.rows.length}.\n`);
+}
+
+function runCompare([refPath, cmpPath], options, io) {
+  const ref = addComputedColumns(readDataset(refPath, options), options, io);
+  const cmp = addComputedColumns(readDataset(cmpPath, options), options, io);
+  warnImportIssues(ref, io);
+  warnImportIssues(cmp, io);
+
+  if (options.keyColumns) {
+    checkColumns(options.keyColumns, ref.headers, ref.fileName);
+    checkColumns(options.keyColumns, cmp.headers, cmp.fileName);
+    const diff = core.diffDatasets(ref, cmp, options.keyColumns);
+    writeResult(core.buildDiffMatrix(diff, options.statuses || DEFAULT_DIFF_STATUSES), null, options, io);
+    const { added, removed, modified, unchanged } = diff.counts;
+    io.stderr.write(
+      `Ajoutées : ${added}, supprimées : ${removed}, modifiées : ${modified}, identiques : ${unchanged}.\n`
+    );
+    if (diff.duplicateKeys) {
+      io.stderr.write(`Attention : ${diff.duplicateKeys} clé(s) en double.\n`);
+    }
+    return;
+  }
+
+  const keywordColumns = options.keywordColumns
+    ? checkColumns(options.keywordColumns, ref.headers, ref.fileName)
+    : ref.headers;
+  const keywords = core.extractKeywordsFromReference(ref, { columns: keywordColumns });
+  const filterOptions = buildFilterOptions(options, cmp, 'comparaison', keywords);
+  const results = core.filterRows(cmp.rows, cmp.headers, filterOptions);
+  const hits = core.countQueryKeywordHits(results, filterOptions);
+  const missing = hits.filter((hit) => hit.rows === 0).map((hit) => hit.keyword);
+
+  writeResult(core.buildExportMatrix(cmp.headers, results), hits, options, io);
+  io.stderr.write(
+    `${cmp.fileName} : ${results.length} ligne(s) retenue(s) sur ${cmp.rows.length} ; ` +
+      `${hits.length} mot(s)-clé(s), ${missing.length} non trouvé(s)` +
+      (missing.length ? ` : ${missing.join(', ')}.\n` : '.\n')
+  );
+}
+
+/**
+ * Écrit la matrice dans --out (XLSX avec feuille de synthèse des mots-clés
+ * si hits est fourni, ou CSV), sinon en CSV sur la sortie standard.
+ */
+function writeResult(matrix, hits, options, io) {
+  if (options.out && path.extname(options.out).toLowerCase() === '.xlsx') {
+    const workbook = core.buildExportWorkbook(matrix, hits);
+    fs.writeFileSync(options.out, core.getSheetJS().write(workbook, { bookType: 'xlsx', type: 'buffer' }));
+    return;
+  }
+
+  const encoding = options.outEncoding || (options.out ? 'utf-8-bom' : 'utf-8');
+  const content = core.encodeText(core.serializeCSV(matrix, options.separator), encoding);
+  if (options.out) {
+    fs.writeFileSync(options.out, content);
+  } else {
+    io.stdout.write(content);
+  }
+}
+
+/**
+ * Exécute une ligne de commande et retourne le code de sortie.
+ */
+function runCli(argv, io = { stdout: process.stdout, stderr: process.stderr }) {
+  try {
+    const { command, files, options } = parseCliArgs(argv);
+    if (command === 'help') {
+      io.stdout.write(USAGE);
+    } else if (command === 'analyse') {
+      runAnalyse(files, options, io);
+    } else {
+      runCompare(files, options, io);
+    }
+    return 0;
+  } catch (error) {
+    io.stderr.write(`bp9 : ${error.message}\n`);
+    if (error.usage) {
+      io.stderr.write(`\n${USAGE}`);
+      return 2;
+    }
+    return 1;
+  }
+}
+
+if (require.main === module) {
+  process.exitCode = runCli(process.argv.slice(2));
+}
+
+module.exports = { parseCliArgs, runCli };
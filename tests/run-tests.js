@@ -1,5 +1,78 @@
 const assert = require('assert');
-const { state, parseCSV, filterRowsByKeywords, handleKeywordInputChange } = require('../app.js');
+const {
+  state,
+  parseCSV,
+  createCSVParser,
+  detectTextEncoding,
+  decodeTextBuffer,
+  filterRows,
+  filterRowsByKeywords,
+  handleKeywordInputChange,
+  describeWorkbookSheets,
+  combineSheetMatrices,
+  mergeDatasets,
+  countMatchesBySource,
+  diffDatasets,
+  tokenizeForMatching,
+  rowSimilarity,
+  buildMatchIndex,
+  findRowCandidates,
+  assignRowMatches,
+  headerSimilarity,
+  suggestColumnMapping,
+  mapDatasetColumns,
+  mappedCmpColumns,
+  applyMappingProfile,
+  analyseCSVSeparator,
+  buildValidationReport,
+  applyValidationFixes,
+  normalizeDedupValue,
+  findDuplicateGroups,
+  mergeDuplicateRows,
+  deduplicateDataset,
+  buildPivotTable,
+  pivotToMatrix,
+  parseExpression,
+  evaluateExpression,
+  applyComputedColumns,
+  resolveImporter,
+  sniffImportContent,
+  getImporter,
+  parseJSONRecords,
+  guessFixedWidthBoundaries,
+  parseFixedWidth,
+  getSheetJS,
+  analyseReferenceKeywords,
+  parseQuery,
+  createTermMatcher,
+  computeVisibleRange,
+  parseNumberText,
+  parseDateValue,
+  inferColumnType,
+  sortResults,
+  toggleSortKey,
+  applyColumnFilters,
+  columnValueSelection,
+  distinctColumnValues,
+  getDisplayedHeaders,
+  moveColumn,
+  profileColumn,
+  profileDataset,
+  createTermHighlighter,
+  computeCellHighlights,
+  createKeywordHighlighters,
+  handleWorkerMessage,
+  formatTaskProgress,
+  buildExportMatrix,
+  serializeCSV,
+  encodeText,
+  countKeywordHits,
+  sortKeywordHits,
+  buildSavedSearch,
+  applySavedSearchToState,
+  buildSessionRecord,
+  applySessionRecord,
+} = require('../app.js');
 
 function resetState() {
   state.mode = 'analyse';
@@ -7,7 +80,11 @@ function resetState() {
   state.comparaison = { ref: null, cmp: null, keywords: [] };
   state.selectedColumns = new Set();
   state.caseSensitive = false;
-  state.filters = { keywords: [] };
+  state.ignoreAccents = false;
+  state.wholeWord = false;
+  state.matchMode = 'contains';
+  state.fuzzyDistance = 1;
+  state.filters = { keywords: [], query: null, queryError: null };
 }
 
 function testParseCSV() {
@@ -19,6 +96,55 @@ function testParseCSV() {
   assert.strictEqual(result.rows[1]['Valeur'], 'Texte, avec, virgules');
 }
 
+function testParseCSVMultilineFields() {
+  const csv = 'Réf;Libellé;Note\r\nA1;"Vitre\r\nfeuilletée";"  espaces  "\r\nA2;"Dit ""alu""";\r\n\r\nA3;x';
+  const result = parseCSV(csv);
+  assert.strictEqual(result.rows.length, 3);
+  assert.strictEqual(result.rows[0]['Libellé'], 'Vitre\r\nfeuilletée');
+  assert.strictEqual(result.rows[0].Note, '  espaces  ');
+  assert.strictEqual(result.rows[1]['Libellé'], 'Dit "alu"');
+  assert.strictEqual(result.rows[1].Note, '');
+  assert.deepStrictEqual(result.errors, [{ line: 6, type: 'columns', message: '2 colonne(s) au lieu de 3' }]);
+}
+
+function testParseCSVUnterminatedQuote() {
+  const result = parseCSV('a,b\n1,2\n3,"non fermé\n4,5', { separator: ',' });
+  assert.strictEqual(result.rows.length, 2);
+  assert.strictEqual(result.rows[1].b, 'non fermé\n4,5');
+  assert.strictEqual(result.errors[0].line, 3);
+  assert.strictEqual(result.errors[0].type, 'quote');
+}
+
+function testCSVParserChunks() {
+  const records = [];
+  const parser = createCSVParser({ separator: ',', onRecord: (fields, line) => records.push([fields, line]) });
+  ['a,"b', '\r', '\nc",d\r', '\ne,f'].forEach((chunk) => parser.push(chunk));
+  parser.end();
+  assert.deepStrictEqual(records, [
+    [['a', 'b\r\nc', 'd'], 1],
+    [['e', 'f'], 3],
+  ]);
+}
+
+function testDetectTextEncoding() {
+  const utf8Bom = Uint8Array.from([0xef, 0xbb, 0xbf, ...Buffer.from('Réf;Prix\n', 'utf8')]);
+  assert.strictEqual(detectTextEncoding(utf8Bom).encoding, 'utf-8');
+  assert.strictEqual(detectTextEncoding(utf8Bom).bom, true);
+  assert.strictEqual(decodeTextBuffer(utf8Bom, 'utf-8'), 'Réf;Prix\n');
+
+  const utf8 = Uint8Array.from(Buffer.from('Désignation;Qté\nSerrure;2', 'utf8'));
+  assert.strictEqual(detectTextEncoding(utf8).encoding, 'utf-8');
+
+  // "Fenêtre 50€" en Windows-1252 : ê = 0xEA, € = 0x80
+  const ansi = Uint8Array.from([0x46, 0x65, 0x6e, 0xea, 0x74, 0x72, 0x65, 0x20, 0x35, 0x30, 0x80]);
+  assert.strictEqual(detectTextEncoding(ansi).encoding, 'windows-1252');
+  assert.strictEqual(decodeTextBuffer(ansi, 'windows-1252'), 'Fenêtre 50€');
+
+  const latin1 = Uint8Array.from([0x63, 0x6c, 0xe9]);
+  assert.strictEqual(detectTextEncoding(latin1).encoding, 'iso-8859-1');
+  assert.strictEqual(decodeTextBuffer(latin1, 'iso-8859-1'), 'clé');
+}
+
 function testKeywordFallback() {
   resetState();
   state.mode = 'comparaison';
@@ -48,10 +174,1160 @@ function testFilterRows() {
   assert.strictEqual(filtered[0].matches[0].keyword, 'test');
 }
 
-function run() {
+function testDescribeWorkbookSheets() {
+  const sheets = describeWorkbookSheets([
+    { name: 'Vitrages', matrix: [['Réf', 'Libellé', 'Prix'], ['V1', 'Vitre'], [], ['V2', 'Verre', 12]] },
+    { name: 'Vide', matrix: [] },
+  ]);
+  assert.strictEqual(sheets[0].rowCount, 2);
+  assert.strictEqual(sheets[0].columnCount, 3);
+  assert.strictEqual(sheets[1].rowCount, 0);
+  assert.strictEqual(sheets[1].columnCount, 0);
+}
+
+function testCombineSheetMatrices() {
+  const single = combineSheetMatrices([{ name: 'A', matrix: [['Réf'], ['V1']] }]);
+  assert.deepStrictEqual(single.headers, ['Réf']);
+
+  const combined = combineSheetMatrices([
+    { name: 'Vitrages', matrix: [['Réf', 'Libellé'], ['V1', 'Vitre']] },
+    { name: 'Serrures', matrix: [['Réf', 'Marque'], ['S1', 'Vachette']] },
+  ]);
+  assert.deepStrictEqual(combined.headers, ['Feuille', 'Réf', 'Libellé', 'Marque']);
+  assert.strictEqual(combined.rows.length, 2);
+  assert.deepStrictEqual(combined.rows[1], { Feuille: 'Serrures', Réf: 'S1', Libellé: '', Marque: 'Vachette' });
+
+  // Une feuille a déjà une colonne "Feuille" : la colonne d'origine est suffixée
+  const clash = combineSheetMatrices([
+    { name: 'Verre', matrix: [['Réf', 'Feuille'], ['V1', '44.2']] },
+    { name: 'Alu', matrix: [['Réf'], ['A1']] },
+  ]);
+  assert.deepStrictEqual(clash.headers, ['Feuille (2)', 'Réf', 'Feuille']);
+  assert.strictEqual(clash.sourceColumn, 'Feuille (2)');
+  assert.deepStrictEqual(clash.rows[0], { 'Feuille (2)': 'Verre', Réf: 'V1', Feuille: '44.2' });
+  assert.deepStrictEqual(clash.sources, [
+    { name: 'Verre', rows: 1 },
+    { name: 'Alu', rows: 1 },
+  ]);
+}
+
+function testDiffDatasets() {
+  const ref = {
+    headers: ['Réf', 'Lot', 'Prix'],
+    rows: [
+      { Réf: 'A1', Lot: '1', Prix: '10' },
+      { Réf: 'A2', Lot: '1', Prix: '20' },
+      { Réf: 'A2', Lot: '2', Prix: '25' },
+    ],
+  };
+  const cmp = {
+    headers: ['Réf', 'Lot', 'Prix', 'Stock'],
+    rows: [
+      { Réf: 'A2', Lot: '2', Prix: '27', Stock: '4' },
+      { Réf: 'A2', Lot: '1', Prix: ' 20 ', Stock: '1' },
+      { Réf: 'A3', Lot: '1', Prix: '30', Stock: '0' },
+    ],
+  };
+
+  const diff = diffDatasets(ref, cmp, ['Réf', 'Lot']);
+  assert.deepStrictEqual(diff.headers, ['Réf', 'Lot', 'Prix']);
+  assert.deepStrictEqual(diff.counts, { added: 1, removed: 1, modified: 1, unchanged: 1 });
+  assert.deepStrictEqual(
+    diff.entries.map((entry) => entry.status),
+    ['removed', 'unchanged', 'modified', 'added']
+  );
+  assert.deepStrictEqual(diff.entries[2].changes, { Prix: { before: '25', after: '27' } });
+
+  const byRef = diffDatasets(ref, cmp, ['Réf']);
+  assert.strictEqual(byRef.duplicateKeys, 2);
+}
+
+function testAnalyseReferenceKeywords() {
+  const ref = {
+    headers: ['ID', 'Désignation', 'Prix'],
+    rows: [
+      { ID: '1', Désignation: 'Vitre feuilletée', Prix: '12,50' },
+      { ID: '2', Désignation: 'Serrure de porte', Prix: '8' },
+      { ID: '3', Désignation: 'A', Prix: '' },
+    ],
+  };
+
+  const all = analyseReferenceKeywords(ref, { rules: { ignoreNumeric: false, minLength: 1 } });
+  assert.deepStrictEqual(all.kept, ['1', 'Vitre feuilletée', '12,50', '2', 'Serrure de porte', '8', '3', 'A']);
+
+  const result = analyseReferenceKeywords(ref, { columns: ['Désignation'], rules: { splitTokens: true } });
+  assert.deepStrictEqual(result.kept, ['Vitre', 'feuilletée', 'Serrure', 'porte']);
+  assert.deepStrictEqual(result.dropped, [
+    { value: 'de', reason: 'stopWord' },
+    { value: 'A', reason: 'short' },
+  ]);
+
+  const numeric = analyseReferenceKeywords(ref, { columns: ['Prix'] });
+  assert.deepStrictEqual(numeric.kept, []);
+  assert.strictEqual(numeric.dropped[0].reason, 'numeric');
+}
+
+function testParseQuery() {
+  assert.strictEqual(parseQuery('   '), null);
+  assert.deepStrictEqual(parseQuery('vitre feuilletée, alu'), {
+    type: 'or',
+    children: [
+      { type: 'term', text: 'vitre feuilletée', column: null, exact: false },
+      { type: 'term', text: 'alu', column: null, exact: false },
+    ],
+  });
+
+  const tree = parseQuery('(vitre OU verre) ET SAUF Désignation:alu "double vitrage"', {
+    headers: ['Désignation', 'Réf'],
+  });
+  assert.strictEqual(tree.type, 'and');
+  assert.strictEqual(tree.children[0].type, 'or');
+  assert.deepStrictEqual(tree.children[1], {
+    type: 'not',
+    child: { type: 'term', text: 'alu', column: 'Désignation', exact: false },
+  });
+  assert.deepStrictEqual(tree.children[2], { type: 'term', text: 'double vitrage', column: null, exact: true });
+
+  assert.throws(() => parseQuery('(vitre OR alu'), /parenthèse fermante manquante \(position 1\)/);
+  assert.throws(() => parseQuery('vitre AND'), /terme attendu après ET/);
+  assert.throws(() => parseQuery('Designation:vitre', { headers: ['Désignation'] }), /colonne inconnue « Designation »/);
+  assert.throws(() => parseQuery('"vitre'), /guillemet non fermé/);
+}
+
+function testFilterRowsWithQuery() {
+  resetState();
+  state.selectedColumns = new Set(['Réf', 'Désignation']);
+  const rows = [
+    { Réf: 'V1', Désignation: 'Vitre feuilletée alu' },
+    { Réf: 'V2', Désignation: 'Verre trempé' },
+    { Réf: 'S1', Désignation: 'Serrure 3 points' },
+  ];
+
+  handleKeywordInputChange('(vitre OR verre) AND NOT alu');
+  let filtered = filterRowsByKeywords(rows, ['Réf', 'Désignation']);
+  assert.deepStrictEqual(filtered.map((item) => item.row.Réf), ['V2']);
+  assert.deepStrictEqual(filtered[0].matches, [{ keyword: 'verre', header: 'Désignation', mode: 'exact' }]);
+
+  handleKeywordInputChange('Réf:s* | "feuilletée alu"');
+  filtered = filterRowsByKeywords(rows, ['Réf', 'Désignation']);
+  assert.deepStrictEqual(filtered.map((item) => item.row.Réf), ['V1', 'S1']);
+
+  const previousQuery = state.filters.query;
+  handleKeywordInputChange('(serrure');
+  assert.match(state.filters.queryError, /parenthèse fermante manquante/);
+  assert.strictEqual(state.filters.query, previousQuery);
+}
+
+function testTermMatcherModes() {
+  const term = (text, exact = false) => ({ type: 'term', text, column: null, exact });
+
+  const accents = createTermMatcher(term('serrure'), { ignoreAccents: true });
+  assert.strictEqual(accents('SERRURE 3 points'), 'exact');
+  assert.strictEqual(accents('Sérrure'), 'accents');
+
+  const wholeWord = createTermMatcher(term('alu'), { wholeWord: true });
+  assert.strictEqual(wholeWord('valuation'), null);
+  assert.strictEqual(wholeWord('Profilé alu anodisé'), 'exact');
+
+  const regex = createTermMatcher(term('^V\\d{2}'), { matchMode: 'regex' });
+  assert.strictEqual(regex('V12-B'), 'regex');
+  assert.strictEqual(regex('AV12'), null);
+  assert.throws(() => createTermMatcher(term('(v'), { matchMode: 'regex' }), /expression régulière invalide/);
+
+  const fuzzy = createTermMatcher(term('serrure'), { matchMode: 'fuzzy', fuzzyDistance: 1, ignoreAccents: true });
+  assert.strictEqual(fuzzy('Serure encastrée'), 'fuzzy');
+  assert.strictEqual(fuzzy('Sérrure'), 'accents');
+  assert.strictEqual(fuzzy('Seure'), null);
+  assert.strictEqual(createTermMatcher(term('alu'), { matchMode: 'fuzzy', fuzzyDistance: 2 })('ali'), null);
+}
+
+function testComputeVisibleRange() {
+  assert.deepStrictEqual(computeVisibleRange(0, 600, 40, 100000, 10), { start: 0, end: 25 });
+  assert.deepStrictEqual(computeVisibleRange(40000, 600, 40, 100000, 10), { start: 990, end: 1025 });
+  assert.deepStrictEqual(computeVisibleRange(40000, 600, 40, 12, 10), { start: 2, end: 12 });
+  assert.deepStrictEqual(computeVisibleRange(0, 600, 40, 0, 10), { start: 0, end: 0 });
+}
+
+function testFilterRowsWithOptions() {
+  const headers = ['Code', 'Libellé'];
+  const rows = [
+    { Code: 'A1', Libellé: 'Vitre feuilletée' },
+    { Code: 'A2', Libellé: 'Serrure' },
+  ];
+  const options = {
+    query: parseQuery('vitre'),
+    mode: 'comparaison',
+    selectedColumns: ['Libellé'],
+    match: {},
+  };
+
+  const filtered = filterRows(rows, headers, options);
+  assert.strictEqual(filtered.length, 1);
+  assert.strictEqual(filtered[0].row.Code, 'A1');
+
+  assert.strictEqual(filterRows(rows, headers, { ...options, selectedColumns: ['Code'] }).length, 0);
+  assert.strictEqual(filterRows(rows, headers, { ...options, query: null, mode: 'analyse' }).length, 2);
+  assert.strictEqual(filterRows(rows, headers, { ...options, query: null }).length, 0);
+}
+
+async function testWorkerMessages() {
+  const messages = [];
+  const post = (message) => messages.push(message);
+  const csv = 'Code;Libellé\nA1;Vitre\nA2;Serrure\nA3;vitre alu\n';
+  const buffer = new TextEncoder().encode(csv).buffer;
+
+  await handleWorkerMessage({ type: 'run', jobId: 1, task: 'parseCSV', payload: { buffer, encoding: 'utf-8' } }, post);
+  const parsed = messages.find((message) => message.type === 'done' && message.jobId === 1).result;
+  assert.deepStrictEqual(parsed.headers, ['Code', 'Libellé']);
+  assert.strictEqual(parsed.rows.length, 3);
+  assert.strictEqual(parsed.encoding, 'utf-8');
+  const progress = messages.find((message) => message.type === 'progress' && message.jobId === 1).progress;
+  assert.strictEqual(progress.totalBytes, buffer.byteLength);
+
+  await handleWorkerMessage({ type: 'setDataset', slot: 'cmp', datasetId: 7, rows: parsed.rows }, post);
+  await handleWorkerMessage(
+    {
+      type: 'run',
+      jobId: 2,
+      task: 'filter',
+      payload: {
+        datasetId: 7,
+        headers: parsed.headers,
+        options: { keywords: ['vitre'], mode: 'comparaison', selectedColumns: parsed.headers, match: {} },
+      },
+    },
+    post
+  );
+  const filtered = messages.find((message) => message.type === 'done' && message.jobId === 2).result;
+  assert.deepStrictEqual(filtered.map((result) => result.index), [0, 2]);
+  assert.strictEqual(filtered[0].matches[0].keyword, 'vitre');
+
+  await handleWorkerMessage({ type: 'run', jobId: 3, task: 'filter', payload: { datasetId: 99, headers: [], options: {} } }, post);
+  assert.strictEqual(messages.find((message) => message.jobId === 3).type, 'error');
+
+  const progressText = formatTaskProgress({ rowsScanned: 500, totalRows: 1000, rowsMatched: 12 });
+  assert.strictEqual(progressText.percent, 50);
+  assert.ok(progressText.text.includes('12 correspondance(s)'));
+}
+
+function testExportResults() {
+  const results = [
+    { row: { Code: 'A1', Libellé: 'Vitre; "feuilletée"\n4 mm' }, matches: [{ keyword: 'vitre', header: 'Libellé', mode: 'exact' }] },
+    {
+      row: { Code: 'A2', Libellé: 'Vitre alu' },
+      matches: [
+        { keyword: 'vitre', header: 'Libellé', mode: 'exact' },
+        { keyword: 'alu', header: 'Libellé', mode: 'exact' },
+        { keyword: 'alu', header: 'Code', mode: 'exact' },
+      ],
+    },
+  ];
+
+  const matrix = buildExportMatrix(['Code', 'Libellé'], results);
+  assert.deepStrictEqual(matrix[0], ['Code', 'Libellé', 'Mots-clés trouvés']);
+  assert.strictEqual(matrix[1][2], 'vitre (Libellé)');
+
+  const csv = serializeCSV(matrix, ';');
+  assert.ok(csv.startsWith('Code;Libellé;Mots-clés trouvés\r\n'));
+  assert.ok(csv.includes('A1;"Vitre; ""feuilletée""\n4 mm";vitre (Libellé)\r\n'));
+  assert.deepStrictEqual(parseCSV(csv).rows[0].Libellé, 'Vitre; "feuilletée"\n4 mm');
+
+  assert.deepStrictEqual(Array.from(encodeText('é€œ✓', 'windows-1252')), [0xe9, 0x80, 0x9c, 0x3f]);
+  assert.deepStrictEqual(Array.from(encodeText('é', 'utf-8-bom')), [0xef, 0xbb, 0xbf, 0xc3, 0xa9]);
+  assert.strictEqual(decodeTextBuffer(encodeText('Prix 5 € – œuf', 'windows-1252').buffer, 'windows-1252'), 'Prix 5 € – œuf');
+
+  assert.deepStrictEqual(countKeywordHits(results), [
+    { keyword: 'vitre', rows: 2, cells: 2, columns: ['Libellé'] },
+    { keyword: 'alu', rows: 1, cells: 2, columns: ['Libellé', 'Code'] },
+  ]);
+}
+
+function testTermHighlighter() {
+  const term = { type: 'term', text: 'serrure', column: null, exact: false };
+  const value = 'Une SÉRRURE et une serure';
+  assert.deepStrictEqual(createTermHighlighter(term, {})('la serrure, Serrure', 'exact'), [
+    { start: 3, end: 10 },
+    { start: 12, end: 19 },
+  ]);
+  // Positions ramenées au texte d'origine malgré la suppression des accents
+  assert.deepStrictEqual(createTermHighlighter(term, { ignoreAccents: true })(value, 'accents'), [{ start: 4, end: 11 }]);
+  assert.deepStrictEqual(createTermHighlighter(term, { matchMode: 'fuzzy', ignoreAccents: true })(value, 'fuzzy'), [
+    { start: 4, end: 11 },
+    { start: 19, end: 25 },
+  ]);
+  assert.deepStrictEqual(
+    createTermHighlighter({ type: 'term', text: 'v.tres?', exact: true }, { matchMode: 'regex' })('Vitre, vitres', 'regex'),
+    [{ start: 0, end: 5 }, { start: 7, end: 13 }]
+  );
+
+  const options = { query: parseQuery('vitre OR "vitre feuil" AND NOT alu'), match: {} };
+  const highlighters = createKeywordHighlighters(options);
+  assert.deepStrictEqual(Array.from(highlighters.keys()), ['vitre', 'vitre feuil']);
+  const matches = [
+    { keyword: 'vitre', header: 'Libellé', mode: 'exact' },
+    { keyword: 'vitre feuil', header: 'Libellé', mode: 'exact' },
+  ];
+  // À début égal, la plage la plus longue l'emporte
+  assert.deepStrictEqual(computeCellHighlights('<b>Vitre feuilletée</b>', 'Libellé', matches, highlighters), [
+    { start: 3, end: 14, color: 1 },
+  ]);
+  assert.deepStrictEqual(computeCellHighlights('vitre, vitre feuil', 'Libellé', matches, highlighters), [
+    { start: 0, end: 5, color: 0 },
+    { start: 7, end: 18, color: 1 },
+  ]);
+  assert.deepStrictEqual(computeCellHighlights('vitre', 'Code', matches, highlighters), []);
+}
+
+function testTableLayout() {
+  assert.strictEqual(parseNumberText('1 234,50', 'decimalFr'), 1234.5);
+  assert.strictEqual(parseNumberText('-12.75'), -12.75);
+  assert.strictEqual(parseNumberText('15 %', 'decimalFr'), 15);
+  assert.strictEqual(parseNumberText('12a'), null);
+  assert.strictEqual(parseDateValue('03/02/2024'), Date.UTC(2024, 1, 3));
+  assert.strictEqual(parseDateValue('2024-02-03 10:30'), Date.UTC(2024, 1, 3, 10, 30));
+  assert.strictEqual(parseDateValue('32/01/2024'), null);
+
+  const results = [
+    { row: { Code: 'B', Prix: '1 200,00', Date: '03/02/2024' }, matches: [] },
+    { row: { Code: 'a', Prix: '99,5', Date: '' }, matches: [] },
+    { row: { Code: 'C', Prix: '', Date: '15/01/2024' }, matches: [] },
+    { row: { Code: 'a', Prix: '5', Date: '01/03/2023' }, matches: [] },
+  ];
+  const codes = (rows) => rows.map(({ row }) => `${row.Code}${row.Prix}`);
+
+  // Numérique (pas lexicographique), vides en fin de liste dans les deux sens
+  assert.deepStrictEqual(codes(sortResults(results, [{ header: 'Prix', direction: 'asc' }])), ['a5', 'a99,5', 'B1 200,00', 'C']);
+  assert.deepStrictEqual(codes(sortResults(results, [{ header: 'Prix', direction: 'desc' }])), ['B1 200,00', 'a99,5', 'a5', 'C']);
+  assert.deepStrictEqual(
+    sortResults(results, [{ header: 'Date', direction: 'asc' }]).map(({ row }) => row.Code),
+    ['a', 'C', 'B', 'a']
+  );
+  assert.deepStrictEqual(
+    codes(sortResults(results, [{ header: 'Code', direction: 'asc' }, { header: 'Prix', direction: 'desc' }])),
+    ['a99,5', 'a5', 'B1 200,00', 'C']
+  );
+
+  let sort = toggleSortKey([], 'Code');
+  assert.deepStrictEqual(sort, [{ header: 'Code', direction: 'asc' }]);
+  sort = toggleSortKey(sort, 'Prix', true);
+  assert.deepStrictEqual(sort.map((key) => key.header), ['Code', 'Prix']);
+  sort = toggleSortKey(sort, 'Code', true);
+  assert.deepStrictEqual(sort, [{ header: 'Code', direction: 'desc' }, { header: 'Prix', direction: 'asc' }]);
+  assert.deepStrictEqual(toggleSortKey(sort, 'Code'), []);
+  assert.deepStrictEqual(toggleSortKey(sort, 'Date'), [{ header: 'Date', direction: 'asc' }]);
+
+  const filtered = applyColumnFilters(results, {
+    Prix: { presence: 'filled', values: null, min: 10, max: null },
+    Code: { presence: 'any', values: ['a', 'B'], min: null, max: null },
+  });
+  assert.deepStrictEqual(codes(filtered), ['B1 200,00', 'a99,5']);
+  assert.deepStrictEqual(codes(applyColumnFilters(results, { Date: { presence: 'empty', values: null, min: null, max: null } })), ['a99,5']);
+
+  assert.deepStrictEqual(distinctColumnValues(results, 'Code', 1), { values: [{ value: 'a', count: 2 }], total: 3 });
+
+  // Plus de 200 valeurs distinctes : décocher une valeur listée n'écarte
+  // pas les valeurs absentes de la liste
+  const many = Array.from({ length: 250 }, (_, i) => ({ row: { Ref: `R${i}` }, matches: [] }));
+  const distinct = distinctColumnValues(many, 'Ref');
+  assert.strictEqual(distinct.values.length, 200);
+  assert.strictEqual(distinct.total, 250);
+  const listed = distinct.values.map(({ value }) => value);
+  const selection = columnValueSelection(listed, listed.filter((value) => value !== 'R0'), true);
+  assert.deepStrictEqual(selection, { values: null, excluded: ['R0'] });
+  const kept = applyColumnFilters(many, { Ref: { presence: 'any', ...selection, min: null, max: null } });
+  assert.strictEqual(kept.length, 249);
+  assert.ok(!kept.some(({ row }) => row.Ref === 'R0'));
+  assert.deepStrictEqual(columnValueSelection(['a', 'b'], ['a'], false), { values: ['a'], excluded: null });
+  assert.deepStrictEqual(columnValueSelection(['a', 'b'], ['a', 'b'], true), { values: null, excluded: null });
+
+  const layout = { sort: [], columnFilters: {}, hiddenColumns: new Set(['Prix']), columnOrder: ['Date', 'Code'] };
+  assert.deepStrictEqual(getDisplayedHeaders(['Code', 'Prix', 'Date', 'Stock'], layout), ['Date', 'Code', 'Stock']);
+  assert.deepStrictEqual(moveColumn(['Code', 'Prix', 'Date'], layout, 'Prix', 'Date'), ['Prix', 'Date', 'Code']);
+}
+
+function testColumnTypes() {
+  assert.strictEqual(inferColumnType(['12', '7.5', '', '1e3']), 'number');
+  assert.strictEqual(inferColumnType(['1 234,50', '12', '0,5']), 'decimalFr');
+  assert.strictEqual(inferColumnType(['12/03/2024', '2024-03-13', '']), 'date');
+  assert.strictEqual(inferColumnType(['Oui', 'non', 'VRAI']), 'boolean');
+  assert.strictEqual(inferColumnType(['01000', '75001']), 'text');
+  assert.strictEqual(inferColumnType([]), 'text');
+  assert.strictEqual(inferColumnType([42, 3.5]), 'number');
+  // Date impossible : pas reportée sur le mois suivant
+  assert.strictEqual(parseDateValue('31/02/2024'), null);
+  assert.strictEqual(parseDateValue('2023-02-29'), null);
+  assert.strictEqual(parseDateValue('29/02/2024'), Date.UTC(2024, 1, 29));
+  assert.strictEqual(parseDateValue('03/02/2024 24:00'), null);
+
+  // Une valeur parasite sur plus de vingt ne change pas le type
+  const prices = Array.from({ length: 30 }, (_, index) => `${index},50`);
+  prices.push('n/c');
+  assert.strictEqual(inferColumnType(prices), 'decimalFr');
+
+  const data = parseCSV('Réf;Prix;Livraison;Actif\nA1;1 234,50;12/03/2024;oui\nA2;99;01/02/2024;non\n');
+  assert.deepStrictEqual(data.columnTypes, { Réf: 'text', Prix: 'decimalFr', Livraison: 'date', Actif: 'boolean' });
+  assert.strictEqual(data.rows[0].Prix, '1 234,50');
+
+  const sheet = combineSheetMatrices([
+    { name: 'A', matrix: [['Réf', 'Date'], ['V1', new Date(2024, 2, 12)], ['V2', new Date(2024, 2, 13, 8, 30)]] },
+  ]);
+  assert.deepStrictEqual(sheet.rows.map((row) => row.Date), ['12/03/2024', '13/03/2024 08:30']);
+  assert.strictEqual(sheet.columnTypes.Date, 'date');
+
+  // Tri, filtre de plage et différences utilisent les valeurs typées
+  const results = data.rows.map((row) => ({ row, matches: [] }));
+  assert.deepStrictEqual(
+    sortResults(results, [{ header: 'Prix', direction: 'asc' }], data.columnTypes).map(({ row }) => row.Réf),
+    ['A2', 'A1']
+  );
+  assert.deepStrictEqual(
+    sortResults(results, [{ header: 'Livraison', direction: 'asc' }], data.columnTypes).map(({ row }) => row.Réf),
+    ['A2', 'A1']
+  );
+  const filter = { presence: 'any', values: null, min: Date.UTC(2024, 2, 1), max: null };
+  assert.deepStrictEqual(
+    applyColumnFilters(results, { Livraison: filter }, data.columnTypes).map(({ row }) => row.Réf),
+    ['A1']
+  );
+
+  const cmp = parseCSV('Réf;Prix;Livraison;Actif\nA1;1234,5;2024-03-12;OUI\nA2;99,00;01/02/2024;oui\n');
+  const diff = diffDatasets(data, cmp, ['Réf']);
+  assert.deepStrictEqual(diff.counts, { added: 0, removed: 0, modified: 1, unchanged: 1 });
+  assert.deepStrictEqual(diff.entries[1].changes, { Actif: { before: 'non', after: 'oui' } });
+}
+
+function testProfileColumns() {
+  const data = parseCSV('Réf;Prix;Livraison;Note\nA1;10,5;12/03/2024;\nA2;20;01/02/2024;ok\nA2;n/c;15/03/2024;\n');
+  data.columnTypes.Prix = 'decimalFr';
+  const [ref, prix, livraison, note] = profileDataset(data);
+
+  assert.strictEqual(ref.filled, 3);
+  assert.strictEqual(ref.distinct, 2);
+  assert.deepStrictEqual(ref.top[0], { value: 'A2', count: 2 });
+  assert.deepStrictEqual(prix.numeric, { min: 10.5, max: 20, mean: 15.25 });
+  assert.strictEqual(prix.invalid, 1);
+  assert.deepStrictEqual(livraison.dates, { min: Date.UTC(2024, 1, 1), max: Date.UTC(2024, 2, 15) });
+  assert.strictEqual(note.filled, 1);
+  assert.deepStrictEqual(note.top, [{ value: '', count: 2 }, { value: 'ok', count: 1 }]);
+  assert.strictEqual(note.numeric, null);
+
+  const rows = Array.from({ length: 15 }, (_, index) => ({ row: { Code: `C${index}` } }));
+  assert.strictEqual(profileColumn(rows, 'Code').top.length, 10);
+}
+
+function testKeywordHitDashboard() {
+  const results = [
+    { row: {}, matches: [{ keyword: 'serrure', header: 'Libellé' }, { keyword: 'serrure', header: 'Marque' }] },
+    { row: {}, matches: [{ keyword: 'serrure', header: 'Marque' }, { keyword: 'vitre', header: 'Libellé' }] },
+  ];
+  const hits = countKeywordHits(results, ['vitre', 'serrure', 'poignée', 'alu']);
+  assert.deepStrictEqual(hits, [
+    { keyword: 'serrure', rows: 2, cells: 3, columns: ['Marque', 'Libellé'] },
+    { keyword: 'vitre', rows: 1, cells: 1, columns: ['Libellé'] },
+    { keyword: 'alu', rows: 0, cells: 0, columns: [] },
+    { keyword: 'poignée', rows: 0, cells: 0, columns: [] },
+  ]);
+
+  const keywords = (list) => list.map((hit) => hit.keyword);
+  assert.deepStrictEqual(keywords(sortKeywordHits(hits, { key: 'rows', direction: 'desc' }, 'missing')), ['alu', 'poignée']);
+  assert.deepStrictEqual(keywords(sortKeywordHits(hits, { key: 'keyword', direction: 'asc' }, 'found')), ['serrure', 'vitre']);
+  assert.deepStrictEqual(keywords(sortKeywordHits(hits, { key: 'columns', direction: 'desc' })), [
+    'serrure',
+    'vitre',
+    'alu',
+    'poignée',
+  ]);
+  assert.deepStrictEqual(keywords(sortKeywordHits(hits, { key: 'cells', direction: 'asc' })), [
+    'alu',
+    'poignée',
+    'vitre',
+    'serrure',
+  ]);
+}
+
+function testSavedSearchesAndSessions() {
+  resetState();
+  const data = parseCSV('Réf;Libellé;Prix\nA1;Serrure;12\nB2;Vitre;8');
+  state.analyse = data;
+  state.selectedColumns = new Set(['Libellé', 'Prix']);
+  state.ignoreAccents = true;
+  state.matchMode = 'fuzzy';
+  state.fuzzyDistance = 2;
+
+  const search = buildSavedSearch('Serrures', 'serrure OU vitre');
+  assert.deepStrictEqual(search.selectedColumns, ['Libellé', 'Prix']);
+  assert.deepStrictEqual(search.options, {
+    caseSensitive: false,
+    ignoreAccents: true,
+    wholeWord: false,
+    matchMode: 'fuzzy',
+    fuzzyDistance: 2,
+  });
+
+  // Réappliquée à un autre fichier : les colonnes absentes sont signalées
+  resetState();
+  const applied = applySavedSearchToState(search, ['Libellé', 'Quantité']);
+  assert.deepStrictEqual(applied, { queryText: 'serrure OU vitre', missingColumns: ['Prix'] });
+  assert.deepStrictEqual(Array.from(state.selectedColumns), ['Libellé']);
+  assert.strictEqual(state.matchMode, 'fuzzy');
+  assert.strictEqual(state.ignoreAccents, true);
+  applySavedSearchToState(search, ['Code']);
+  assert.deepStrictEqual(Array.from(state.selectedColumns), ['Code']);
+
+  // Session : aller-retour sans perdre les Set ni la disposition du tableau
+  resetState();
+  data.fileName = 'articles.csv';
+  state.analyse = data;
+  state.selectedColumns = new Set(['Libellé']);
+  state.comparaison = {
+    ref: null,
+    cmp: null,
+    keywords: [],
+    keywordColumns: [],
+    extractionRules: {},
+    view: 'keywords',
+    keyColumns: [],
+    diffStatuses: new Set(['added', 'removed']),
+    hitSort: { key: 'rows', direction: 'desc' },
+    hitFilter: 'all',
+    matchColumns: { ref: [], cmp: [] },
+    matchThreshold: 0.6,
+    matchDecisions: {},
+    matchStatuses: new Set(['proposed']),
+    columnMapping: { Réf: 'Code' },
+  };
+  state.table = {
+    sort: [{ header: 'Prix', direction: 'desc' }],
+    columnFilters: {},
+    hiddenColumns: new Set(['Réf']),
+    columnOrder: [],
+    keywordFocus: null,
+  };
+  const record = JSON.parse(JSON.stringify(buildSessionRecord('session-1', 'serrure')));
+  assert.deepStrictEqual(record.fileNames, { analyse: 'articles.csv', ref: null, cmp: null });
+  assert.deepStrictEqual(record.table.hiddenColumns, ['Réf']);
+
+  resetState();
+  state.comparaison.diffStatuses = new Set();
+  const queryText = applySessionRecord(record, { analyse: data });
+  assert.strictEqual(queryText, 'serrure');
+  assert.strictEqual(state.analyse, data);
+  assert.deepStrictEqual(Array.from(state.selectedColumns), ['Libellé']);
+  assert.deepStrictEqual(Array.from(state.comparaison.diffStatuses), ['added', 'removed']);
+  assert.ok(state.table.hiddenColumns instanceof Set);
+  assert.ok(state.table.hiddenColumns.has('Réf'));
+  assert.deepStrictEqual(state.table.sort, [{ header: 'Prix', direction: 'desc' }]);
+  assert.deepStrictEqual(state.comparaison.columnMapping, { Réf: 'Code' });
+}
+
+function testCli() {
+  const { parseCliArgs, runCli } = require('../bin/bp9.js');
+  const fs = require('fs');
+  const os = require('os');
+  const path = require('path');
+
+  const parsed = parseCliArgs(['analyse', 'a.csv', '--keywords', 'vitre, alu', '--columns=A,B', '--ignore-accents']);
+  assert.strictEqual(parsed.command, 'analyse');
+  assert.deepStrictEqual(parsed.files, ['a.csv']);
+  assert.strictEqual(parsed.options.keywords, 'vitre, alu');
+  assert.deepStrictEqual(parsed.options.columns, ['A', 'B']);
+  assert.strictEqual(parsed.options.ignoreAccents, true);
+  assert.throws(() => parseCliArgs(['compare', 'ref.csv']), (error) => error.usage);
+  assert.throws(() => parseCliArgs(['analyse', 'a.csv', '--match', 'exact']), /Mode de correspondance inconnu/);
+  assert.throws(() => parseCliArgs(['analyse', 'a.csv', '--limit', '3']), /Option inconnue/);
+
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'bp9-'));
+  const write = (name, content) => {
+    fs.writeFileSync(path.join(dir, name), content);
+    return path.join(dir, name);
+  };
+  const capture = () => {
+    const io = { out: '', err: '' };
+    io.stdout = { write: (text) => (io.out += Buffer.from(text).toString()) };
+    io.stderr = { write: (text) => (io.err += text) };
+    return io;
+  };
+
+  try {
+    const articles = write('articles.csv', 'Réf;Libellé\nA1;Serrure alu\nB2;Vitre\nC3;Poignée\n');
+    let io = capture();
+    assert.strictEqual(runCli(['analyse', articles, '--keywords', 'vitre, alu', '--columns', 'Libellé'], io), 0);
+    assert.strictEqual(
+      io.out,
+      'Réf;Libellé;Mots-clés trouvés\r\nA1;Serrure alu;alu (Libellé)\r\nB2;Vitre;vitre (Libellé)\r\n'
+    );
+    assert.match(io.err, /2 ligne\(s\) retenue\(s\) sur 3/);
+
+    const exported = write('export.csv', '[{"Réf": "A1", "Libellé": "Vitre"}, {"Réf": "B2", "Libellé": "Vis"}]');
+    io = capture();
+    assert.strictEqual(runCli(['analyse', exported, '--keywords', 'vitre'], io), 0);
+    assert.strictEqual(io.out, 'Réf;Libellé;Mots-clés trouvés\r\nA1;Vitre;vitre (Libellé)\r\n');
+    assert.match(io.err, /lu comme JSON, d'après son contenu/);
+
+    const ref = write('ref.csv', 'Code;Désignation\nA1;Serrure\nZ9;Vis\n');
+    const cmp = write('cmp.csv', 'Code;Libellé\nA1;serrure 3 points\nB7;Vitre\n');
+    const out = path.join(dir, 'resultat.csv');
+    io = capture();
+    assert.strictEqual(runCli(['compare', ref, cmp, '--keyword-columns', 'Désignation', '--out', out], io), 0);
+    assert.match(io.err, /1 ligne\(s\) retenue\(s\) sur 2 ; 2 mot\(s\)-clé\(s\), 1 non trouvé\(s\) : Vis\./);
+    const written = fs.readFileSync(out);
+    assert.deepStrictEqual(Array.from(written.slice(0, 3)), [0xef, 0xbb, 0xbf]);
+    assert.match(written.toString(), /A1;serrure 3 points;Serrure \(Libellé\)/);
+
+    io = capture();
+    assert.strictEqual(runCli(['compare', ref, cmp, '--key', 'Code'], io), 0);
+    assert.strictEqual(io.out, 'Statut;Code\r\nSupprimée;Z9\r\nAjoutée;B7\r\n');
+
+    io = capture();
+    assert.strictEqual(runCli(['analyse', articles, '--computed', 'Code=GAUCHE([Réf]; 1) & "-" & [Libellé]', '--keywords', 'Code:B-'], io), 0);
+    assert.strictEqual(io.out, 'Réf;Libellé;Code;Mots-clés trouvés\r\nB2;Vitre;B-Vitre;B- (Code)\r\n');
+    assert.throws(() => parseCliArgs(['analyse', 'a.csv', '--computed', '=[A]']), /Nom=expression/);
+
+    io = capture();
+    assert.strictEqual(runCli(['analyse', articles, '--columns', 'Prix'], io), 1);
+    assert.match(io.err, /Colonne\(s\) absente\(s\) de "articles.csv" : Prix/);
+    assert.strictEqual(runCli(['analyse'], capture()), 2);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+function testMergeDatasets() {
+  const merged = mergeDatasets('Fichier source', [
+    { source: 'alpha.csv', data: parseCSV('Réf;Libellé\nA1;Vitre\nA2;Serrure') },
+    { source: 'beta.xlsx', data: combineSheetMatrices([{ name: 'F1', matrix: [['Réf', 'Prix'], ['B1', 12]] }]) },
+    { source: 'gamma.csv', data: parseCSV('Réf;Libellé\nC1;"Vis') },
+  ]);
+  assert.deepStrictEqual(merged.headers, ['Fichier source', 'Réf', 'Libellé', 'Prix']);
+  assert.strictEqual(merged.rows.length, 4);
+  assert.deepStrictEqual(merged.rows[2], { 'Fichier source': 'beta.xlsx', Réf: 'B1', Libellé: '', Prix: 12 });
+  assert.deepStrictEqual(merged.sources, [
+    { name: 'alpha.csv', rows: 2 },
+    { name: 'beta.xlsx', rows: 1 },
+    { name: 'gamma.csv', rows: 1 },
+  ]);
+  assert.strictEqual(merged.errors.length, 1);
+  assert.match(merged.errors[0].message, /^gamma\.csv : /);
+
+  const results = filterRows(merged.rows, merged.headers, {
+    keywords: ['vitre', 'vis'],
+    mode: 'analyse',
+    selectedColumns: ['Libellé'],
+  });
+  assert.deepStrictEqual(countMatchesBySource(results, merged), [
+    { source: 'alpha.csv', rows: 2, matches: 1 },
+    { source: 'beta.xlsx', rows: 1, matches: 0 },
+    { source: 'gamma.csv', rows: 1, matches: 1 },
+  ]);
+}
+
+async function testRowMatching() {
+  assert.deepStrictEqual(tokenizeForMatching('Vitre feuilletée 44.2'), ['vitre', 'feuilletee', '44', '2']);
+  const similar = rowSimilarity(tokenizeForMatching('Vitre feuilletée 44.2'), tokenizeForMatching('VITRAGE FEUILLETE 44/2'));
+  assert.ok(similar > 0.85, `similarité ${similar}`);
+  assert.ok(rowSimilarity(tokenizeForMatching('Vitre feuilletée 44.2'), tokenizeForMatching('Vitre feuilletée 33.2')) < similar);
+  assert.strictEqual(rowSimilarity(tokenizeForMatching('Serrure 3 points'), tokenizeForMatching('Poignée alu')), 0);
+
+  const messages = [];
+  await handleWorkerMessage(
+    {
+      type: 'run',
+      jobId: 1,
+      task: 'matchRows',
+      payload: {
+        refTexts: ['Vitre feuilletée 44.2', 'Serrure 3 points', 'Joint silicone'],
+        cmpTexts: ['SERRURE 3PTS', 'VITRAGE FEUILLETE 44/2', 'Vitrage feuilleté 33/2', 'Poignée alu'],
+      },
+    },
+    (message) => messages.push(message)
+  );
+  const candidates = messages.find((message) => message.type === 'done').result;
+  assert.deepStrictEqual(candidates[0].map((candidate) => candidate.cmpIndex), [1, 2]);
+  assert.strictEqual(candidates[1][0].cmpIndex, 0);
+  assert.deepStrictEqual(candidates[2], []);
+
+  // Mots présents partout : seul le plus petit groupe est évalué, dans la
+  // limite de 1000 lignes
+  const common = Array.from({ length: 3000 }, (_, i) => tokenizeForMatching(i < 1500 ? `Vitre alu ${i}` : `Vitre ${i}`));
+  const scored = new Set();
+  const tracked = new Proxy(common, {
+    get(target, property) {
+      if (/^\d+$/.test(property)) scored.add(Number(property));
+      return target[property];
+    },
+  });
+  const widespread = findRowCandidates(tokenizeForMatching('Vitre alu'), tracked, buildMatchIndex(common));
+  assert.strictEqual(scored.size, 1000);
+  assert.ok(Array.from(scored).every((cmpIndex) => cmpIndex < 1500));
+  assert.strictEqual(widespread.length, 5);
+
+  const statuses = (result) => result.entries.map(({ cmpIndex, status }) => `${cmpIndex}:${status}`);
+  let result = assignRowMatches(candidates, {}, 0.6, 4);
+  assert.deepStrictEqual(statuses(result), ['1:proposed', '0:low', 'null:none']);
+  assert.deepStrictEqual(result.counts, { confirmed: 0, proposed: 1, low: 1, none: 1 });
+  assert.strictEqual(result.unmatchedCmp, 3);
+
+  // Un rejet propose le candidat suivant, une confirmation fige la paire
+  result = assignRowMatches(candidates, { '0:1': 'rejected', '1:0': 'confirmed' }, 0.6, 4);
+  assert.deepStrictEqual(statuses(result), ['2:proposed', '0:confirmed', 'null:none']);
+  assert.strictEqual(result.unmatchedCmp, 2);
+  assert.deepStrictEqual(statuses(assignRowMatches(candidates, {}, 0.2, 4)), ['1:proposed', '0:proposed', 'null:none']);
+}
+
+function testColumnMapping() {
+  assert.strictEqual(headerSimilarity('Réf. article', 'REF ARTICLE'), 1);
+  assert.ok(headerSimilarity('Réf. article', 'Référence article') >= 0.8);
+  assert.strictEqual(headerSimilarity('Prix HT', 'Quantité'), 0);
+
+  const ref = {
+    headers: ['Réf. article', 'Désignation', 'Prix HT', 'Stock'],
+    rows: ['A1', 'A2', 'A3', 'A4', 'A5', 'A6'].map((code, index) => ({
+      'Réf. article': code,
+      Désignation: `Article ${index}`,
+      'Prix HT': String(10 + index),
+      Stock: '1',
+    })),
+    columnTypes: { 'Prix HT': 'number' },
+  };
+  const cmp = {
+    headers: ['Code', 'Libellé fournisseur', 'Tarif', 'Référence article', 'Stock'],
+    rows: [
+      ['A1', '99'],
+      ['A2', '11'],
+      ['A3', '12'],
+      ['A4', '13'],
+      ['A6', '15'],
+      ['A7', '16'],
+    ].map(([code, price], index) => ({
+      Code: `X${index}`,
+      'Libellé fournisseur': `Produit ${index}`,
+      Tarif: price,
+      'Référence article': code,
+      Stock: '1',
+    })),
+    columnTypes: { Tarif: 'number' },
+  };
+
+  // Nom proche pour la référence, valeurs communes pour le prix ; le stock
+  // n'a pas assez de valeurs distinctes mais porte le même nom.
+  const suggestions = suggestColumnMapping(ref, cmp);
+  assert.deepStrictEqual(
+    suggestions.map(({ ref: refHeader, cmp: cmpHeader, reason }) => [refHeader, cmpHeader, reason]),
+    [
+      ['Réf. article', 'Référence article', 'name'],
+      ['Désignation', null, null],
+      ['Prix HT', 'Tarif', 'values'],
+      ['Stock', 'Stock', 'name'],
+    ]
+  );
+
+  const mapping = { 'Réf. article': 'Référence article', Désignation: null, 'Prix HT': 'Tarif', Stock: null };
+  const mapped = mapDatasetColumns(cmp, mapping);
+  assert.deepStrictEqual(mapped.headers, ['Code', 'Libellé fournisseur', 'Prix HT', 'Réf. article', 'Stock (comparé)']);
+  assert.deepStrictEqual(mapped.columnTypes, { 'Prix HT': 'number' });
+  assert.strictEqual(mapped.rows[1]['Réf. article'], 'A2');
+  assert.strictEqual(cmp.headers[0], 'Code');
+  // Colonnes recherchées / rapprochées : celles associées, dans l'ordre de la référence
+  assert.deepStrictEqual(mappedCmpColumns(mapping, ['Stock', 'Prix HT', 'Réf. article']), ['Tarif', 'Référence article']);
+  assert.deepStrictEqual(mappedCmpColumns(mapping, ['Désignation']), []);
+
+  const diff = diffDatasets(ref, mapped, ['Réf. article']);
+  assert.deepStrictEqual(diff.headers, ['Réf. article', 'Prix HT']);
+  assert.deepStrictEqual(diff.counts, { added: 1, removed: 1, modified: 1, unchanged: 4 });
+
+  const applied = applyMappingProfile(
+    { 'Réf. article': 'Code', 'Prix HT': 'Prix net', Remise: 'Remise' },
+    mapping,
+    ref.headers,
+    cmp.headers
+  );
+  assert.strictEqual(applied.mapping['Réf. article'], 'Code');
+  assert.strictEqual(applied.mapping['Prix HT'], 'Tarif');
+  assert.deepStrictEqual(applied.ignored, ['Prix HT → Prix net', 'Remise → Remise']);
+}
+
+function testImportValidation() {
+  // Les cinq premières lignes contiennent plus de virgules que de points-virgules
+  const text = [
+    'Réf;Libellé;Prix;Prix;',
+    'A1;Vis 4,5 x 30, tête fraisée, inox;1,20;1,20;',
+    'A2;Vis 4,5 x 40, tête fraisée, inox;1,30;1,30;',
+    'A3;Cheville 6, nylon, sachet de 10;2,10;2,10;',
+    'A1;Vis 4,5 x 30, tête fraisée, inox;1,20;1,20;',
+    'A4;Rondelle 5, inox;0,10',
+    ';;;;',
+  ].join('\n');
+  const detection = analyseCSVSeparator(text);
+  assert.strictEqual(detection.separator, ';');
+  assert.strictEqual(detection.columns, 5);
+  assert.ok(detection.confidence > 0.6 && detection.confidence < 1, `confiance ${detection.confidence}`);
+  assert.strictEqual(analyseCSVSeparator('Libellé\nVis\nÉcrou').confidence, 0);
+
+  const data = parseCSV(text);
+  assert.deepStrictEqual(data.headers, ['Réf', 'Libellé', 'Prix', 'Prix (2)', 'Colonne 5']);
+  assert.strictEqual(data.rows[0]['Prix (2)'], '1,20');
+
+  const report = buildValidationReport(data);
+  assert.strictEqual(report.separator.separator, ';');
+  assert.deepStrictEqual(
+    report.headerIssues.map(({ header, type }) => [header, type]),
+    [['Prix (2)', 'duplicate'], ['Colonne 5', 'blank']]
+  );
+  assert.deepStrictEqual(report.malformedRows, [{ rowIndex: 4, line: 6, message: '3 colonne(s) au lieu de 5' }]);
+  assert.deepStrictEqual(report.emptyColumns, ['Colonne 5']);
+  assert.deepStrictEqual(report.emptyRows, [5]);
+  assert.deepStrictEqual(report.duplicateRows, [{ rowIndex: 3, firstIndex: 0 }]);
+
+  const fixed = applyValidationFixes(data, { excludeMalformed: true, excludeDuplicates: true, dropEmptyColumns: true });
+  assert.deepStrictEqual(fixed.headers, ['Réf', 'Libellé', 'Prix', 'Prix (2)']);
+  assert.deepStrictEqual(fixed.rows.map((row) => row['Réf']), ['A1', 'A2', 'A3', '']);
+  assert.deepStrictEqual(fixed.errors, []);
+  assert.strictEqual(fixed.columnTypes['Colonne 5'], undefined);
+  assert.deepStrictEqual(buildValidationReport(fixed).emptyRows, [3]);
+  assert.strictEqual(fixed.validation.applied.length, 3);
+  assert.strictEqual(data.rows.length, 6);
+
+  // Sources réunies : décalage des lignes et comptes par fichier
+  const merged = mergeDatasets('Fichier source', [
+    { source: 'a.csv', data: parseCSV('Réf;Réf\nA1;x\nA1;x') },
+    { source: 'b.csv', data: parseCSV('Réf;Réf\nB1;y\nB2') },
+  ]);
+  const mergedReport = buildValidationReport(merged);
+  assert.deepStrictEqual(mergedReport.headerIssues.map((issue) => issue.source), ['a.csv', 'b.csv']);
+  assert.deepStrictEqual(mergedReport.malformedRows.map(({ rowIndex, source }) => [rowIndex, source]), [[3, 'b.csv']]);
+  const mergedFixed = applyValidationFixes(merged, { excludeMalformed: true, excludeDuplicates: true });
+  assert.deepStrictEqual(mergedFixed.sources, [
+    { name: 'a.csv', rows: 1 },
+    { name: 'b.csv', rows: 1 },
+  ]);
+
+  // Fichiers homonymes (dossiers différents) : origines distinguées
+  const homonyms = mergeDatasets('Fichier source', [
+    { source: 'tarif.csv', data: parseCSV('Réf\nA1') },
+    { source: 'tarif.csv', data: parseCSV('Réf\nB1\nB2') },
+  ]);
+  assert.deepStrictEqual(homonyms.sources, [
+    { name: 'tarif.csv', rows: 1 },
+    { name: 'tarif.csv (2)', rows: 2 },
+  ]);
+  assert.deepStrictEqual(homonyms.rows.map((row) => row['Fichier source']), ['tarif.csv', 'tarif.csv (2)', 'tarif.csv (2)']);
+  assert.deepStrictEqual(applyValidationFixes(homonyms, { excludeDuplicates: true }).sources, homonyms.sources);
+}
+
+function testImporterRegistry() {
+  const bytes = (text) => new TextEncoder().encode(text);
+  assert.strictEqual(sniffImportContent(new Uint8Array([0x50, 0x4b, 0x03, 0x04, 0x14])), 'workbook');
+  assert.strictEqual(sniffImportContent(bytes('﻿  [{"a": 1}]')), 'json');
+  assert.strictEqual(sniffImportContent(bytes('<?xml version="1.0"?>')), 'markup');
+  assert.strictEqual(sniffImportContent(bytes('Réf;Libellé\nA1;Vis')), 'text');
+
+  const csvText = 'Réf;Libellé\nA1;Vis\n';
+  const fixedText = [
+    'Réf  Libellé          Prix',
+    'A1   Vis inox 4x30    0,12',
+    'A22  Cheville         0,30',
+    'A3   Joint silicone   2,10',
+    '',
+  ].join('\n');
+  const resolve = (name, content) => {
+    const { importer, sniffed } = resolveImporter(name, content);
+    return [importer.id, sniffed];
+  };
+  assert.deepStrictEqual(resolve('articles.csv', bytes(csvText)), ['csv', false]);
+  assert.deepStrictEqual(resolve('articles', bytes(csvText)), ['csv', false]);
+  assert.deepStrictEqual(resolve('articles.csv', bytes('[{"Réf": "A1"}]')), ['json', true]);
+  // Un en-tête entre crochets ou chevrons n'est pas du JSON ni du HTML
+  assert.deepStrictEqual(resolve('codes.csv', bytes('[Code];Libellé\nA1;Vis\n')), ['csv', false]);
+  assert.deepStrictEqual(resolve('codes.csv', bytes('<Réf>;Prix\nA1;2\n')), ['csv', false]);
+  assert.deepStrictEqual(resolve('codes', bytes('[Code];Libellé\nA1;Vis\n')), ['csv', false]);
+  assert.deepStrictEqual(resolve('export.csv', bytes('{"Réf": "A1"}\n{"Réf": "A2"}\n')), ['json', true]);
+  // Gros fichiers : seul le début est examiné, jamais le document entier
+  const records = Array.from({ length: 5000 }, (_, i) => ({ Réf: `A${i}`, Libellé: 'Vitre feuilletée' }));
+  const bigArray = bytes(JSON.stringify(records));
+  const bigNdjson = bytes(records.map((record) => JSON.stringify(record)).join('\n'));
+  const bigCsv = bytes(`[Code];Libellé\n${records.map(({ Réf }) => `${Réf};Vis`).join('\n')}`);
+  const parse = JSON.parse;
+  let longestParsed = 0;
+  JSON.parse = (text, ...rest) => {
+    longestParsed = Math.max(longestParsed, String(text).length);
+    return parse(text, ...rest);
+  };
+  try {
+    assert.deepStrictEqual(resolve('articles.json', bigArray), ['json', false]);
+    assert.deepStrictEqual(resolve('articles.csv', bigArray), ['json', true]);
+    assert.deepStrictEqual(resolve('articles', bigNdjson), ['json', false]);
+    assert.deepStrictEqual(resolve('codes.csv', bigCsv), ['csv', false]);
+  } finally {
+    JSON.parse = parse;
+  }
+  assert.ok(bigArray.length > 64 * 1024 && longestParsed <= 64 * 1024, `JSON.parse sur ${longestParsed} caractères`);
+  assert.deepStrictEqual(resolve('articles.xls', bytes('<table><tr><td>A1</td></tr></table>')), ['workbook', false]);
+  assert.deepStrictEqual(resolve('articles.tsv', bytes('Réf\tLibellé\nA1\tVis')), ['tsv', false]);
+  assert.deepStrictEqual(resolve('articles.txt', bytes(fixedText)), ['fixed', false]);
+  assert.deepStrictEqual(resolve('articles.txt', bytes(csvText)), ['csv', false]);
+  assert.throws(() => resolveImporter('image.png', new Uint8Array([0x89, 0x50, 0x00, 0x00])), /non supporté/);
+
+  // JSON : objets imbriqués aplatis, tableau enveloppé, NDJSON
+  const json = parseJSONRecords(
+    JSON.stringify({
+      data: [
+        { ref: 'A1', prix: 1.5, stock: { depot: 'Lyon' }, tags: ['inox', 'vis'], actif: true },
+        { ref: 'A2', remise: null },
+      ],
+    })
+  );
+  assert.deepStrictEqual(json.headers, ['ref', 'prix', 'stock.depot', 'tags', 'actif', 'remise']);
+  assert.deepStrictEqual(json.rows[0], { ref: 'A1', prix: 1.5, 'stock.depot': 'Lyon', tags: 'inox, vis', actif: 'vrai', remise: '' });
+  assert.strictEqual(json.columnTypes.prix, 'number');
+  const ndjson = parseJSONRecords('{"ref": "A1"}\n{"ref": "A2", "qte": 3}\n{oups\n');
+  assert.deepStrictEqual(ndjson.rows, [{ ref: 'A1', qte: '' }, { ref: 'A2', qte: 3 }]);
+  assert.deepStrictEqual(ndjson.errors, [{ line: 3, type: 'json', message: 'JSON invalide' }]);
+  assert.throws(() => parseJSONRecords('[{"ref": '), /JSON invalide/);
+  // Un objet avec un tableau de valeurs simples reste un seul enregistrement
+  const single = parseJSONRecords('{"id":1,"tags":["a","b"]}');
+  assert.deepStrictEqual(single.rows, [{ id: 1, tags: 'a, b' }]);
+  const wrapped = parseJSONRecords('{"total":2,"codes":["A","B"],"items":[{"id":1},{"id":2}]}');
+  assert.deepStrictEqual(wrapped.rows, [{ id: 1 }, { id: 2 }]);
+  assert.strictEqual(parseJSONRecords('{"codes":["A","B"]}').rows.length, 2);
+
+  // Largeur fixe : coupures proposées puis imposées
+  const boundaries = guessFixedWidthBoundaries(fixedText);
+  assert.deepStrictEqual(boundaries, [5, 22]);
+  const fixed = parseFixedWidth(fixedText, boundaries);
+  assert.deepStrictEqual(fixed.headers, ['Réf', 'Libellé', 'Prix']);
+  assert.deepStrictEqual(fixed.rows[0], { Réf: 'A1', Libellé: 'Vis inox 4x30', Prix: '0,12' });
+  assert.deepStrictEqual(parseFixedWidth(fixedText, [5]).rows[1], { Réf: 'A22', 'Libellé          Prix': 'Cheville         0,30' });
+
+  // Classeurs OpenDocument et Excel 97 via SheetJS
+  const sheetJS = getSheetJS();
+  const workbook = sheetJS.utils.book_new();
+  sheetJS.utils.book_append_sheet(workbook, sheetJS.utils.aoa_to_sheet([['Réf', 'Prix'], ['A1', 12]]), 'Tarif');
+  ['ods', 'biff8'].forEach((bookType) => {
+    const content = sheetJS.write(workbook, { type: 'array', bookType });
+    const { importer } = resolveImporter(bookType === 'ods' ? 'tarif.ods' : 'tarif.xls', new Uint8Array(content));
+    const data = importer.parse(content, { fileName: 'tarif' });
+    assert.deepStrictEqual(data.rows, [{ Réf: 'A1', Prix: 12 }], bookType);
+  });
+
+  // Tâche de fond générique (JSON, largeur fixe)
+  const { buffer } = bytes('[{"ref": "A1"}]');
+  const parsed = getImporter('json').parse(buffer, {});
+  assert.deepStrictEqual(parsed.rows, [{ ref: 'A1' }]);
+  assert.strictEqual(parsed.encoding, 'utf-8');
+}
+
+function testDeduplication() {
+  const data = parseCSV(
+    [
+      'Nom;Ville;Téléphone;Email',
+      'Éric  Dupont;Lyon;0401;',
+      'Marie Martin;Paris;;marie@example.fr',
+      'eric dupont;LYON;;eric@example.fr',
+      'Marie Martin;Paris;0102;',
+      ';;0999;',
+      ';;0998;',
+      'Eric Dupont;Lyon;0403;',
+    ].join('\n')
+  );
+  assert.strictEqual(normalizeDedupValue(' Éric  DUPONT ', 'normalized'), 'eric dupont');
+  assert.strictEqual(normalizeDedupValue('Éric', 'exact'), 'Éric');
+
+  const columns = ['Nom', 'Ville'];
+  assert.deepStrictEqual(findDuplicateGroups(data, columns).map((group) => group.rowIndexes), [[1, 3]]);
+  // Les lignes sans identité (colonnes choisies vides) ne sont pas regroupées
+  const groups = findDuplicateGroups(data, columns, 'normalized');
+  assert.deepStrictEqual(groups.map((group) => group.rowIndexes), [[0, 2, 6], [1, 3]]);
+  assert.deepStrictEqual(findDuplicateGroups(data, []), []);
+
+  const merged = mergeDuplicateRows([0, 2, 6].map((index) => data.rows[index]), data.headers);
+  assert.deepStrictEqual(merged.row, { Nom: 'Éric  Dupont', Ville: 'Lyon', Téléphone: '0401', Email: 'eric@example.fr' });
+  assert.deepStrictEqual(merged.conflicts, ['Nom', 'Ville', 'Téléphone']);
+
+  const first = deduplicateDataset(data, groups, 'first');
+  assert.deepStrictEqual(first.rows.map((row) => row['Téléphone']), ['0401', '', '0999', '0998']);
+  assert.deepStrictEqual(first.validation.applied, ['3 doublon(s) supprimé(s)']);
+  assert.strictEqual(first.columnTypes['Téléphone'], data.columnTypes['Téléphone']);
+  assert.strictEqual(data.rows.length, 7);
+
+  const last = deduplicateDataset(data, groups, 'last');
+  assert.deepStrictEqual(last.rows.map((row) => row['Téléphone']), ['0403', '0102', '0999', '0998']);
+
+  // Choix par groupe : fusion pour Dupont, toutes les lignes gardées pour Martin
+  const chosen = deduplicateDataset(data, groups, 'first', { [groups[0].key]: 'merge', [groups[1].key]: 'keep' });
+  assert.strictEqual(chosen.rows.length, 5);
+  assert.deepStrictEqual(chosen.rows[0], merged.row);
+  assert.strictEqual(chosen.rows[2]['Téléphone'], '0102');
+}
+
+function testPivotTable() {
+  const data = parseCSV(
+    [
+      'Fournisseur;Dépôt;Réf;Quantité;Livraison',
+      'Alu Sud;Lyon;V1;10;03/01/2024',
+      'Alu Sud;Lyon;V2;2,5;05/01/2024',
+      'Alu Sud;Nice;V1;4;',
+      'Verre Est;Lyon;V3;;02/02/2024',
+      'Verre Est;;V3;1;01/02/2024',
+    ].join('\n')
+  );
+  const results = data.rows.map((row) => ({ row, matches: [] }));
+  const pivot = buildPivotTable(
+    results,
+    {
+      rows: ['Fournisseur'],
+      columns: ['Dépôt'],
+      values: [
+        { aggregate: 'count', header: null },
+        { aggregate: 'sum', header: 'Quantité' },
+        { aggregate: 'distinct', header: 'Réf' },
+      ],
+    },
+    data.columnTypes
+  );
+  assert.deepStrictEqual(pivot.rowKeys, [['Alu Sud'], ['Verre Est']]);
+  assert.deepStrictEqual(pivot.columnKeys, [[''], ['Lyon'], ['Nice']]);
+  assert.deepStrictEqual(pivot.cells[0], [null, [2, 12.5, 2], [1, 4, 1]]);
+  // Cellule vide de Quantité : comptée, mais sans valeur à additionner
+  assert.deepStrictEqual(pivot.cells[1][1], [1, null, 1]);
+  assert.deepStrictEqual(pivot.rowTotals, [[3, 16.5, 2], [2, 1, 1]]);
+  assert.deepStrictEqual(pivot.columnTotals[1], [3, 12.5, 3]);
+  assert.deepStrictEqual(pivot.total, [5, 17.5, 3]);
+
+  const matrix = pivotToMatrix(pivot);
+  assert.deepStrictEqual(matrix[0].slice(0, 4), ['Fournisseur', '(vide) · Nombre de lignes', '(vide) · Somme de Quantité', '(vide) · Valeurs distinctes de Réf']);
+  assert.strictEqual(matrix[0].length, 1 + 4 * 3);
+  assert.deepStrictEqual(matrix[1].slice(-3), [3, 16.5, 2]);
+  assert.deepStrictEqual(matrix[3].slice(0, 1), ['Total']);
+  assert.deepStrictEqual(matrix[3].slice(-3), [5, 17.5, 3]);
+
+  // Sans dimension en colonne : une colonne par calcul ; dates min / max
+  const byDepot = buildPivotTable(
+    results,
+    {
+      rows: ['Dépôt'],
+      columns: [],
+      values: [
+        { aggregate: 'avg', header: 'Quantité' },
+        { aggregate: 'min', header: 'Livraison' },
+      ],
+    },
+    { Quantité: 'decimalFr', Livraison: 'date' }
+  );
+  assert.deepStrictEqual(pivotToMatrix(byDepot), [
+    ['Dépôt', 'Moyenne de Quantité', 'Min de Livraison'],
+    ['(vide)', 1, Date.UTC(2024, 1, 1)],
+    ['Lyon', 6.25, Date.UTC(2024, 0, 3)],
+    ['Nice', 4, null],
+    ['Total', 17.5 / 4, Date.UTC(2024, 0, 3)],
+  ]);
+
+  // Colonne de dates : moyenne en horodatage, pas de somme
+  const dates = buildPivotTable(
+    results,
+    {
+      rows: [],
+      columns: [],
+      values: [
+        { aggregate: 'avg', header: 'Livraison' },
+        { aggregate: 'sum', header: 'Livraison' },
+      ],
+    },
+    { Livraison: 'date' }
+  );
+  assert.deepStrictEqual(dates.total, [
+    (Date.UTC(2024, 0, 3) + Date.UTC(2024, 0, 5) + Date.UTC(2024, 1, 2) + Date.UTC(2024, 1, 1)) / 4,
+    null,
+  ]);
+}
+
+function testComputedColumns() {
+  const row = { 'Prix HT': '12,50', Quantité: '3', Libellé: '  Vitre  FEUILLETÉE ', Livraison: '15/03/2024', Stock: '' };
+  const evaluate = (text) => evaluateExpression(parseExpression(text, Object.keys(row)), row);
+
+  assert.strictEqual(evaluate('[Prix HT] * [quantité]'), 37.5);
+  assert.strictEqual(evaluate('1 + 2 * 3 - -1'), 8);
+  assert.strictEqual(evaluate('(1 + 2) * 3 / 2'), 4.5);
+  assert.strictEqual(evaluate('MINUSCULE(SUPPRESPACE([Libellé])) & " (" & [Quantité] & ")"'), 'vitre feuilletée (3)');
+  assert.strictEqual(evaluate('SI([Quantité] >= 3 ET NON ESTVIDE([Prix HT]); "gros"; "détail")'), 'gros');
+  assert.strictEqual(evaluate('SI([Stock] > 0, "disponible", "rupture")'), 'rupture');
+  assert.strictEqual(evaluate('SIVIDE([Stock]; 0) + 1'), 1);
+  // Cellule vide : résultat vide, sans erreur
+  assert.strictEqual(evaluate('[Stock] * 2'), null);
+  assert.strictEqual(evaluate('CATEGORIE([Libellé]; "alu"; "Menuiserie"; "feuillete"; "Vitrage"; "Autre")'), 'Vitrage');
+  assert.strictEqual(evaluate('CONTIENT([Libellé]; "VITRE")'), true);
+  assert.strictEqual(evaluate('STXT("ABCDEF"; 2; 3) & DROITE("ABCDEF"; 2) & GAUCHE("ABCDEF"; 1)'), 'BCDEFA');
+  assert.strictEqual(evaluate('SUBSTITUE("A-12-B"; "-"; "")'), 'A12B');
+  assert.strictEqual(evaluate('ARRONDI(2 / 3; 2)'), 0.67);
+  assert.strictEqual(evaluate('ANNÉE([Livraison]) * 100 + MOIS([Livraison])'), 202403);
+  assert.strictEqual(evaluate('JOURS([Livraison]; DATE(2024; 3; 1))'), 14);
+  assert.strictEqual(evaluate('[Livraison] > DATE("01/03/2024")'), true);
+  assert.strictEqual(evaluate('"lyon" = "Lyon"'), true);
+  assert.strictEqual(evaluate('"Il dit ""oui"""'), 'Il dit "oui"');
+
+  assert.throws(() => parseExpression('[Prix] * 2', ['Prix HT']), /colonne inconnue « Prix » \(position 1\)/);
+  assert.throws(() => parseExpression('SI(1; 2; 3; 4)'), /SI attend 2 à 3 argument\(s\), 4 donné\(s\)/);
+  assert.throws(() => parseExpression('FOO(1)'), /fonction inconnue « FOO »/);
+  assert.throws(() => parseExpression('1 +'), /valeur attendue en fin d'expression/);
+  assert.throws(() => parseExpression('(1 + 2'), /parenthèse fermante manquante/);
+  assert.throws(() => parseExpression('1 2'), /opérateur attendu \(position 3\)/);
+  assert.throws(() => parseExpression('"abc'), /guillemet non fermé/);
+  assert.throws(() => evaluate('[Libellé] * 2'), /n'est pas un nombre/);
+
+  const data = parseCSV('Réf;Prix;Qté\nA1;1,5;4\nA2;2;x\nA3;0,1;3\n');
+  const { data: computed, errors } = applyComputedColumns(data, [
+    { name: 'Montant', expression: '[Prix] * [Qté]' },
+    { name: 'Double', expression: '[Montant] * 2' },
+  ]);
+  assert.deepStrictEqual(computed.headers, ['Réf', 'Prix', 'Qté', 'Montant', 'Double']);
+  assert.deepStrictEqual(computed.rows.map((item) => item.Montant), ['6', '', '0,3']);
+  assert.deepStrictEqual(computed.rows.map((item) => item.Double), ['12', '', '0,6']);
+  assert.strictEqual(computed.columnTypes.Montant, 'decimalFr');
+  assert.deepStrictEqual(errors, [{ name: 'Montant', count: 1, rowIndex: 1, message: "« x » n'est pas un nombre" }]);
+  assert.strictEqual(data.rows[0].Montant, undefined);
+
+  // Recalcul : les anciennes colonnes calculées sont remplacées
+  const { data: recomputed } = applyComputedColumns(computed, [{ name: 'Montant', expression: 'ARRONDI([Prix])' }]);
+  assert.deepStrictEqual(recomputed.headers, ['Réf', 'Prix', 'Qté', 'Montant']);
+  assert.deepStrictEqual(recomputed.rows.map((item) => item.Montant), ['2', '2', '0']);
+  assert.strictEqual(recomputed.rows[0].Double, undefined);
+  assert.throws(() => applyComputedColumns(data, [{ name: 'Prix', expression: '1' }]), /La colonne « Prix » existe déjà/);
+  assert.throws(() => applyComputedColumns(data, [{ name: 'Total', expression: '[Montant]' }]), /Total : Expression invalide : colonne inconnue « Montant »/);
+}
+
+async function run() {
   testParseCSV();
+  testParseCSVMultilineFields();
+  testParseCSVUnterminatedQuote();
+  testCSVParserChunks();
+  testDetectTextEncoding();
   testKeywordFallback();
   testFilterRows();
+  testDescribeWorkbookSheets();
+  testCombineSheetMatrices();
+  testDiffDatasets();
+  testAnalyseReferenceKeywords();
+  testParseQuery();
+  testFilterRowsWithQuery();
+  testTermMatcherModes();
+  testComputeVisibleRange();
+  testFilterRowsWithOptions();
+  await testWorkerMessages();
+  testExportResults();
+  testTermHighlighter();
+  testTableLayout();
+  testColumnTypes();
+  testProfileColumns();
+  testKeywordHitDashboard();
+  testSavedSearchesAndSessions();
+  testCli();
+  testMergeDatasets();
+  await testRowMatching();
+  testColumnMapping();
+  testImportValidation();
+  testImporterRegistry();
+  testDeduplication();
+  testPivotTable();
+  testComputedColumns();
   console.log('All tests passed');
 }
 
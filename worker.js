@@ -0,0 +1,13 @@
+// Worker de parsing et de filtrage : réutilise les fonctions de app.js
+// (voir la section « Tâches longues »).
+try {
+  importScripts('https://cdn.jsdelivr.net/npm/xlsx@0.18.5/dist/xlsx.full.min.js');
+} catch (error) {
+  // Sans SheetJS, les classeurs sont lus sur le thread principal
+  console.warn('[APP] worker : SheetJS indisponible', error);
+}
+importScripts('app.js');
+
+self.onmessage = (event) => {
+  handleWorkerMessage(event.data, (message) => self.postMessage(message));
+};